@@ -0,0 +1,219 @@
+/**
+ * Achievements.js
+ * Conquistas: medalhas desbloqueadas por acontecimentos dos mergulhos
+ *
+ * A classe assina os eventos do jogo (subscribe, ver EventBus), mantém as
+ * contagens do mergulho atual e testa as conquistas ligadas a cada tipo de
+ * evento. As conquistas desbloqueadas (id -> data) são guardadas no save e valem
+ * para sempre; as contagens recomeçam a cada mergulho (evento dive:started).
+ */
+
+class Achievements {
+    /**
+     * Construtor do Achievements
+     * @param {Array<Object>} definitions - Definições das conquistas
+     */
+    constructor(definitions = Achievements.DEFINITIONS) {
+        this.definitions = definitions;
+        this.unlocked = {};
+        this.resetRun();
+    }
+
+    /**
+     * Assina os eventos usados pelas contagens e pelas conquistas
+     * Desbloqueios são publicados em achievement:unlocked.
+     * @param {EventBus} events - Barramento de eventos
+     */
+    subscribe(events) {
+        const types = new Set([...Achievements.COUNTED_EVENTS, ...this.definitions.map(def => def.event)]);
+        types.forEach(type => {
+            events.on(type, (data) => {
+                const unlocked = this.handleEvent(type, data);
+                if (unlocked.length > 0) {
+                    events.emit('achievement:unlocked', { achievements: unlocked });
+                }
+            });
+        });
+    }
+
+    /**
+     * Zera as contagens do mergulho atual
+     */
+    resetRun() {
+        this.run = {
+            damageTaken: 0, // Danos ao casco de qualquer fonte (colisões, fontes hidrotermais, pressão)
+            rockCollisions: 0,
+            bubbles: 0,
+            sonarUses: 0
+        };
+    }
+
+    /**
+     * Registra um evento do jogo e desbloqueia as conquistas cumpridas
+     * @param {string} type - Tipo do evento (ver EventBus.EVENTS)
+     * @param {Object} data - Dados do evento
+     * @returns {Array<Object>} - Definições das conquistas desbloqueadas agora
+     */
+    handleEvent(type, data = {}) {
+        const run = this.run;
+
+        switch (type) {
+            case 'dive:started':
+                this.resetRun();
+                break;
+            case 'damage:taken':
+                run.damageTaken++;
+                break;
+            case 'collision:obstacle':
+                run.rockCollisions++;
+                break;
+            case 'pickup:bubble':
+                run.bubbles += data.count;
+                break;
+            case 'sonar:fired':
+                run.sonarUses++;
+                break;
+            default:
+                break;
+        }
+
+        const unlocked = this.definitions.filter(def =>
+            def.event === type && !this.isUnlocked(def.id) && def.condition(data, run)
+        );
+        const date = new Date().toISOString();
+        unlocked.forEach(def => {
+            this.unlocked[def.id] = date;
+        });
+
+        return unlocked;
+    }
+
+    /**
+     * Verifica se uma conquista já foi desbloqueada
+     * @param {string} id - Identificador da conquista
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return this.unlocked[id] !== undefined;
+    }
+
+    /**
+     * Obtém todas as conquistas para a galeria
+     * @returns {Array<Object>} - { def, unlockedAt } (unlockedAt é null se bloqueada)
+     */
+    getAll() {
+        return this.definitions.map(def => ({ def, unlockedAt: this.unlocked[def.id] || null }));
+    }
+
+    /**
+     * Conta as conquistas desbloqueadas
+     * @returns {number}
+     */
+    getUnlockedCount() {
+        return this.definitions.filter(def => this.isUnlocked(def.id)).length;
+    }
+
+    /**
+     * Serializa as conquistas desbloqueadas para o save
+     * @returns {Object} - id -> data do desbloqueio (ISO)
+     */
+    serialize() {
+        return { ...this.unlocked };
+    }
+
+    /**
+     * Restaura as conquistas de um save
+     * @param {Object} unlocked - id -> data do desbloqueio
+     */
+    restore(unlocked = {}) {
+        this.unlocked = { ...unlocked };
+    }
+}
+
+// Eventos que alteram as contagens do mergulho (ver handleEvent)
+Achievements.COUNTED_EVENTS = ['dive:started', 'damage:taken', 'collision:obstacle', 'pickup:bubble', 'sonar:fired'];
+
+// Conquistas: event é o tipo de evento que as testa; condition recebe os dados
+// do evento e as contagens do mergulho (ver resetRun)
+Achievements.DEFINITIONS = [
+    {
+        id: 'firstDive',
+        icon: '🤿',
+        title: 'Batismo',
+        description: 'Termine seu primeiro mergulho',
+        event: 'game:over',
+        condition: () => true
+    },
+    {
+        id: 'untouchable',
+        icon: '🛡',
+        title: 'Intocável',
+        description: 'Alcance 2000m sem sofrer nenhum dano',
+        event: 'depth:milestone',
+        condition: (data, run) => data.depth >= 2000 && run.damageTaken === 0
+    },
+    {
+        id: 'hadal',
+        icon: '🌑',
+        title: 'Fossa Hadal',
+        description: 'Entre na Zona Hadal',
+        event: 'zone:entered',
+        condition: (data) => data.zone.id === 'hadal'
+    },
+    {
+        id: 'abyss',
+        icon: '🏆',
+        title: 'Fundo do Abismo',
+        description: 'Alcance o fundo do abismo (11000m)',
+        event: 'game:over',
+        condition: (data) => data.cause === 'victory'
+    },
+    {
+        id: 'blind',
+        icon: '🦇',
+        title: 'Às Cegas',
+        description: 'Alcance o abismo sem usar o sonar',
+        event: 'game:over',
+        condition: (data, run) => data.cause === 'victory' && run.sonarUses === 0
+    },
+    {
+        id: 'bubbles',
+        icon: '🫧',
+        title: 'Caçador de Bolhas',
+        description: 'Colete 20 bolhas em um mergulho',
+        event: 'pickup:bubble',
+        condition: (data, run) => run.bubbles >= 20
+    },
+    {
+        id: 'echo',
+        icon: '📡',
+        title: 'Eco',
+        description: 'Use o sonar 15 vezes em um mergulho',
+        event: 'sonar:fired',
+        condition: (data, run) => run.sonarUses >= 15
+    },
+    {
+        id: 'bumper',
+        icon: '🪨',
+        title: 'Bate-Bate',
+        description: 'Colida com 10 rochas em um mergulho',
+        event: 'collision:obstacle',
+        condition: (data, run) => run.rockCollisions >= 10
+    },
+    {
+        id: 'outOfAir',
+        icon: '🫁',
+        title: 'Sem Fôlego',
+        description: 'Fique sem oxigênio',
+        event: 'game:over',
+        condition: (data) => data.cause === 'oxygen'
+    },
+    {
+        id: 'scrap',
+        icon: '🔧',
+        title: 'Ferro-Velho',
+        description: 'Tenha o submarino destruído',
+        event: 'game:over',
+        condition: (data) => data.cause !== 'victory' && data.cause !== 'oxygen'
+    }
+];
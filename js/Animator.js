@@ -0,0 +1,375 @@
+/**
+ * Animator.js
+ * Componente de animação por quadros dos objetos do jogo
+ *
+ * Cada tipo de objeto declara seus clipes em Animator.DEFINITIONS. Um clipe é uma
+ * sequência de quadros; cada quadro escolhe o quadro da sprite sheet (`frame`) e
+ * transformações aplicadas no desenho (escala, rotação, deslocamento, opacidade,
+ * brilho, luz e flash). Enquanto os sprites tiverem um único quadro, o movimento
+ * vem das transformações; com `interpolate`, os valores numéricos são suavizados
+ * entre quadros consecutivos.
+ *
+ * O animador avança pelo tempo de simulação (nunca pelo relógio), então também
+ * funciona no modo headless e respeita pausa e câmera lenta.
+ */
+
+class Animator {
+    /**
+     * Construtor do Animator
+     * @param {Object} definition - Definição de animações ({ spriteFacing, initial, clips })
+     */
+    constructor(definition = {}) {
+        this.clips = definition.clips || {};
+        this.initialClip = definition.initial || null;
+        this.lightAnchor = definition.lightAnchor || null;
+
+        // Direção para a qual a imagem original aponta (1 = direita, -1 = esquerda)
+        this.spriteFacing = definition.spriteFacing || 1;
+
+        this.reset();
+    }
+
+    /**
+     * Cria o animador de um tipo de objeto
+     * Tipos sem definição recebem um animador vazio (sempre o quadro padrão).
+     * @param {string} type - Tipo do objeto (shark, squid, submarine...)
+     * @returns {Animator}
+     */
+    static forType(type) {
+        return new Animator(Animator.DEFINITIONS[type]);
+    }
+
+    /**
+     * Volta ao clipe inicial, olhando para a direção original do sprite
+     */
+    reset() {
+        this.clipName = null;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.finished = false;
+        this.facing = this.spriteFacing;
+
+        // Clarão sobreposto a qualquer clipe (ex: monstro atingido)
+        this.flashTime = 0;
+        this.flashDuration = 0;
+
+        // Multiplicador da velocidade de reprodução
+        this.speed = 1;
+
+        if (this.initialClip) {
+            this.play(this.initialClip);
+        }
+    }
+
+    /**
+     * Obtém o clipe em reprodução
+     * @returns {Object|null}
+     */
+    getClip() {
+        return this.clips[this.clipName] || null;
+    }
+
+    /**
+     * Verifica se o tipo tem um clipe
+     * @param {string} name - Nome do clipe
+     * @returns {boolean}
+     */
+    hasClip(name) {
+        return Boolean(this.clips[name]);
+    }
+
+    /**
+     * Inicia um clipe
+     * Chamar com o clipe atual não o reinicia, a menos que `restart` seja true.
+     * @param {string} name - Nome do clipe
+     * @param {boolean} restart - Reiniciar mesmo se já estiver em reprodução
+     * @returns {boolean} - false se o tipo não tem o clipe
+     */
+    play(name, restart = false) {
+        if (!this.clips[name]) return false;
+        if (this.clipName === name && !restart) return true;
+
+        this.clipName = name;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.finished = false;
+        return true;
+    }
+
+    /**
+     * Inicia um clarão sobreposto ao clipe atual, que se apaga ao longo da duração
+     * @param {number} duration - Duração do clarão (ms)
+     */
+    flash(duration) {
+        this.flashTime = duration;
+        this.flashDuration = duration;
+    }
+
+    /**
+     * Atualiza a direção a partir da velocidade horizontal
+     * Sem movimento horizontal, mantém a última direção.
+     * @param {number} velocityX - Velocidade horizontal
+     */
+    setFacingFromVelocity(velocityX) {
+        if (velocityX > 0) {
+            this.facing = 1;
+        } else if (velocityX < 0) {
+            this.facing = -1;
+        }
+    }
+
+    /**
+     * Verifica se o sprite deve ser desenhado espelhado horizontalmente
+     * @returns {boolean}
+     */
+    isMirrored() {
+        return this.facing !== this.spriteFacing;
+    }
+
+    /**
+     * Avança a animação
+     * Clipes sem loop param no último quadro ou passam para o clipe `next`.
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     */
+    update(deltaTime) {
+        this.flashTime = Math.max(0, this.flashTime - deltaTime);
+
+        const clip = this.getClip();
+        if (!clip || this.finished) return;
+
+        this.frameTime += deltaTime * this.speed;
+
+        while (this.frameTime >= clip.frameDuration) {
+            this.frameTime -= clip.frameDuration;
+
+            if (this.frameIndex < clip.frames.length - 1) {
+                this.frameIndex++;
+            } else if (clip.loop) {
+                this.frameIndex = 0;
+            } else if (clip.next) {
+                this.play(clip.next, true);
+                return;
+            } else {
+                this.frameTime = 0;
+                this.finished = true;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Obtém o quadro atual com todas as transformações preenchidas
+     * @returns {Object} - Quadro ({ frame, scaleX, scaleY, rotation, offsetX, offsetY, alpha, glow, light, flash, ... })
+     */
+    getFrame() {
+        const clip = this.getClip();
+        let frame;
+
+        if (!clip) {
+            frame = { ...Animator.DEFAULT_FRAME };
+        } else {
+            const current = { ...Animator.DEFAULT_FRAME, ...clip.frames[this.frameIndex] };
+            const isLast = this.frameIndex === clip.frames.length - 1;
+
+            if (clip.interpolate && (!isLast || clip.loop)) {
+                const next = { ...Animator.DEFAULT_FRAME, ...clip.frames[isLast ? 0 : this.frameIndex + 1] };
+                const t = this.frameTime / clip.frameDuration;
+
+                // O quadro da sprite sheet não é interpolado, apenas as transformações
+                frame = { ...current };
+                Object.keys(current).forEach(key => {
+                    if (key !== 'frame' && typeof current[key] === 'number') {
+                        frame[key] = current[key] + (next[key] - current[key]) * t;
+                    }
+                });
+            } else {
+                frame = current;
+            }
+        }
+
+        if (this.flashTime > 0) {
+            frame.flash = Math.max(frame.flash, this.flashTime / this.flashDuration);
+        }
+
+        if (this.lightAnchor) {
+            frame.lightX = this.lightAnchor.x;
+            frame.lightY = this.lightAnchor.y;
+            frame.lightColor = this.lightAnchor.color;
+        }
+
+        return frame;
+    }
+}
+
+// Quadro sem transformações
+Animator.DEFAULT_FRAME = {
+    frame: 0, // Índice do quadro na sprite sheet
+    scaleX: 1,
+    scaleY: 1,
+    rotation: 0, // Graus
+    offsetX: 0, // Fração da largura
+    offsetY: 0, // Fração da altura
+    alpha: 1,
+    glow: 1, // Multiplicador do brilho (shadowBlur)
+    light: 0, // Intensidade do ponto de luz (lightAnchor)
+    flash: 0, // Intensidade do clarão de dano
+    propeller: 1 // Abertura aparente das pás da hélice (-1 a 1)
+};
+
+// Animações por tipo de objeto
+// spriteFacing: direção para a qual a imagem aponta; lightAnchor: ponto de luz
+// relativo ao centro do sprite (fração da largura/altura, na orientação da imagem)
+Animator.DEFINITIONS = {
+    submarine: {
+        spriteFacing: 1,
+        initial: 'cruise',
+        clips: {
+            // Hélice girando (acelera com o propulsor, ver Submarine.update)
+            cruise: {
+                frameDuration: 60,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { propeller: 1 },
+                    { propeller: 0.2 },
+                    { propeller: -1 },
+                    { propeller: -0.2 }
+                ]
+            },
+            // Clarão ao receber dano
+            damage: {
+                frameDuration: 80,
+                loop: false,
+                next: 'cruise',
+                frames: [
+                    { flash: 1, alpha: 0.6, offsetX: -0.03 },
+                    { flash: 0, alpha: 1, offsetX: 0.03 },
+                    { flash: 0.8, alpha: 0.6, offsetX: -0.02 },
+                    { flash: 0, alpha: 1 },
+                    { flash: 0.5, alpha: 0.7 },
+                    { flash: 0, alpha: 1 }
+                ]
+            }
+        }
+    },
+    shark: {
+        spriteFacing: 1,
+        initial: 'swim',
+        clips: {
+            // Batida das nadadeiras da arraia
+            swim: {
+                frameDuration: 180,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { scaleY: 1, rotation: 0 },
+                    { scaleY: 0.82, rotation: -4, offsetY: -0.03 },
+                    { scaleY: 1, rotation: 0 },
+                    { scaleY: 1.08, rotation: 3, offsetY: 0.03 }
+                ]
+            }
+        }
+    },
+    squid: {
+        spriteFacing: 1,
+        initial: 'swim',
+        clips: {
+            // Tentáculos abrindo e fechando; ao final, um jato
+            swim: {
+                frameDuration: 220,
+                loop: false,
+                next: 'jet',
+                interpolate: true,
+                frames: [
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 1.08, scaleY: 0.94 },
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 1.08, scaleY: 0.94 },
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 1.08, scaleY: 0.94 },
+                    { scaleX: 1, scaleY: 1 }
+                ]
+            },
+            // Jato: contrai o manto e estica os tentáculos
+            jet: {
+                frameDuration: 90,
+                loop: false,
+                next: 'swim',
+                interpolate: true,
+                frames: [
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 1.15, scaleY: 0.8, glow: 1.6 },
+                    { scaleX: 0.8, scaleY: 1.25, offsetY: -0.08, glow: 2 },
+                    { scaleX: 0.85, scaleY: 1.18, offsetY: -0.05, glow: 1.5 },
+                    { scaleX: 1, scaleY: 1 }
+                ]
+            }
+        }
+    },
+    angler: {
+        spriteFacing: -1,
+        initial: 'swim',
+        lightAnchor: { x: -0.45, y: -0.14, color: '255, 230, 120' },
+        clips: {
+            // Cauda balançando e isca pulsando
+            swim: {
+                frameDuration: 250,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { rotation: -3, light: 0.4, glow: 0.8 },
+                    { rotation: 0, light: 1, glow: 1.4 },
+                    { rotation: 3, light: 0.6, glow: 1 },
+                    { rotation: 0, light: 0.15, glow: 0.7 }
+                ]
+            },
+            // Isca acesa atraindo a presa (ver MonsterAI)
+            lure: {
+                frameDuration: 120,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { light: 0.7, glow: 1.5, offsetY: -0.02 },
+                    { light: 1.3, glow: 2.2, offsetY: 0 },
+                    { light: 0.9, glow: 1.7, offsetY: 0.02 },
+                    { light: 1.4, glow: 2.4, offsetY: 0 }
+                ]
+            }
+        }
+    },
+    viper: {
+        spriteFacing: -1,
+        initial: 'swim',
+        clips: {
+            // Ondulação do corpo
+            swim: {
+                frameDuration: 140,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { scaleX: 1, scaleY: 1, rotation: -5 },
+                    { scaleX: 1.06, scaleY: 0.92, rotation: 0 },
+                    { scaleX: 1, scaleY: 1, rotation: 5 },
+                    { scaleX: 0.94, scaleY: 1.06, rotation: 0 }
+                ]
+            }
+        }
+    },
+    bubble: {
+        spriteFacing: 1,
+        initial: 'wobble',
+        clips: {
+            wobble: {
+                frameDuration: 300,
+                loop: true,
+                interpolate: true,
+                frames: [
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 1.08, scaleY: 0.93 },
+                    { scaleX: 1, scaleY: 1 },
+                    { scaleX: 0.93, scaleY: 1.08 }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * AssetManager.js
+ * Pré-carregamento de imagens com progresso e tratamento de erros
+ *
+ * Uma imagem que falha ao carregar não impede o jogo de iniciar: ela é registrada
+ * em `failed` e o Renderer usa o emoji correspondente no lugar.
+ */
+
+class AssetManager {
+    constructor() {
+        this.images = {};
+        this.failed = new Set();
+        this.loadedCount = 0;
+        this.totalCount = 0;
+    }
+
+    /**
+     * Carrega uma imagem
+     * @param {string} name - Nome do asset
+     * @param {string} src - Caminho da imagem
+     * @param {number} timeout - Tempo máximo de espera (ms)
+     * @returns {Promise<boolean>} - Resolve com true se carregou, false se falhou
+     */
+    loadImage(name, src, timeout = AssetManager.LOAD_TIMEOUT) {
+        return new Promise(resolve => {
+            const image = new Image();
+            let settled = false;
+
+            const finish = (success) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+
+                if (success) {
+                    this.images[name] = image;
+                } else {
+                    this.failed.add(name);
+                    console.warn(`Falha ao carregar imagem "${name}" (${src}), usando emoji.`);
+                }
+                resolve(success);
+            };
+
+            const timer = setTimeout(() => finish(false), timeout);
+            image.onload = () => finish(image.naturalWidth > 0);
+            image.onerror = () => finish(false);
+            image.src = src;
+        });
+    }
+
+    /**
+     * Carrega todas as imagens de um manifesto
+     * Nunca rejeita: falhas ficam registradas em `failed`.
+     * @param {Object} manifest - Mapa nome -> caminho
+     * @param {Function} [onProgress] - Chamado com (carregadas, total, nome) a cada imagem concluída
+     * @returns {Promise<Object>} - { loaded, failed }
+     */
+    loadImages(manifest = AssetManager.IMAGES, onProgress = null) {
+        const entries = Object.entries(manifest);
+        this.totalCount += entries.length;
+
+        const tasks = entries.map(([name, src]) =>
+            this.loadImage(name, src).then(() => {
+                this.loadedCount++;
+                if (onProgress) {
+                    onProgress(this.loadedCount, this.totalCount, name);
+                }
+            })
+        );
+
+        return Promise.all(tasks).then(() => ({
+            loaded: Object.keys(this.images),
+            failed: [...this.failed]
+        }));
+    }
+
+    /**
+     * Obtém uma imagem carregada
+     * @param {string} name - Nome do asset
+     * @returns {HTMLImageElement|null} - Imagem, ou null se não carregou
+     */
+    getImage(name) {
+        return this.images[name] || null;
+    }
+
+    /**
+     * Obtém o retângulo de origem de um quadro da sprite sheet de uma imagem
+     * Imagens sem layout em AssetManager.SHEETS têm um único quadro (a imagem inteira).
+     * @param {string} name - Nome do asset
+     * @param {number} index - Índice do quadro (da esquerda para a direita, de cima para baixo)
+     * @returns {Object|null} - { sx, sy, sw, sh }, ou null se a imagem não carregou
+     */
+    getSheetFrame(name, index = 0) {
+        const image = this.getImage(name);
+        if (!image) return null;
+
+        const sheet = AssetManager.SHEETS[name] || { columns: 1, rows: 1 };
+        const frameWidth = image.naturalWidth / sheet.columns;
+        const frameHeight = image.naturalHeight / sheet.rows;
+        const frame = Math.floor(index) % (sheet.columns * sheet.rows);
+
+        return {
+            sx: (frame % sheet.columns) * frameWidth,
+            sy: Math.floor(frame / sheet.columns) * frameHeight,
+            sw: frameWidth,
+            sh: frameHeight
+        };
+    }
+}
+
+// Tempo máximo de espera por imagem (ms)
+AssetManager.LOAD_TIMEOUT = 10000;
+
+// Sprites do jogo (512x512, desenhados na largura/altura de cada objeto)
+AssetManager.IMAGES = {
+    submarine: 'assets/submarine.png',
+    rock: 'assets/rock.png',
+    bubble: 'assets/bubble.png'
+};
+
+// Layout das sprite sheets (quadros em grade, ex: shark: { columns: 4, rows: 1 });
+// imagens ausentes aqui têm um único quadro
+AssetManager.SHEETS = {};
@@ -0,0 +1,321 @@
+/**
+ * AudioManager.js
+ * Sons do jogo com a Web Audio API (todos procedurais, sem arquivos)
+ *
+ * Três barramentos de volume: master (saída), music (drone ambiente) e sfx
+ * (efeitos). O drone fica mais grave e abafado conforme a profundidade; o
+ * alarme de oxigênio toca em intervalos enquanto o oxigênio estiver baixo.
+ *
+ * Navegadores só liberam o áudio após um gesto do jogador, então o contexto é
+ * criado no primeiro toque, clique ou tecla (unlock). Antes disso, play() não faz nada.
+ *
+ * Os efeitos tocam por assinatura dos eventos do jogo (subscribe, ver EVENT_SOUNDS).
+ * O drone silencia no fim do mergulho (game:over) e volta no próximo (dive:started).
+ */
+
+class AudioManager {
+    constructor() {
+        this.context = null;
+        this.buses = null;
+        this.drone = null;
+
+        // Volumes (0 a 1) e mudo, aplicados em setVolumes
+        this.volumes = { master: 1, music: 1, sfx: 1 };
+        this.muted = false;
+        this.paused = false;
+
+        // Drone ambiente ligado (desligado entre o fim de um mergulho e o próximo)
+        this.ambienceActive = true;
+
+        // Próximo bipe do alarme de oxigênio (tempo do contexto, em s)
+        this.nextAlarmTime = 0;
+
+        this.setupUnlock();
+    }
+
+    /**
+     * Assina os eventos do jogo que têm som
+     * @param {EventBus} events - Barramento de eventos
+     */
+    subscribe(events) {
+        Object.entries(AudioManager.EVENT_SOUNDS).forEach(([type, id]) => {
+            events.on(type, () => this.play(id));
+        });
+        events.on('game:over', ({ cause }) => {
+            this.play(cause === 'victory' ? 'victory' : 'gameOver');
+            this.setAmbienceActive(false);
+        });
+        events.on('dive:started', () => this.setAmbienceActive(true));
+    }
+
+    /**
+     * Liga ou silencia o drone ambiente
+     * @param {boolean} active - true para ligar
+     */
+    setAmbienceActive(active) {
+        this.ambienceActive = active;
+        if (!this.drone) return;
+
+        this.drone.output.gain.setTargetAtTime(active ? 1 : 0, this.context.currentTime, 0.3);
+    }
+
+    /**
+     * Cria o contexto de áudio no primeiro gesto do jogador
+     */
+    setupUnlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        const unlock = () => {
+            window.removeEventListener('pointerdown', unlock);
+            window.removeEventListener('keydown', unlock);
+            this.unlock(AudioContextClass);
+        };
+        window.addEventListener('pointerdown', unlock);
+        window.addEventListener('keydown', unlock);
+    }
+
+    /**
+     * Cria o contexto, os barramentos e o drone ambiente
+     * @param {Function} AudioContextClass - Construtor do AudioContext
+     */
+    unlock(AudioContextClass) {
+        const ctx = new AudioContextClass();
+        this.context = ctx;
+
+        const master = ctx.createGain();
+        const music = ctx.createGain();
+        const sfx = ctx.createGain();
+        music.connect(master);
+        sfx.connect(master);
+        master.connect(ctx.destination);
+        this.buses = { master, music, sfx };
+
+        this.drone = this.createDrone();
+        this.applyVolumes();
+
+        if (this.paused) ctx.suspend();
+    }
+
+    /**
+     * Cria o drone ambiente: duas ondas graves passando por um filtro passa-baixa
+     * @returns {Object} - { voices: [{ osc, ratio }], filter, output }
+     */
+    createDrone() {
+        const ctx = this.context;
+        const output = ctx.createGain();
+        output.gain.value = this.ambienceActive ? 1 : 0;
+        output.connect(this.buses.music);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.connect(output);
+
+        const voices = [
+            { type: 'sawtooth', ratio: 1, volume: 0.12 },
+            { type: 'sine', ratio: 1.5, volume: 0.2 } // Quinta acima
+        ].map(({ type, ratio, volume }) => {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.type = type;
+            gain.gain.value = volume;
+            osc.connect(gain);
+            gain.connect(filter);
+            osc.start();
+            return { osc, ratio };
+        });
+
+        const drone = { voices, filter, output };
+        this.setDroneDepth(drone, 0);
+        return drone;
+    }
+
+    /**
+     * Ajusta o drone a uma profundidade (mais grave e abafado no fundo)
+     * @param {Object} drone - Drone criado em createDrone
+     * @param {number} depth - Profundidade em metros
+     */
+    setDroneDepth(drone, depth) {
+        const ambience = AudioManager.AMBIENCE;
+        const t = Math.min(1, depth / Simulation.MAX_DEPTH);
+        const frequency = ambience.surfaceFrequency + (ambience.bottomFrequency - ambience.surfaceFrequency) * t;
+        const cutoff = ambience.surfaceCutoff + (ambience.bottomCutoff - ambience.surfaceCutoff) * t;
+        const now = this.context.currentTime;
+
+        drone.voices.forEach(({ osc, ratio }) => osc.frequency.setTargetAtTime(frequency * ratio, now, 0.5));
+        drone.filter.frequency.setTargetAtTime(cutoff, now, 0.5);
+    }
+
+    /**
+     * Atualiza o ambiente (chamado uma vez por frame)
+     * @param {number} depth - Profundidade atual
+     * @param {boolean} lowOxygen - Se o alarme de oxigênio deve tocar
+     */
+    update(depth, lowOxygen) {
+        if (!this.context || this.paused) return;
+
+        this.setDroneDepth(this.drone, depth);
+
+        if (lowOxygen && this.context.currentTime >= this.nextAlarmTime) {
+            this.play('alarm');
+            this.nextAlarmTime = this.context.currentTime + AudioManager.ALARM_INTERVAL;
+        }
+    }
+
+    /**
+     * Toca um efeito sonoro
+     * @param {string} id - Som (ver AudioManager.SOUNDS)
+     */
+    play(id) {
+        const def = AudioManager.SOUNDS[id];
+        if (!this.context || this.paused || !def) return;
+
+        if (def.noise) {
+            this.playNoise(def);
+        } else {
+            const notes = def.notes || [def.frequency];
+            const noteDuration = def.duration / notes.length;
+            notes.forEach((frequency, i) => {
+                this.playTone(def, frequency, this.context.currentTime + i * noteDuration, noteDuration);
+            });
+        }
+    }
+
+    /**
+     * Toca uma nota com ataque rápido e decaimento exponencial
+     * @param {Object} def - Definição do som
+     * @param {number} frequency - Frequência inicial (Hz)
+     * @param {number} start - Início (tempo do contexto, em s)
+     * @param {number} duration - Duração (s)
+     */
+    playTone(def, frequency, start, duration) {
+        const ctx = this.context;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        osc.type = def.wave;
+        osc.frequency.setValueAtTime(frequency, start);
+        if (def.endFrequency) {
+            osc.frequency.exponentialRampToValueAtTime(def.endFrequency, start + duration);
+        }
+
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(def.volume, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        osc.connect(gain);
+        gain.connect(this.buses.sfx);
+        osc.start(start);
+        osc.stop(start + duration);
+    }
+
+    /**
+     * Toca um ruído filtrado (impactos)
+     * @param {Object} def - Definição do som (frequency é o corte do filtro)
+     */
+    playNoise(def) {
+        const ctx = this.context;
+        const length = Math.floor(ctx.sampleRate * def.duration);
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        const now = ctx.currentTime;
+
+        source.buffer = buffer;
+        filter.type = 'lowpass';
+        filter.frequency.value = def.frequency;
+        gain.gain.setValueAtTime(def.volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + def.duration);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.buses.sfx);
+        source.start(now);
+    }
+
+    /**
+     * Define volumes e mudo (das configurações do save)
+     * @param {Object} settings - { masterVolume, musicVolume, sfxVolume, muted }
+     */
+    setVolumes(settings) {
+        this.volumes = {
+            master: settings.masterVolume,
+            music: settings.musicVolume,
+            sfx: settings.sfxVolume
+        };
+        this.muted = settings.muted;
+        this.applyVolumes();
+    }
+
+    /**
+     * Aplica os volumes aos barramentos (se o áudio já foi liberado)
+     */
+    applyVolumes() {
+        if (!this.buses) return;
+
+        const now = this.context.currentTime;
+        this.buses.master.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.buses.music.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+        this.buses.sfx.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+    }
+
+    /**
+     * Pausa ou retoma todo o áudio (acompanha a pausa do jogo)
+     * @param {boolean} paused - true para pausar
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        if (!this.context) return;
+
+        if (paused) {
+            this.context.suspend();
+        } else {
+            this.context.resume();
+        }
+    }
+}
+
+// Efeitos sonoros procedurais
+// - Tons: onda, frequência inicial (ou sequência de notas) e final opcional (glissando)
+// - Ruído (noise): frequency é o corte do filtro passa-baixa
+// Durações em segundos, volumes de 0 a 1.
+AudioManager.SOUNDS = {
+    sonar: { wave: 'sine', frequency: 1400, endFrequency: 900, duration: 1.2, volume: 0.4 },
+    impactCreature: { noise: true, frequency: 600, duration: 0.25, volume: 0.7 },
+    impactRock: { noise: true, frequency: 250, duration: 0.45, volume: 0.9 },
+    bubble: { wave: 'sine', frequency: 350, endFrequency: 900, duration: 0.15, volume: 0.3 },
+    alarm: { wave: 'square', frequency: 880, endFrequency: 660, duration: 0.3, volume: 0.15 },
+    zone: { wave: 'triangle', notes: [392, 523, 659], duration: 0.6, volume: 0.3 },
+    mission: { wave: 'square', notes: [659, 988], duration: 0.3, volume: 0.15 },
+    achievement: { wave: 'triangle', notes: [784, 988, 1175, 1568], duration: 0.5, volume: 0.3 },
+    victory: { wave: 'triangle', notes: [523, 659, 784, 1047], duration: 1.2, volume: 0.35 },
+    gameOver: { wave: 'sawtooth', notes: [392, 330, 262, 196], duration: 1.6, volume: 0.2 }
+};
+
+// Som de cada evento do jogo (game:over escolhe entre victory e gameOver)
+AudioManager.EVENT_SOUNDS = {
+    'sonar:fired': 'sonar',
+    'collision:monster': 'impactCreature',
+    'collision:obstacle': 'impactRock',
+    'pickup:bubble': 'bubble',
+    'zone:entered': 'zone',
+    'mission:completed': 'mission',
+    'achievement:unlocked': 'achievement'
+};
+
+// Drone ambiente: frequência base (Hz) e corte do filtro (Hz) na superfície e no fundo
+AudioManager.AMBIENCE = {
+    surfaceFrequency: 110,
+    bottomFrequency: 41,
+    surfaceCutoff: 900,
+    bottomCutoff: 140
+};
+
+// Intervalo entre os bipes do alarme de oxigênio (s)
+AudioManager.ALARM_INTERVAL = 1.5;
@@ -0,0 +1,130 @@
+/**
+ * Bestiary.js
+ * Registro de espécies de criaturas, carregado de data/bestiary.json
+ *
+ * Cada espécie define tamanho, hitbox (frações do tamanho), velocidade e vida
+ * base, dano de contato, pontos ao ser abatida, cor do brilho, sprite (com emoji
+ * de fallback), comportamento (MonsterAI.BEHAVIORS), animação (Animator.DEFINITIONS)
+ * e a faixa de profundidade em que aparece.
+ *
+ * O JSON é a única fonte das espécies. Bestiary.DEFAULT_SPECIES é só uma reserva
+ * mínima, usada quando o arquivo não pode ser lido (ex: index.html aberto via
+ * file://, onde fetch falha).
+ */
+
+class Bestiary {
+    /**
+     * Construtor do Bestiary
+     * @param {Array<Object>} species - Definições de espécies
+     */
+    constructor(species = Bestiary.DEFAULT_SPECIES) {
+        this.species = species.filter(def => Bestiary.validate(def));
+    }
+
+    /**
+     * Carrega o bestiário de um arquivo JSON
+     * Nunca rejeita: se o arquivo não carregar ou for inválido, usa a reserva embutida.
+     * @param {string} url - Caminho do JSON
+     * @returns {Promise<Bestiary>}
+     */
+    static async load(url = Bestiary.URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            const bestiary = new Bestiary(data.species || []);
+            if (bestiary.species.length === 0) {
+                throw new Error('nenhuma espécie válida');
+            }
+            return bestiary;
+        } catch (error) {
+            console.warn(`Bestiário "${url}" não carregou (${error.message}), usando a reserva embutida.`);
+            return new Bestiary();
+        }
+    }
+
+    /**
+     * Verifica se uma definição de espécie tem os campos obrigatórios
+     * @param {Object} def - Definição da espécie
+     * @returns {boolean}
+     */
+    static validate(def) {
+        const missing = Bestiary.REQUIRED_FIELDS.filter(field => def[field] === undefined);
+        if (missing.length > 0) {
+            console.warn(`Espécie "${def.id || '?'}" ignorada, faltam campos: ${missing.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Obtém uma espécie
+     * @param {string} id - Identificador da espécie
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.species.find(def => def.id === id);
+    }
+
+    /**
+     * Obtém todas as espécies
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return this.species;
+    }
+
+    /**
+     * Obtém as espécies que aparecem em uma profundidade, na ordem do arquivo
+     * @param {number} depth - Profundidade em metros
+     * @returns {Array<Object>}
+     */
+    getSpawnable(depth) {
+        return this.species.filter(def => depth >= def.minDepth && depth <= def.maxDepth);
+    }
+
+    /**
+     * Monta o manifesto de imagens das espécies (para o AssetManager)
+     * @returns {Object} - Mapa sprite -> caminho
+     */
+    getImageManifest() {
+        const manifest = {};
+        this.species.forEach(def => {
+            if (def.image) manifest[def.sprite] = def.image;
+        });
+        return manifest;
+    }
+}
+
+// Caminho do bestiário
+Bestiary.URL = 'data/bestiary.json';
+
+// Campos obrigatórios de uma espécie
+Bestiary.REQUIRED_FIELDS = [
+    'id', 'name', 'sprite', 'emoji', 'width', 'height', 'hitbox', 'speed', 'health',
+    'contactDamage', 'score', 'glowColor', 'behavior', 'minDepth', 'maxDepth'
+];
+
+// Espécie mínima de reserva, usada só quando data/bestiary.json não pode ser lido.
+// As espécies do jogo ficam apenas no JSON (em Node, headless.js o lê com fs).
+Bestiary.DEFAULT_SPECIES = [
+    {
+        id: 'squid',
+        name: 'Lula',
+        sprite: 'squid',
+        emoji: '🦑',
+        width: 80,
+        height: 80,
+        hitbox: { x: 0.2, y: 0.1, width: 0.6, height: 0.8 },
+        speed: 0.8,
+        health: 100,
+        contactDamage: 10,
+        score: 150,
+        glowColor: 'rgba(0, 255, 255, 0.5)',
+        behavior: 'squid',
+        minDepth: 0,
+        maxDepth: 11000
+    }
+];
@@ -0,0 +1,129 @@
+/**
+ * Biomes.js
+ * Zonas de profundidade do oceano (biomas)
+ *
+ * Cada zona começa em `depth` metros e define:
+ * - spawnWeights: peso de cada espécie do bestiário no spawn de monstros
+ *   (espécies fora da tabela usam Biomes.DEFAULT_SPAWN_WEIGHT; peso 0 não aparece)
+ * - obstacleWeights: peso de cada tipo de obstáculo (ver Biomes.OBSTACLES)
+ * - hazardWeights: peso de cada perigo do ambiente (current, vent; ver Hazard)
+ * - dark: escuridão total (obstáculos só aparecem no farol ou no sonar)
+ * - ambient: estilo das partículas ambientes (plankton, snow, glow)
+ * - oxygenDrain: multiplicador do consumo de oxigênio
+ * - background: cor do fundo do oceano
+ */
+
+class Biomes {
+    /**
+     * Obtém a zona de uma profundidade
+     * @param {number} depth - Profundidade em metros
+     * @returns {Object} - Zona (ver Biomes.ZONES)
+     */
+    static getZone(depth) {
+        let current = Biomes.ZONES[0];
+        Biomes.ZONES.forEach(zone => {
+            if (depth >= zone.depth) current = zone;
+        });
+        return current;
+    }
+
+    /**
+     * Obtém a profundidade em que uma zona termina
+     * @param {Object} zone - Zona
+     * @returns {number}
+     */
+    static getZoneEnd(zone) {
+        const next = Biomes.ZONES[Biomes.ZONES.indexOf(zone) + 1];
+        return next ? next.depth : Simulation.MAX_DEPTH;
+    }
+
+    /**
+     * Obtém o peso de spawn de uma espécie em uma zona
+     * @param {Object} zone - Zona
+     * @param {string} speciesId - Identificador da espécie
+     * @returns {number}
+     */
+    static getSpawnWeight(zone, speciesId) {
+        const weight = zone.spawnWeights[speciesId];
+        return weight === undefined ? Biomes.DEFAULT_SPAWN_WEIGHT : weight;
+    }
+}
+
+// Peso de spawn das espécies que a zona não lista (ex: novas espécies do bestiário)
+Biomes.DEFAULT_SPAWN_WEIGHT = 1;
+
+// Tipos de obstáculo (tamanho mínimo/máximo em px, dano ao colidir)
+Biomes.OBSTACLES = {
+    rock: { name: 'rocha', minSize: 80, maxSize: 120, damage: 25 },
+    coral: { name: 'coral', minSize: 70, maxSize: 100, damage: 15 },
+    wreck: { name: 'destroços', minSize: 90, maxSize: 130, damage: 30 }
+};
+
+// Zonas, da superfície ao fundo
+Biomes.ZONES = [
+    {
+        id: 'epipelagic',
+        name: 'Epipelágica',
+        description: 'Zona iluminada',
+        depth: 0,
+        spawnWeights: { squid: 3, angler: 0, viper: 1, shark: 3 },
+        obstacleWeights: { coral: 3, rock: 1 },
+        hazardWeights: { current: 1 },
+        dark: false,
+        ambient: { style: 'plankton', color: '100, 200, 255', drift: 1 },
+        oxygenDrain: 1,
+        background: { r: 0, g: 100, b: 150 }
+    },
+    {
+        id: 'mesopelagic',
+        name: 'Mesopelágica',
+        description: 'Zona da meia-luz',
+        depth: 1000,
+        spawnWeights: { squid: 3, angler: 1, viper: 3, shark: 2 },
+        obstacleWeights: { coral: 1, rock: 3 },
+        hazardWeights: { current: 2 },
+        dark: false,
+        ambient: { style: 'plankton', color: '120, 180, 230', drift: 0.8 },
+        oxygenDrain: 1.1,
+        background: { r: 0, g: 60, b: 120 }
+    },
+    {
+        id: 'bathyal',
+        name: 'Batial',
+        description: 'Zona da meia-noite',
+        depth: 3000,
+        spawnWeights: { squid: 2, angler: 3, viper: 3, shark: 1 },
+        obstacleWeights: { rock: 3, wreck: 1 },
+        hazardWeights: { current: 2, vent: 1 },
+        dark: false,
+        ambient: { style: 'snow', color: '220, 225, 235', drift: 0.6 },
+        oxygenDrain: 1.25,
+        background: { r: 0, g: 30, b: 80 }
+    },
+    {
+        id: 'abyssal',
+        name: 'Abissal',
+        description: 'Planícies abissais',
+        depth: 6000,
+        spawnWeights: { squid: 2, angler: 4, viper: 2, shark: 0 },
+        obstacleWeights: { rock: 2, wreck: 2 },
+        hazardWeights: { current: 1, vent: 2 },
+        dark: true,
+        ambient: { style: 'glow', color: '80, 255, 200', drift: 0.4 },
+        oxygenDrain: 1.4,
+        background: { r: 0, g: 15, b: 50 }
+    },
+    {
+        id: 'hadal',
+        name: 'Hadal',
+        description: 'Fossas oceânicas',
+        depth: 9000,
+        spawnWeights: { squid: 1, angler: 3, viper: 3, shark: 0 },
+        obstacleWeights: { rock: 1 },
+        hazardWeights: { current: 1, vent: 3 },
+        dark: true,
+        ambient: { style: 'glow', color: '180, 120, 255', drift: 0.3 },
+        oxygenDrain: 1.6,
+        background: { r: 0, g: 5, b: 20 }
+    }
+];
@@ -4,7 +4,7 @@
  * 
  * CORREÇÃO CRÍTICA:
  * A renderização dos objetos do mundo é feita com: ctx.translate(0, depthOffset)
- * onde depthOffset = -depth + 300 + cameraOffset
+ * onde depthOffset = Viewport.getDepthOffset(depth, cameraOffset)
  * 
  * Para que a colisão seja sincronizada com a renderização visual,
  * TODOS os objetos devem ser comparados no MESMO sistema de coordenadas.
@@ -15,10 +15,12 @@
  */
 
 class CollisionDetector {
-    constructor() {
-        // Rastrear objetos em cooldown de colisão (para evitar múltiplas colisões)
-        this.collisionCooldown = new Map();
-        this.cooldownDuration = 100; // ms
+    /**
+     * Construtor do CollisionDetector
+     * @param {Viewport} viewport - Tela lógica (transformação profundidade -> tela)
+     */
+    constructor(viewport) {
+        this.viewport = viewport;
     }
 
     /**
@@ -36,55 +38,6 @@ class CollisionDetector {
         );
     }
 
-    /**
-     * Verifica se um objeto está em cooldown de colisão
-     * @param {GameObject} obj - Objeto a verificar
-     * @returns {boolean} - true se está em cooldown
-     */
-    isInCollisionCooldown(obj) {
-        if (!this.collisionCooldown.has(obj.id)) {
-            return false;
-        }
-
-        const cooldownTime = this.collisionCooldown.get(obj.id);
-        const now = Date.now();
-
-        if (now - cooldownTime >= this.cooldownDuration) {
-            this.collisionCooldown.delete(obj.id);
-            return false;
-        }
-
-        return true;
-    }
-
-    /**
-     * Define um objeto em cooldown de colisão
-     * @param {GameObject} obj - Objeto a colocar em cooldown
-     */
-    setCollisionCooldown(obj) {
-        this.collisionCooldown.set(obj.id, Date.now());
-    }
-
-    /**
-     * Limpa o cooldown de um objeto
-     * @param {GameObject} obj - Objeto a limpar
-     */
-    clearCollisionCooldown(obj) {
-        this.collisionCooldown.delete(obj.id);
-    }
-
-    /**
-     * Calcula o depthOffset que é usado na renderização
-     * CRÍTICO: Este deve ser o MESMO cálculo usado no Renderer.js
-     * 
-     * @param {number} depth - Profundidade atual do submarino
-     * @param {number} cameraOffset - Offset da câmera
-     * @returns {number} - O offset de profundidade
-     */
-    calculateDepthOffset(depth, cameraOffset) {
-        return -depth + 300 + cameraOffset;
-    }
-
     /**
      * Obtém a hitbox de um objeto do mundo em coordenadas de tela
      * CRÍTICO: Isso garante que a hitbox acompanhe visualmente a imagem
@@ -94,7 +47,7 @@ class CollisionDetector {
      * @returns {Object} - Hitbox em coordenadas de tela {x, y, width, height}
      */
     getWorldObjectScreenHitbox(obj, depthOffset) {
-        // Obter a hitbox base do objeto (com offsets específicos do tipo)
+        // Obter a hitbox base do objeto (componente hitbox, ver GameObject.getHitbox)
         const baseHitbox = obj.getHitbox();
         
         // Aplicar a transformação de câmera à coordenada Y
@@ -110,114 +63,63 @@ class CollisionDetector {
     }
 
     /**
-     * Verifica colisão entre o submarino e monstros
+     * Verifica quais entidades do mundo tocam o submarino
+     * Sem estado: quem reage ao contato decide o que fazer (colisões removem a
+     * entidade no mesmo passo; fontes hidrotermais agem enquanto o contato durar).
      * @param {Submarine} submarine - O submarino
-     * @param {Array<GameObject>} monsters - Array de monstros
+     * @param {Array<GameObject>} entities - Entidades a verificar
      * @param {number} depth - Profundidade atual
      * @param {number} cameraOffset - Offset da câmera
-     * @returns {Array<GameObject>} - Array de monstros que colidiram
+     * @returns {Array<GameObject>} - Entidades que tocam o submarino
      */
-    checkMonsterCollisions(submarine, monsters, depth, cameraOffset) {
+    checkContacts(submarine, entities, depth, cameraOffset) {
         const subScreenHitbox = submarine.getScreenHitbox();
-        const depthOffset = this.calculateDepthOffset(depth, cameraOffset);
-        const collisions = [];
+        const depthOffset = this.viewport.getDepthOffset(depth, cameraOffset);
 
-        monsters.forEach(monster => {
-            if (!this.isInCollisionCooldown(monster)) {
-                const monsterScreenHitbox = this.getWorldObjectScreenHitbox(monster, depthOffset);
-                
-                if (this.checkAABB(subScreenHitbox, monsterScreenHitbox)) {
-                    collisions.push(monster);
-                    this.setCollisionCooldown(monster);
-                }
-            }
-        });
-
-        return collisions;
+        return entities.filter(entity =>
+            this.checkAABB(subScreenHitbox, this.getWorldObjectScreenHitbox(entity, depthOffset))
+        );
     }
 
     /**
-     * Verifica colisão entre o submarino e obstáculos
-     * @param {Submarine} submarine - O submarino
-     * @param {Array<GameObject>} obstacles - Array de obstáculos
-     * @param {number} depth - Profundidade atual
-     * @param {number} cameraOffset - Offset da câmera
-     * @returns {Array<GameObject>} - Array de obstáculos que colidiram
+     * Verifica colisão entre projéteis e objetos do mundo
+     * Projéteis e alvos estão em coordenadas do mundo, então não há conversão de câmera.
+     * Cada projétil atinge no máximo um alvo (o primeiro encontrado).
+     * @param {Array<Projectile>} projectiles - Array de projéteis
+     * @param {Array<GameObject>} targets - Array de alvos
+     * @returns {Array<Object>} - Array de acertos { projectile, target }
      */
-    checkObstacleCollisions(submarine, obstacles, depth, cameraOffset) {
-        const subScreenHitbox = submarine.getScreenHitbox();
-        const depthOffset = this.calculateDepthOffset(depth, cameraOffset);
-        const collisions = [];
-
-        obstacles.forEach(obstacle => {
-            if (!this.isInCollisionCooldown(obstacle)) {
-                const obstacleScreenHitbox = this.getWorldObjectScreenHitbox(obstacle, depthOffset);
-                
-                if (this.checkAABB(subScreenHitbox, obstacleScreenHitbox)) {
-                    collisions.push(obstacle);
-                    this.setCollisionCooldown(obstacle);
-                }
-            }
-        });
-
-        return collisions;
-    }
+    checkProjectileCollisions(projectiles, targets) {
+        const hits = [];
 
-    /**
-     * Verifica colisão entre o submarino e bolhas
-     * @param {Submarine} submarine - O submarino
-     * @param {Array<GameObject>} bubbles - Array de bolhas
-     * @param {number} depth - Profundidade atual
-     * @param {number} cameraOffset - Offset da câmera
-     * @returns {Array<GameObject>} - Array de bolhas que colidiram
-     */
-    checkBubbleCollisions(submarine, bubbles, depth, cameraOffset) {
-        const subScreenHitbox = submarine.getScreenHitbox();
-        const depthOffset = this.calculateDepthOffset(depth, cameraOffset);
-        const collisions = [];
+        projectiles.forEach(projectile => {
+            const projectileHitbox = projectile.getHitbox();
+            const target = targets.find(obj => this.checkAABB(projectileHitbox, obj.getHitbox()));
 
-        bubbles.forEach(bubble => {
-            const bubbleScreenHitbox = this.getWorldObjectScreenHitbox(bubble, depthOffset);
-            
-            if (this.checkAABB(subScreenHitbox, bubbleScreenHitbox)) {
-                collisions.push(bubble);
+            if (target) {
+                hits.push({ projectile, target });
             }
         });
 
-        return collisions;
+        return hits;
     }
 
     /**
-     * Limpa cooldowns expirados
+     * Obtém os objetos do mundo cuja hitbox toca um círculo (ex: pulso de atordoamento)
+     * @param {Object} center - Centro do círculo em coordenadas do mundo { x, y }
+     * @param {number} radius - Raio do círculo
+     * @param {Array<GameObject>} objects - Array de objetos
+     * @returns {Array<GameObject>} - Objetos atingidos
      */
-    cleanupCooldowns() {
-        const now = Date.now();
-        const expiredIds = [];
+    getObjectsInRadius(center, radius, objects) {
+        return objects.filter(obj => {
+            const hitbox = obj.getHitbox();
 
-        this.collisionCooldown.forEach((cooldownTime, id) => {
-            if (now - cooldownTime >= this.cooldownDuration) {
-                expiredIds.push(id);
-            }
-        });
-
-        expiredIds.forEach(id => this.collisionCooldown.delete(id));
-    }
+            // Ponto da hitbox mais próximo do centro
+            const closestX = Math.max(hitbox.x, Math.min(center.x, hitbox.x + hitbox.width));
+            const closestY = Math.max(hitbox.y, Math.min(center.y, hitbox.y + hitbox.height));
 
-    /**
-     * Reseta todos os cooldowns
-     */
-    reset() {
-        this.collisionCooldown.clear();
-    }
-
-    /**
-     * Retorna informações de debug sobre colisões
-     * @returns {Object}
-     */
-    getDebugInfo() {
-        return {
-            activeCooldowns: this.collisionCooldown.size,
-            cooldownDuration: this.cooldownDuration
-        };
+            return Math.hypot(center.x - closestX, center.y - closestY) <= radius;
+        });
     }
 }
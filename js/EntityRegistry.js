@@ -0,0 +1,94 @@
+/**
+ * EntityRegistry.js
+ * Registro único das entidades do mundo (criaturas, obstáculos, bolhas, perigos, torpedos)
+ *
+ * Cada entidade é um GameObject com componentes (GameObject.addComponent); os
+ * sistemas da simulação, a colisão e a renderização consultam o registro pelos
+ * componentes (query) em vez de manter um array por tipo de entidade. Um novo
+ * tipo de entidade é só uma nova combinação de componentes.
+ *
+ * Componentes:
+ * - transform: objeto no mundo (acompanha a rolagem, é interpolado e sai ao deixar a tela)
+ * - velocity { swim, bounce }: move pela velocidade; swim ondula, bounce vira nas bordas
+ * - hitbox { x, y, width, height }: hitbox em frações do tamanho (sem ele, o retângulo inteiro)
+ * - renderable { layer, style, animated }: camada e forma de desenho (ver Renderer.LAYERS)
+ * - damageOnContact { damage, source, label, event }: fere o submarino ao tocar e some
+ * - pickup { oxygen, credits, event }: coletado ao tocar o submarino
+ * - sonarVisible { blip, hidden }: revelado pelo sonar; blip marca a última posição e
+ *   hidden esconde a entidade enquanto não estiver revelada
+ * - destructible { points }: recebe dano de armas (vida em GameObject.health)
+ * - projectile { damage }: atinge entidades com damageOnContact
+ * - lifetime { remaining }: removida quando o tempo (ms) acaba
+ * - hazard: perigo do ambiente (ver Hazard e Simulation.updateHazards)
+ */
+
+class EntityRegistry {
+    constructor() {
+        this.entities = [];
+    }
+
+    /**
+     * Registra uma entidade
+     * @param {GameObject} entity - Entidade
+     * @returns {GameObject} - A própria entidade
+     */
+    add(entity) {
+        this.entities.push(entity);
+        return entity;
+    }
+
+    /**
+     * Remove as entidades que satisfazem uma condição
+     * @param {Function} predicate - Recebe a entidade; true para remover
+     * @returns {Array<GameObject>} - Entidades removidas
+     */
+    removeWhere(predicate) {
+        const removed = this.entities.filter(predicate);
+        if (removed.length > 0) {
+            this.entities = this.entities.filter(entity => !removed.includes(entity));
+        }
+        return removed;
+    }
+
+    /**
+     * Remove entidades
+     * @param {Array<GameObject>} entities - Entidades a remover
+     */
+    removeAll(entities) {
+        if (entities.length === 0) return;
+        this.entities = this.entities.filter(entity => !entities.includes(entity));
+    }
+
+    /**
+     * Obtém as entidades que têm todos os componentes, na ordem de registro
+     * @param {...string} components - Nomes dos componentes
+     * @returns {Array<GameObject>}
+     */
+    query(...components) {
+        return this.entities.filter(entity => components.every(name => entity.hasComponent(name)));
+    }
+
+    /**
+     * Conta as entidades que satisfazem uma condição
+     * @param {Function} predicate - Recebe a entidade
+     * @returns {number}
+     */
+    count(predicate) {
+        return this.entities.filter(predicate).length;
+    }
+
+    /**
+     * Obtém todas as entidades, na ordem de registro
+     * @returns {Array<GameObject>}
+     */
+    getAll() {
+        return this.entities;
+    }
+
+    /**
+     * Remove todas as entidades
+     */
+    clear() {
+        this.entities = [];
+    }
+}
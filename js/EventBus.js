@@ -0,0 +1,114 @@
+/**
+ * EventBus.js
+ * Barramento de eventos (publicar/assinar) entre os subsistemas do jogo
+ *
+ * Quem produz um acontecimento só o publica (emit); quem reage a ele assina o
+ * tipo de evento (on). Assim a simulação não conhece HUD, áudio ou conquistas,
+ * e um novo comportamento é só mais um assinante.
+ *
+ * Os tipos são fixos (EventBus.EVENTS, tipo -> campos obrigatórios dos dados):
+ * publicar ou assinar um tipo desconhecido, ou publicar sem um dos campos, lança
+ * um erro, para que nomes digitados errado não virem eventos que ninguém escuta.
+ * Já um assinante que falha só gera um aviso: os demais continuam recebendo o
+ * evento e quem publicou (ex: Simulation.step) não é interrompido no meio.
+ */
+
+class EventBus {
+    /**
+     * Construtor do EventBus
+     * @param {Object} types - Tipos de evento aceitos (tipo -> campos obrigatórios)
+     */
+    constructor(types = EventBus.EVENTS) {
+        this.types = types;
+        this.listeners = new Map(); // Tipo -> assinantes, na ordem de assinatura
+    }
+
+    /**
+     * Assina um tipo de evento
+     * @param {string} type - Tipo do evento
+     * @param {Function} handler - Recebe os dados do evento
+     * @returns {Function} - Cancela a assinatura
+     */
+    on(type, handler) {
+        this.checkType(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Cancela a assinatura de um tipo de evento
+     * @param {string} type - Tipo do evento
+     * @param {Function} handler - Assinante registrado em on()
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    /**
+     * Publica um evento para todos os assinantes do tipo
+     * @param {string} type - Tipo do evento
+     * @param {Object} data - Dados do evento (com os campos de EventBus.EVENTS[type])
+     */
+    emit(type, data = {}) {
+        this.checkType(type);
+
+        const missing = this.types[type].find(field => !(field in data));
+        if (missing) {
+            throw new Error(`Evento ${type} sem o campo "${missing}"`);
+        }
+
+        // Cópia: um assinante pode cancelar a assinatura durante o evento
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            [...handlers].forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.warn(`Assinante de ${type} falhou:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Garante que o tipo de evento existe
+     * @param {string} type - Tipo do evento
+     */
+    checkType(type) {
+        if (!Object.prototype.hasOwnProperty.call(this.types, type)) {
+            throw new Error(`Tipo de evento desconhecido: ${type}`);
+        }
+    }
+}
+
+// Tipos de evento e campos obrigatórios dos dados
+EventBus.EVENTS = {
+    // Simulação
+    'dive:started': ['seed'],
+    'hint:shown': ['text'],
+    'damage:taken': ['source', 'damage'], // source: creature, rock, vent, pressure
+    'collision:monster': ['entity', 'damage'], // Publicados pelo componente damageOnContact
+    'collision:obstacle': ['entity', 'damage'],
+    'pickup:bubble': ['count', 'oxygen', 'credits'],
+    'monster:killed': ['monster', 'points'],
+    'monster:scanned': ['monster'],
+    'sonar:fired': ['x', 'y', 'range'],
+    'zone:entered': ['zone'],
+    'depth:milestone': ['depth'],
+    'mission:completed': ['mission'],
+    'upgrade:unlocked': ['id', 'level'],
+    'game:over': ['reason', 'cause', 'score', 'depth'],
+
+    // Progresso e entrada
+    'achievement:unlocked': ['achievements'],
+    'input:action': ['action']
+};
@@ -1,78 +1,326 @@
 /**
  * Game.js
- * Classe principal que gerencia o estado e a lógica do jogo
+ * Classe principal do navegador: renderiza a simulação e liga a interface (DOM)
+ *
+ * Os subsistemas conversam pelo barramento de eventos (events): a simulação e a
+ * entrada publicam, e a interface (dicas, faixa de zona, fim de jogo), o áudio e
+ * as conquistas assinam (ver subscribeEvents).
  */
 
 class Game {
-    constructor(canvas) {
+    /**
+     * Construtor do Game
+     * @param {HTMLCanvasElement} canvas - Canvas do jogo
+     * @param {Object} options - Opções do mergulho
+     * @param {number|string} [options.seed] - Semente fixa (código de mergulho) para o mundo
+     * @param {SaveManager} [options.saveManager] - Progresso persistente (já carregado)
+     * @param {AssetManager} [options.assets] - Imagens pré-carregadas
+     * @param {Bestiary} [options.bestiary] - Espécies de criaturas (padrão: Bestiary.DEFAULT_SPECIES)
+     */
+    constructor(canvas, options = {}) {
         // Componentes principais
         this.canvas = canvas;
-        this.renderer = new Renderer(canvas);
-        this.inputHandler = new InputHandler(this);
-        this.collisionDetector = new CollisionDetector();
-        this.submarine = new Submarine(350, 270, 100, 60);
-
-        // Estado do jogo
-        this.gameState = {
-            oxygen: 100,
-            energy: 100,
-            health: 100,
-            depth: 0,
-            score: 0,
-            sonarActive: false,
-            sonarCooldown: 0
-        };
-
-        // Objetos do jogo
-        this.monsters = [];
-        this.obstacles = [];
-        this.bubbles = [];
-        this.particles = [];
-
-        // Upgrades
-        this.upgrades = {
-            oxygenTank: false,
-            advancedSonar: false,
-            reinforcedHull: false,
-            turboThrust: false
-        };
-
-        // Controle de spawn
-        this.nextMonsterId = 1;
-        this.lastSpawnDepth = 0;
-        this.lastResourceUpdate = 0;
-        this.resourceUpdateInterval = 50;
+        this.events = new EventBus();
+        this.bestiary = options.bestiary || new Bestiary();
+        this.viewport = new Viewport();
+        this.viewport.attach(canvas);
+        this.renderer = new Renderer(canvas, this.viewport, options.assets || null, this.bestiary);
+        const radarCanvas = document.getElementById('radarCanvas');
+        this.radar = radarCanvas ? new Radar(radarCanvas) : null;
+        this.inputHandler = new InputHandler(this.events, canvas);
+        this.audio = new AudioManager();
+        this.simulation = new Simulation({
+            seed: options.seed,
+            bestiary: this.bestiary,
+            viewport: this.viewport,
+            events: this.events
+        });
+        this.saveManager = options.saveManager || new SaveManager(null);
+        this.achievements = new Achievements();
 
         // Controle de estado
-        this.gameOverTriggered = false;
-        this.gameOverReason = '';
         this.debugMode = false;
         this.menuOpen = null;
-        this.hint = '';
+        this.rebindingAction = null; // Ação cuja tecla está sendo trocada
         this.hintTimeout = null;
+        this.zoneBannerTimeout = null;
 
-        // Recompensas reclamadas
-        this.claimedRewards = new Set();
-
-        // Loop do jogo
-        this.lastFrameTime = Date.now();
+        // Loop do jogo (passo fixo com acumulador)
+        this.fixedTimeStep = 1000 / 60; // ms de simulação por passo
+        this.maxFrameTime = 250; // Evita a "espiral da morte" após travamentos
+        this.accumulator = 0;
+        this.lastFrameTime = null;
         this.frameCount = 0;
         this.fps = 0;
 
-        this.initializeParticles();
+        // Controle de tempo
+        this.paused = false;
+        this.timeScale = 1;
+        this.timeScaleOptions = [1, 0.5, 0.25];
+
+        this.subscribeEvents();
         this.setupUIEventListeners();
+        this.applySave();
+
+        // Começar com os tanques cheios, já com a capacidade dos upgrades salvos
+        this.simulation.reset(this.simulation.seed);
+    }
+
+    /**
+     * Aplica o progresso salvo (upgrades, créditos e configurações)
+     */
+    applySave() {
+        const save = this.saveManager.data;
+        this.simulation.upgrades.restore(save.upgrades);
+        this.achievements.restore(save.achievements);
+        this.simulation.clampResources();
+        this.applySettings(save.settings);
+        this.updateHUD();
+    }
+
+    /**
+     * Aplica as configurações na interface
+     * @param {Object} settings - Configurações do save
+     */
+    applySettings(settings) {
+        this.audio.setVolumes(settings);
+        this.inputHandler.setBindings(settings.keyBindings);
+        this.updateControlsDisplay();
+
+        const controlsDisplay = document.getElementById('controlsDisplay');
+        if (controlsDisplay) {
+            controlsDisplay.style.display = settings.showControls ? '' : 'none';
+        }
+    }
+
+    /**
+     * Gera a lista de controles na tela e o aviso de pausa a partir das teclas atuais
+     */
+    updateControlsDisplay() {
+        const input = this.inputHandler;
+        const controlsDisplay = document.getElementById('controlsDisplay');
+
+        if (controlsDisplay) {
+            controlsDisplay.innerHTML = '';
+            Game.CONTROLS_DISPLAY.forEach(({ actions, label }) => {
+                const item = document.createElement('div');
+                item.className = 'controls-item';
+
+                const key = document.createElement('span');
+                key.className = 'control-key';
+                key.textContent = actions.map(action => input.getActionKeyLabel(action)).join('/');
+
+                const desc = document.createElement('span');
+                desc.className = 'control-desc';
+                desc.textContent = label;
+
+                item.append(key, desc);
+                controlsDisplay.appendChild(item);
+            });
+        }
+
+        const pauseDesc = document.getElementById('pauseDesc');
+        if (pauseDesc) {
+            pauseDesc.textContent = `Pressione ${input.getActionKeyLabel('pause')} para continuar`;
+        }
     }
 
     /**
-     * Inicializa partículas ambientes
+     * Atualiza a lista de teclas do menu de configurações
      */
-    initializeParticles() {
-        this.particles = Array.from({ length: 50 }, () => ({
-            x: Math.random() * 800,
-            y: Math.random() * 600,
-            size: Math.random() * 3 + 1,
-            speed: Math.random() * 0.5 + 0.2
-        }));
+    updateKeyBindingsDisplay() {
+        const input = this.inputHandler;
+        const list = document.getElementById('keyBindingsList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        Object.entries(InputHandler.ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('div');
+            row.className = 'key-binding';
+
+            const name = document.createElement('span');
+            name.className = 'key-binding-label';
+            name.textContent = label;
+
+            const button = document.createElement('button');
+            button.className = 'key-binding-button';
+            button.classList.toggle('capturing', this.rebindingAction === action);
+            button.textContent = this.rebindingAction === action
+                ? 'Pressione uma tecla...'
+                : input.getActionKeyLabel(action);
+            button.addEventListener('click', () => this.startRebind(action));
+
+            row.append(name, button);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Começa a trocar a tecla de uma ação (a próxima tecla pressionada é a nova)
+     * @param {string} action - Nome da ação
+     */
+    startRebind(action) {
+        this.rebindingAction = action;
+        this.setKeyBindingsMessage('Pressione a nova tecla (ESC cancela)');
+        this.updateKeyBindingsDisplay();
+        this.inputHandler.captureNextKey(code => this.finishRebind(action, code));
+    }
+
+    /**
+     * Conclui a troca de tecla iniciada em startRebind
+     * Se a tecla já for de outra ação, nada muda e a captura continua.
+     * @param {string} action - Nome da ação
+     * @param {string|null} code - Código da tecla, ou null se o jogador cancelou
+     */
+    finishRebind(action, code) {
+        if (code !== null) {
+            const conflict = this.inputHandler.rebind(action, code);
+            if (conflict) {
+                const keyLabel = this.inputHandler.getKeyLabel(code);
+                this.setKeyBindingsMessage(`✗ ${keyLabel} já está em uso por "${InputHandler.ACTIONS[conflict]}". Escolha outra tecla.`);
+                this.inputHandler.captureNextKey(next => this.finishRebind(action, next));
+                return;
+            }
+
+            this.saveManager.updateSettings({ keyBindings: this.inputHandler.getBindingOverrides() });
+            this.saveManager.save();
+            this.updateControlsDisplay();
+        }
+
+        this.rebindingAction = null;
+        this.setKeyBindingsMessage('');
+        this.updateKeyBindingsDisplay();
+    }
+
+    /**
+     * Cancela a troca de tecla em andamento
+     */
+    cancelRebind() {
+        if (!this.rebindingAction) return;
+
+        this.inputHandler.cancelCapture();
+        this.rebindingAction = null;
+        this.setKeyBindingsMessage('');
+        this.updateKeyBindingsDisplay();
+    }
+
+    /**
+     * Volta todas as teclas para o padrão
+     */
+    resetKeyBindings() {
+        this.cancelRebind();
+        this.saveManager.updateSettings({ keyBindings: {} });
+        this.saveManager.save();
+        this.applySettings(this.saveManager.data.settings);
+        this.updateKeyBindingsDisplay();
+        this.showHint('⌨ Teclas restauradas!');
+    }
+
+    /**
+     * Mostra uma mensagem na seção de controles do menu de configurações
+     * @param {string} text - Mensagem (vazia para limpar)
+     */
+    setKeyBindingsMessage(text) {
+        const message = document.getElementById('keyBindingsMessage');
+        if (message) message.textContent = text;
+    }
+
+    /**
+     * Assina os eventos do jogo (interface, áudio, conquistas e save)
+     */
+    subscribeEvents() {
+        const events = this.events;
+
+        this.audio.subscribe(events);
+        this.achievements.subscribe(events);
+
+        events.on('input:action', ({ action }) => this.handleAction(action));
+        events.on('hint:shown', ({ text }) => this.showHint(text));
+        events.on('zone:entered', ({ zone }) => this.showZoneBanner(zone));
+        events.on('upgrade:unlocked', () => this.saveProgress());
+        events.on('game:over', ({ reason, score }) => this.endGame(reason, score));
+        events.on('achievement:unlocked', ({ achievements }) => {
+            this.showHint(`🏆 Conquista desbloqueada: ${achievements.map(def => def.title).join(', ')}!`);
+            this.saveManager.setAchievements(this.achievements.serialize());
+            this.saveManager.save();
+        });
+    }
+
+    /**
+     * Executa uma ação da entrada (teclado, controle ou toque)
+     * @param {string} action - Nome da ação (ver InputHandler.ACTIONS)
+     */
+    handleAction(action) {
+        // Com o mundo parado, sonar e armas não agem (gastariam energia e recarga)
+        if (Game.DIVE_ACTIONS.includes(action) && !this.isDiveRunning()) return;
+
+        switch (action) {
+            case 'sonar':
+                this.activateSonar();
+                break;
+            case 'torpedo':
+                this.fireTorpedo();
+                break;
+            case 'pulse':
+                this.activateStunPulse();
+                break;
+            case 'openMissions':
+                this.toggleMenu('missions');
+                break;
+            case 'openUpgrades':
+                this.toggleMenu('upgrades');
+                break;
+            case 'openSettings':
+                this.toggleMenu('settings');
+                break;
+            case 'openAchievements':
+                this.toggleMenu('achievements');
+                break;
+            case 'menu':
+                // Start: fecha o menu aberto ou abre as opções
+                if (this.menuOpen) {
+                    this.closeMenu();
+                } else {
+                    this.toggleMenu('settings');
+                }
+                break;
+            case 'closeMenu':
+                this.closeMenu();
+                break;
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
+            case 'debug':
+                this.toggleDebugMode();
+                break;
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'step':
+                this.stepFrame();
+                break;
+            case 'timeScale':
+                this.cycleTimeScale();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Grava upgrades e créditos atuais no save
+     */
+    saveProgress() {
+        this.saveManager.setUpgrades(this.simulation.upgrades.serialize());
+        this.saveManager.save();
+    }
+
+    /**
+     * Obtém o código de mergulho (semente em base 36) do mergulho atual
+     * @returns {string}
+     */
+    getDiveCode() {
+        return this.simulation.getDiveCode();
     }
 
     /**
@@ -85,9 +333,17 @@ class Game {
             restartButton.addEventListener('click', () => this.restart());
         }
 
+        // Botão de repetir o mesmo mergulho (mesma semente)
+        const replayButton = document.getElementById('replayButton');
+        if (replayButton) {
+            replayButton.addEventListener('click', () => this.restart(this.simulation.seed));
+        }
+
         // Botões de fechar menus
         const closeMissionsBtn = document.getElementById('closeMissionsMenu');
         const closeUpgradesBtn = document.getElementById('closeUpgradesMenu');
+        const closeAchievementsBtn = document.getElementById('closeAchievementsMenu');
+        const closeSettingsBtn = document.getElementById('closeSettingsMenu');
 
         if (closeMissionsBtn) {
             closeMissionsBtn.addEventListener('click', () => this.closeMenu());
@@ -95,6 +351,70 @@ class Game {
         if (closeUpgradesBtn) {
             closeUpgradesBtn.addEventListener('click', () => this.closeMenu());
         }
+        if (closeAchievementsBtn) {
+            closeAchievementsBtn.addEventListener('click', () => this.closeMenu());
+        }
+        if (closeSettingsBtn) {
+            closeSettingsBtn.addEventListener('click', () => this.closeMenu());
+        }
+
+        // Configurações e save
+        const showControlsInput = document.getElementById('settingShowControls');
+        if (showControlsInput) {
+            showControlsInput.addEventListener('change', () => {
+                this.saveManager.updateSettings({ showControls: showControlsInput.checked });
+                this.saveManager.save();
+                this.applySettings(this.saveManager.data.settings);
+            });
+        }
+
+        // Volumes: aplicados enquanto o controle desliza, gravados ao soltar
+        Object.entries(Game.VOLUME_SETTINGS).forEach(([elementId, key]) => {
+            const input = document.getElementById(elementId);
+            if (!input) return;
+
+            input.addEventListener('input', () => {
+                this.saveManager.updateSettings({ [key]: Number(input.value) / 100 });
+                this.applySettings(this.saveManager.data.settings);
+            });
+            input.addEventListener('change', () => this.saveManager.save());
+        });
+
+        const mutedInput = document.getElementById('settingMuted');
+        if (mutedInput) {
+            mutedInput.addEventListener('change', () => {
+                this.saveManager.updateSettings({ muted: mutedInput.checked });
+                this.saveManager.save();
+                this.applySettings(this.saveManager.data.settings);
+            });
+        }
+
+        const resetBindingsButton = document.getElementById('resetBindingsButton');
+        if (resetBindingsButton) {
+            resetBindingsButton.addEventListener('click', () => this.resetKeyBindings());
+        }
+
+        const exportButton = document.getElementById('exportSaveButton');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportSave());
+        }
+
+        const importInput = document.getElementById('importSaveInput');
+        const importButton = document.getElementById('importSaveButton');
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.importSave(importInput.files[0]);
+                }
+                importInput.value = '';
+            });
+        }
+
+        const resetButton = document.getElementById('resetSaveButton');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.resetSave());
+        }
 
         // Overlay de menu
         const menuOverlay = document.getElementById('menuOverlay');
@@ -103,30 +423,38 @@ class Game {
         }
     }
 
+    /**
+     * Verifica se o mergulho está correndo (sem pausa, sem menu aberto e sem fim de jogo)
+     * @returns {boolean}
+     */
+    isDiveRunning() {
+        return !this.paused && !this.menuOpen && !this.simulation.gameOverTriggered;
+    }
+
     /**
      * Ativa o sonar
      */
     activateSonar() {
-        if (this.gameState.energy >= 20 && this.gameState.sonarCooldown <= 0 && !this.gameState.sonarActive) {
-            this.gameState.energy = Math.max(0, this.gameState.energy - (this.upgrades.advancedSonar ? 10 : 20));
-            this.gameState.sonarActive = true;
-            this.gameState.sonarCooldown = 5;
+        this.simulation.activateSonar();
+    }
 
-            this.showHint('✓ Sonar ativado!');
+    /**
+     * Dispara um torpedo
+     */
+    fireTorpedo() {
+        this.simulation.fireTorpedo();
+    }
 
-            setTimeout(() => {
-                this.gameState.sonarActive = false;
-            }, 3000);
-        } else if (this.gameState.energy < 20) {
-            this.showHint('✗ Energia insuficiente!');
-        } else if (this.gameState.sonarCooldown > 0) {
-            this.showHint('✗ Sonar em cooldown!');
-        }
+    /**
+     * Dispara o pulso elétrico
+     */
+    activateStunPulse() {
+        this.simulation.activateStunPulse();
     }
 
     /**
      * Alterna o menu
-     * @param {string} menuName - Nome do menu (missions, upgrades)
+     * @param {string} menuName - Nome do menu (ver Game.MENUS)
      */
     toggleMenu(menuName) {
         if (this.menuOpen === menuName) {
@@ -142,369 +470,490 @@ class Game {
      */
     openMenu(menuName) {
         this.menuOpen = menuName;
+        this.syncAudioPause();
         const overlay = document.getElementById('menuOverlay');
-        const missionsMenu = document.getElementById('missionsMenu');
-        const upgradesMenu = document.getElementById('upgradesMenu');
 
         if (overlay) overlay.style.display = 'block';
-        if (missionsMenu) missionsMenu.style.display = menuName === 'missions' ? 'block' : 'none';
-        if (upgradesMenu) upgradesMenu.style.display = menuName === 'upgrades' ? 'block' : 'none';
+        Object.entries(Game.MENUS).forEach(([name, elementId]) => {
+            const menu = document.getElementById(elementId);
+            if (menu) menu.style.display = menuName === name ? 'block' : 'none';
+        });
 
+        this.updateMissionsDisplay();
         this.updateUpgradesDisplay();
+        this.updateAchievementsDisplay();
+        this.updateSettingsDisplay();
+    }
+
+    /**
+     * Atualiza o menu de missões (progresso do mergulho atual)
+     */
+    updateMissionsDisplay() {
+        const content = document.getElementById('missionsContent');
+        if (!content) return;
+
+        const simulation = this.simulation;
+        const context = simulation.getMissionContext();
+        const missions = simulation.missions.getAll();
+
+        content.innerHTML = '';
+        [
+            { title: 'Principais', optional: false },
+            { title: 'Opcionais deste mergulho', optional: true }
+        ].forEach(group => {
+            const header = document.createElement('div');
+            header.className = 'mission-group';
+            header.textContent = group.title;
+            content.appendChild(header);
+
+            missions.filter(mission => mission.optional === group.optional).forEach(mission => {
+                const { current, target } = simulation.missions.getProgress(mission, context);
+
+                const element = document.createElement('div');
+                element.className = `mission-item ${mission.status}`;
+
+                const title = document.createElement('div');
+                title.className = 'mission-title';
+                title.textContent = `${Game.MISSION_STATUS_ICONS[mission.status]} ${mission.def.title}`;
+
+                const desc = document.createElement('div');
+                desc.className = 'mission-desc';
+                desc.textContent = mission.def.description;
+
+                const bar = document.createElement('div');
+                bar.className = 'mission-progress';
+                const fill = document.createElement('div');
+                fill.className = 'mission-progress-fill';
+                fill.style.width = `${Math.round(current / target * 100)}%`;
+                bar.appendChild(fill);
+
+                const progress = document.createElement('div');
+                progress.className = 'mission-progress-text';
+                progress.textContent = mission.status === 'failed' ? 'Falhou' : `${current}/${target}`;
+
+                const reward = document.createElement('div');
+                reward.className = 'mission-reward';
+                reward.textContent = Missions.formatReward(mission.def.reward);
+
+                element.append(title, desc, bar, progress, reward);
+                content.appendChild(element);
+            });
+        });
+    }
+
+    /**
+     * Atualiza a galeria de conquistas
+     */
+    updateAchievementsDisplay() {
+        const achievements = this.achievements;
+        const countEl = document.getElementById('achievementsCount');
+        if (countEl) {
+            countEl.textContent = `${achievements.getUnlockedCount()}/${achievements.definitions.length}`;
+        }
+
+        const content = document.getElementById('achievementsContent');
+        if (!content) return;
+
+        content.innerHTML = '';
+        achievements.getAll().forEach(({ def, unlockedAt }) => {
+            const element = document.createElement('div');
+            element.className = `achievement-item ${unlockedAt ? 'unlocked' : 'locked'}`;
+
+            const icon = document.createElement('div');
+            icon.className = 'achievement-icon';
+            icon.textContent = unlockedAt ? def.icon : '🔒';
+
+            const title = document.createElement('div');
+            title.className = 'achievement-title';
+            title.textContent = def.title;
+
+            const desc = document.createElement('div');
+            desc.className = 'achievement-desc';
+            desc.textContent = def.description;
+
+            element.append(icon, title, desc);
+
+            if (unlockedAt) {
+                const date = document.createElement('div');
+                date.className = 'achievement-date';
+                date.textContent = new Date(unlockedAt).toLocaleDateString('pt-BR');
+                element.appendChild(date);
+            }
+
+            content.appendChild(element);
+        });
     }
 
     /**
      * Fecha o menu
      */
     closeMenu() {
+        this.cancelRebind();
         this.menuOpen = null;
+        this.syncAudioPause();
         const overlay = document.getElementById('menuOverlay');
-        const missionsMenu = document.getElementById('missionsMenu');
-        const upgradesMenu = document.getElementById('upgradesMenu');
 
         if (overlay) overlay.style.display = 'none';
-        if (missionsMenu) missionsMenu.style.display = 'none';
-        if (upgradesMenu) upgradesMenu.style.display = 'none';
+        Object.values(Game.MENUS).forEach(elementId => {
+            const menu = document.getElementById(elementId);
+            if (menu) menu.style.display = 'none';
+        });
     }
 
     /**
-     * Alterna o modo debug
+     * Atualiza o menu de configurações (recordes e opções)
      */
-    toggleDebugMode() {
-        this.debugMode = !this.debugMode;
-        this.showHint(this.debugMode ? '🔧 Debug ON' : '🔧 Debug OFF');
+    updateSettingsDisplay() {
+        const save = this.saveManager.data;
+        const values = {
+            recordBestScore: save.bestScore,
+            recordBestDepth: `${save.bestDepth}m`,
+            recordDives: save.lifetime.dives,
+            recordVictories: save.lifetime.victories
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+
+        const showControlsInput = document.getElementById('settingShowControls');
+        if (showControlsInput) showControlsInput.checked = save.settings.showControls;
+
+        Object.entries(Game.VOLUME_SETTINGS).forEach(([elementId, key]) => {
+            const input = document.getElementById(elementId);
+            if (input) input.value = Math.round(save.settings[key] * 100);
+        });
+
+        const mutedInput = document.getElementById('settingMuted');
+        if (mutedInput) mutedInput.checked = save.settings.muted;
+
+        this.updateKeyBindingsDisplay();
     }
 
     /**
-     * Mostra uma dica na tela
-     * @param {string} text - Texto da dica
+     * Baixa o save atual como arquivo JSON
      */
-    showHint(text) {
-        this.hint = text;
-        const hintDisplay = document.getElementById('hintDisplay');
-        if (hintDisplay) {
-            hintDisplay.textContent = text;
-            hintDisplay.classList.add('active');
-        }
-
-        if (this.hintTimeout) clearTimeout(this.hintTimeout);
-        this.hintTimeout = setTimeout(() => {
-            this.hint = '';
-            if (hintDisplay) hintDisplay.classList.remove('active');
-        }, 3000);
+    exportSave() {
+        this.saveProgress();
+
+        const blob = new Blob([this.saveManager.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'abyss-depth-diver-save.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.showHint('💾 Save exportado!');
     }
 
     /**
-     * Atualiza a exibição de upgrades no menu
+     * Importa um save de um arquivo JSON
+     * @param {File} file - Arquivo escolhido pelo jogador
      */
-    updateUpgradesDisplay() {
-        const upgradeIds = ['oxygenTank', 'advancedSonar', 'reinforcedHull', 'turboThrust'];
-        upgradeIds.forEach(id => {
-            const element = document.getElementById(`upgrade-${id}`);
-            if (element) {
-                if (this.upgrades[id]) {
-                    element.classList.add('unlocked');
-                    const status = element.querySelector('.upgrade-status');
-                    if (status) status.textContent = '✓ Desbloqueado';
-                } else {
-                    element.classList.remove('unlocked');
-                }
+    importSave(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.saveManager.importJSON(reader.result);
+                this.applySave();
+                this.updateUpgradesDisplay();
+                this.updateAchievementsDisplay();
+                this.updateSettingsDisplay();
+                this.showHint('💾 Save importado!');
+            } catch (error) {
+                this.showHint(`✗ ${error.message}`);
             }
-        });
+        };
+        reader.onerror = () => this.showHint('✗ Não foi possível ler o arquivo!');
+        reader.readAsText(file);
     }
 
     /**
-     * Atualiza a HUD
+     * Apaga todo o progresso salvo (após confirmação)
      */
-    updateHUD() {
-        document.getElementById('oxygenBar').style.width = `${Math.max(0, this.gameState.oxygen)}%`;
-        document.getElementById('oxygenValue').textContent = `${Math.round(this.gameState.oxygen)}%`;
-
-        document.getElementById('energyBar').style.width = `${Math.max(0, this.gameState.energy)}%`;
-        document.getElementById('energyValue').textContent = `${Math.round(this.gameState.energy)}%`;
-
-        document.getElementById('healthBar').style.width = `${Math.max(0, this.gameState.health)}%`;
-        document.getElementById('healthValue').textContent = `${Math.round(this.gameState.health)}%`;
-
-        document.getElementById('depthValue').textContent = `${Math.round(this.gameState.depth)}m`;
-        document.getElementById('scoreValue').textContent = `${Math.round(this.gameState.score)}`;
-
-        if (this.gameState.sonarCooldown > 0) {
-            document.getElementById('sonarValue').textContent = `${this.gameState.sonarCooldown.toFixed(1)}s`;
-        } else {
-            document.getElementById('sonarValue').textContent = 'Pronto';
+    resetSave() {
+        if (!window.confirm('Apagar todo o progresso salvo? Esta ação não pode ser desfeita.')) {
+            return;
         }
+
+        this.saveManager.clear();
+        this.applySave();
+        this.updateUpgradesDisplay();
+        this.updateAchievementsDisplay();
+        this.updateSettingsDisplay();
+        this.showHint('🗑 Progresso apagado!');
     }
 
     /**
-     * Gera monstros proceduralmente
+     * Alterna o modo debug
      */
-    spawnMonsters() {
-        const currentDepth = this.gameState.depth;
-
-        if (currentDepth - this.lastSpawnDepth >= 400 + Math.random() * 300) {
-            this.lastSpawnDepth = currentDepth;
-
-            const enemyCount = Math.min(1 + Math.floor(currentDepth / 2000), 3);
-
-            for (let i = 0; i < enemyCount; i++) {
-                const monsterTypes = ['squid', 'angler', 'viper', 'shark'];
-                const type = monsterTypes[Math.floor(Math.random() * monsterTypes.length)];
+    toggleDebugMode() {
+        this.debugMode = !this.debugMode;
+        this.showHint(this.debugMode ? '🔧 Debug ON' : '🔧 Debug OFF');
+    }
 
-                const depthMultiplier = 1 + currentDepth / 5000;
-                const direction = Math.random() > 0.5 ? 1 : -1;
-                const baseSpeed = (type === 'viper' ? 1.5 : type === 'shark' ? 1.2 : type === 'squid' ? 0.8 : 0.6);
+    /**
+     * Pausa o áudio enquanto a simulação estiver parada (pausa ou menu aberto)
+     */
+    syncAudioPause() {
+        this.audio.setPaused(this.paused || this.menuOpen !== null);
+    }
 
-                const monster = new GameObject(
-                    direction > 0 ? -100 : 900,
-                    currentDepth + 600 + Math.random() * 400,
-                    type === 'shark' ? 150 : type === 'angler' ? 100 : type === 'viper' ? 120 : 80,
-                    type === 'shark' ? 100 : type === 'angler' ? 80 : type === 'viper' ? 60 : 80,
-                    type
-                );
+    /**
+     * Alterna a pausa do jogo
+     */
+    togglePause() {
+        if (this.simulation.gameOverTriggered) return;
 
-                monster.id = this.nextMonsterId++;
-                monster.velocityX = direction * baseSpeed * (1 + currentDepth / 10000);
-                monster.velocityY = (Math.random() - 0.5) * 0.3;
-                monster.health = Math.floor((type === 'shark' ? 200 : type === 'angler' ? 150 : type === 'viper' ? 120 : 100) * depthMultiplier);
-                monster.speed = baseSpeed * (1 + currentDepth / 10000);
-                monster.visible = false;
+        this.paused = !this.paused;
+        this.accumulator = 0;
+        this.syncAudioPause();
 
-                this.monsters.push(monster);
-            }
+        const pauseDisplay = document.getElementById('pauseDisplay');
+        if (pauseDisplay) {
+            pauseDisplay.style.display = this.paused ? 'flex' : 'none';
         }
     }
 
     /**
-     * Gera obstáculos e bolhas proceduralmente
+     * Define a escala de tempo da simulação (1 = normal, 0.5 = câmera lenta...)
+     * @param {number} scale - Escala de tempo
      */
-    spawnProceduralElements() {
-        const currentDepth = this.gameState.depth;
-
-        // Spawn de obstáculos
-        if (this.obstacles.length < 4 && Math.random() < 0.02) {
-            const obstacle = new GameObject(
-                Math.random() * 700 + 50,
-                currentDepth + 400 + Math.random() * 400,
-                80 + Math.random() * 40,
-                80 + Math.random() * 40,
-                'rock'
-            );
-            obstacle.id = this.nextMonsterId++;
-            this.obstacles.push(obstacle);
-        }
-
-        // Spawn de bolhas
-        if (this.bubbles.length < 5 && Math.random() < 0.025) {
-            const bubble = new GameObject(
-                Math.random() * 750 + 25,
-                currentDepth + 500 + Math.random() * 300,
-                40,
-                40,
-                'bubble'
-            );
-            bubble.id = this.nextMonsterId++;
-            this.bubbles.push(bubble);
-        }
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0.05, Math.min(2, scale));
+        this.showHint(`⏱ Velocidade: ${Math.round(this.timeScale * 100)}%`);
     }
 
     /**
-     * Atualiza o estado do jogo
-     * @param {number} deltaTime - Tempo decorrido desde o último frame
+     * Alterna entre as escalas de tempo disponíveis (apenas em modo debug)
      */
-    update(deltaTime) {
-        if (this.gameOverTriggered || this.menuOpen) return;
+    cycleTimeScale() {
+        if (!this.debugMode) return;
 
-        // Atualizar entrada
-        this.inputHandler.updateCameraOffset();
-        const keys = this.inputHandler.getKeys();
+        const index = this.timeScaleOptions.indexOf(this.timeScale);
+        this.setTimeScale(this.timeScaleOptions[(index + 1) % this.timeScaleOptions.length]);
+    }
 
-        // Atualizar submarino
-        const { worldOffsetY } = this.submarine.update(keys, deltaTime);
+    /**
+     * Avança um único passo de simulação (apenas pausado e em modo debug)
+     */
+    stepFrame() {
+        if (!this.debugMode || !this.paused) return;
 
-        // Mover objetos do mundo
-        if (worldOffsetY !== 0) {
-            this.monsters.forEach(m => m.y += worldOffsetY);
-            this.obstacles.forEach(o => o.y += worldOffsetY);
-            this.bubbles.forEach(b => b.y += worldOffsetY);
-        }
+        this.update(this.fixedTimeStep);
+    }
 
-        // Atualizar profundidade
-        // 1.1. Bug: Aumento de Profundidade Dependente da Tecla 'S'
-        // A profundidade deve aumentar continuamente com o tempo (deltaTime)
-        // e a tecla 's' deve acelerar a descida.
-        let depthIncrease = 0.5 * deltaTime; // Aumento base
-        if (keys.has('s')) {
-            depthIncrease += 1.5 * deltaTime; // Aceleração
-        }
-        this.gameState.depth = Math.min(11000, this.gameState.depth + depthIncrease);
+    /**
+     * Entra ou sai da tela cheia (o canvas se ajusta em Viewport.resize)
+     */
+    toggleFullscreen() {
+        this.viewport.toggleFullscreen(this.canvas.parentElement);
+    }
 
-        // Verificar recompensas de profundidade
-        this.checkDepthRewards();
+    /**
+     * Mostra uma dica na tela
+     * @param {string} text - Texto da dica
+     */
+    showHint(text) {
+        const hintDisplay = document.getElementById('hintDisplay');
+        if (hintDisplay) {
+            hintDisplay.textContent = text;
+            hintDisplay.classList.add('active');
+        }
 
-        // Atualizar profundidade de cor
-        this.renderer.updateDepthColor(this.gameState.depth);
+        if (this.hintTimeout) clearTimeout(this.hintTimeout);
+        this.hintTimeout = setTimeout(() => {
+            if (hintDisplay) hintDisplay.classList.remove('active');
+        }, 3000);
+    }
 
-        // Atualizar partículas
-        this.particles = this.particles.map(p => ({
-            ...p,
-            y: (p.y - p.speed + 600) % 600,
-            x: p.x + Math.sin(Date.now() / 1000 + p.y) * 0.5
-        }));
+    /**
+     * Anuncia a entrada em uma nova zona de profundidade
+     * @param {Object} zone - Zona (ver Biomes.ZONES)
+     */
+    showZoneBanner(zone) {
+        const banner = document.getElementById('zoneBanner');
+        if (!banner) return;
 
-        // Atualizar recursos (throttled)
-        const now = Date.now();
-        if (now - this.lastResourceUpdate >= this.resourceUpdateInterval) {
-            this.lastResourceUpdate = now;
+        document.getElementById('zoneBannerName').textContent = `Zona ${zone.name}`;
+        document.getElementById('zoneBannerDesc').textContent = `${zone.description} · ${zone.depth}m`;
+        banner.classList.add('active');
 
-            this.gameState.oxygen = Math.max(0, this.gameState.oxygen - 0.05);
-            this.gameState.energy = Math.min(100, this.gameState.energy + 0.02);
+        if (this.zoneBannerTimeout) clearTimeout(this.zoneBannerTimeout);
+        this.zoneBannerTimeout = setTimeout(() => banner.classList.remove('active'), 4000);
+    }
 
-            if (this.gameState.oxygen < 20 && this.hint === '') {
-                this.showHint('⚠ Oxigênio baixo! Colete bolhas de ar!');
+    /**
+     * Monta a loja de upgrades no menu (custo, nível atual e se é possível comprar)
+     */
+    updateUpgradesDisplay() {
+        const upgrades = this.simulation.upgrades;
+        const content = document.getElementById('upgradesContent');
+        const creditsEl = document.getElementById('upgradesCredits');
+
+        if (creditsEl) creditsEl.textContent = upgrades.credits;
+        if (!content) return;
+
+        content.innerHTML = '';
+        upgrades.definitions.forEach(def => {
+            const level = upgrades.getLevel(def.id);
+            const maxLevel = upgrades.getMaxLevel(def.id);
+            const nextTier = upgrades.getNextTier(def.id);
+            const currentTier = level > 0 ? def.tiers[level - 1] : null;
+
+            const element = document.createElement('div');
+            element.className = 'upgrade-item';
+            element.id = `upgrade-${def.id}`;
+            element.classList.toggle('unlocked', level > 0);
+            element.classList.toggle('affordable', upgrades.canAfford(def.id));
+
+            const title = document.createElement('div');
+            title.className = 'upgrade-title';
+            title.textContent = level > 0 ? upgrades.getTierName(def.id, level) : def.name;
+
+            const desc = document.createElement('div');
+            desc.className = 'upgrade-desc';
+            desc.textContent = nextTier
+                ? `Próximo nível: ${nextTier.description}`
+                : currentTier.description;
+
+            const status = document.createElement('div');
+            status.className = 'upgrade-status';
+            status.textContent = level > 0 ? `✓ Nível ${level}/${maxLevel}` : `🔒 Nível 0/${maxLevel}`;
+
+            element.append(title, desc, status);
+
+            const button = document.createElement('button');
+            button.className = 'upgrade-buy';
+            if (nextTier) {
+                button.textContent = `Comprar ${upgrades.getTierName(def.id, level + 1)} (${nextTier.cost} créditos)`;
+                button.disabled = !upgrades.canAfford(def.id);
+                button.addEventListener('click', () => this.purchaseUpgrade(def.id));
+            } else {
+                button.textContent = 'Nível máximo';
+                button.disabled = true;
             }
-        }
-
-        // 1.2. Bug: Cooldown do Sonar Inconsistente
-        // O cooldown deve ser decrementado usando o deltaTime para garantir consistência.
-        this.gameState.sonarCooldown = Math.max(0, this.gameState.sonarCooldown - deltaTime);
+            element.appendChild(button);
 
-        // Atualizar monstros
-        this.monsters.forEach(m => {
-            const swimMotion = Math.sin(Date.now() / 500 + m.x) * 0.5;
-            m.x += m.velocityX;
-            m.y += m.velocityY + swimMotion;
+            content.appendChild(element);
+        });
+    }
 
-            // Bounce nas bordas
-            if (m.x < -150 || m.x > 950) {
-                m.velocityX = -m.velocityX;
-            }
+    /**
+     * Compra o próximo nível de um upgrade pela loja
+     * @param {string} id - Identificador do upgrade
+     */
+    purchaseUpgrade(id) {
+        const result = this.simulation.purchaseUpgrade(id);
 
-            m.visible = this.gameState.sonarActive;
-        });
+        if (!result.success && result.reason === 'credits') {
+            this.showHint('✗ Créditos insuficientes!');
+        }
 
-        // Limpar objetos fora de tela
-        this.monsters = this.monsters.filter(m => !m.isOffScreen(800, 600, this.gameState.depth));
-        this.obstacles = this.obstacles.filter(o => !o.isOffScreen(800, 600, this.gameState.depth));
-        this.bubbles = this.bubbles.filter(b => !b.isOffScreen(800, 600, this.gameState.depth));
-
-        // Verificar colisões com monstros
-        const cameraOffset = this.inputHandler.getCameraOffset();
-        const monsterCollisions = this.collisionDetector.checkMonsterCollisions(
-            this.submarine,
-            this.monsters,
-            this.gameState.depth,
-            cameraOffset
-        );
-
-        monsterCollisions.forEach(monster => {
-            const damage = this.upgrades.reinforcedHull ? 7 : 10;
-            this.gameState.health = Math.max(0, this.gameState.health - damage);
-            this.showHint(`✗ -${damage} HP - Criatura marinha!`);
-        });
+        this.updateUpgradesDisplay();
+        this.updateHUD();
+    }
 
-        // 1.3. Bug: Remoção Incorreta de Monstros Colididos
-        // O filtro está correto se `monsterCollisions` contiver apenas os monstros a serem removidos.
-        // O problema é a lógica de cooldown no CollisionDetector, que não está neste arquivo.
-        // Assumindo que a lista está correta, o filtro deve ser mantido.
-        this.monsters = this.monsters.filter(m => !monsterCollisions.includes(m));
-
-        // Verificar colisões com obstáculos
-        const obstacleCollisions = this.collisionDetector.checkObstacleCollisions(
-            this.submarine,
-            this.obstacles,
-            this.gameState.depth,
-            cameraOffset
-        );
-
-        obstacleCollisions.forEach(obstacle => {
-            const damage = this.upgrades.reinforcedHull ? 17 : 25;
-            this.gameState.health = Math.max(0, this.gameState.health - damage);
-            this.showHint(`✗ -${damage} HP - Impacto com rocha!`);
-        });
+    /**
+     * Atualiza a HUD
+     */
+    updateHUD() {
+        const gameState = this.simulation.gameState;
+        const stats = this.simulation.getStats();
 
-        this.obstacles = this.obstacles.filter(o => !obstacleCollisions.includes(o));
+        // Barras em porcentagem da capacidade efetiva (com upgrades)
+        const oxygenPercent = Math.max(0, gameState.oxygen / stats.maxOxygen * 100);
+        const energyPercent = Math.max(0, gameState.energy / stats.maxEnergy * 100);
+        const healthPercent = Math.max(0, gameState.health / stats.maxHealth * 100);
 
-        // Verificar colisões com bolhas
-        const bubbleCollisions = this.collisionDetector.checkBubbleCollisions(
-            this.submarine,
-            this.bubbles,
-            this.gameState.depth,
-            cameraOffset
-        );
+        document.getElementById('oxygenBar').style.width = `${oxygenPercent}%`;
+        document.getElementById('oxygenValue').textContent = `${Math.round(oxygenPercent)}%`;
 
-        if (bubbleCollisions.length > 0) {
-            this.gameState.oxygen = Math.min(100, this.gameState.oxygen + 15 * bubbleCollisions.length);
-            this.showHint(`✓ +${15 * bubbleCollisions.length} Oxigênio!`);
-        }
+        document.getElementById('energyBar').style.width = `${energyPercent}%`;
+        document.getElementById('energyValue').textContent = `${Math.round(energyPercent)}%`;
 
-        this.bubbles = this.bubbles.filter(b => !bubbleCollisions.includes(b));
+        document.getElementById('healthBar').style.width = `${healthPercent}%`;
+        document.getElementById('healthValue').textContent = `${Math.round(healthPercent)}%`;
 
-        // Spawn procedural
-        this.spawnMonsters();
-        this.spawnProceduralElements();
+        document.getElementById('depthValue').textContent = `${Math.round(gameState.depth)}m`;
+        document.getElementById('zoneValue').textContent = this.simulation.zone.name;
+        document.getElementById('scoreValue').textContent = `${Math.round(gameState.score)}`;
+        document.getElementById('creditsValue').textContent = `${this.simulation.upgrades.credits} créditos`;
 
-        // Verificar condições de fim de jogo
-        if (this.gameState.depth >= 11000) {
-            this.endGame('Vitória! Você alcançou o fundo do abismo!', this.gameState.score + 10000);
-        } else if (this.gameState.oxygen <= 0) {
-            this.endGame('Oxigênio esgotado!', this.gameState.score);
-        } else if (this.gameState.health <= 0) {
-            this.endGame('Submarino destruído!', this.gameState.score);
+        if (gameState.sonarCooldown > 0) {
+            document.getElementById('sonarValue').textContent = `${gameState.sonarCooldown.toFixed(1)}s`;
+        } else {
+            document.getElementById('sonarValue').textContent = 'Pronto';
         }
 
-        // Atualizar HUD
-        this.updateHUD();
+        // Avisos dos perigos do ambiente que estão afetando o submarino
+        const warnings = document.getElementById('hazardWarnings');
+        if (warnings) {
+            const active = this.simulation.activeHazards;
+            const html = Object.keys(Game.HAZARD_WARNINGS)
+                .filter(id => active[id])
+                .map(id => `<div class="hazard-warning hazard-${id}">${Game.HAZARD_WARNINGS[id]}</div>`)
+                .join('');
+            if (warnings.innerHTML !== html) warnings.innerHTML = html;
+        }
     }
 
     /**
-     * Verifica recompensas de profundidade
+     * Avança um passo fixo do jogo
+     * @param {number} deltaTime - Tempo de simulação do passo (em ms)
      */
-    checkDepthRewards() {
-        const depth = this.gameState.depth;
+    update(deltaTime) {
+        if (this.simulation.gameOverTriggered || this.menuOpen) return;
 
-        const rewards = [
-            { depth: 2000, oxygen: 20, points: 500, message: '🎉 Zona Batial alcançada!' },
-            { depth: 4000, oxygen: 30, points: 1000, message: '🎉 Zona Abissal alcançada!' },
-            { depth: 6000, oxygen: 40, points: 2000, message: '🎉 Zona Hadal alcançada!' }
-        ];
+        // Atualizar entrada
+        this.inputHandler.updateCameraOffset();
 
-        rewards.forEach(reward => {
-            if (depth >= reward.depth && !this.claimedRewards.has(reward.depth)) {
-                this.claimedRewards.add(reward.depth);
-                this.gameState.oxygen = Math.min(100, this.gameState.oxygen + reward.oxygen);
-                this.gameState.score += reward.points;
-                this.showHint(reward.message);
-            }
+        this.simulation.step(deltaTime, {
+            controls: this.inputHandler.getControls(),
+            cameraOffset: this.inputHandler.getCameraOffset()
         });
 
-        // Desbloquear upgrades
-        if (depth >= 3000 && !this.upgrades.oxygenTank) {
-            this.upgrades.oxygenTank = true;
-            this.showHint('🔓 Upgrade: Tanque de Oxigênio Expandido!');
-        }
-        if (depth >= 5000 && !this.upgrades.advancedSonar) {
-            this.upgrades.advancedSonar = true;
-            this.showHint('🔓 Upgrade: Sonar Avançado!');
-        }
-        if (depth >= 7000 && !this.upgrades.reinforcedHull) {
-            this.upgrades.reinforcedHull = true;
-            this.showHint('🔓 Upgrade: Casco Reforçado!');
-        }
-        if (depth >= 9000 && !this.upgrades.turboThrust) {
-            this.upgrades.turboThrust = true;
-            this.showHint('🔓 Upgrade: Propulsor Turbo!');
-        }
+        // Atualizar HUD
+        this.updateHUD();
     }
 
     /**
-     * Finaliza o jogo
+     * Exibe a tela de fim de jogo
      * @param {string} reason - Motivo do fim de jogo
      * @param {number} finalScore - Pontuação final
      */
     endGame(reason, finalScore) {
-        this.gameOverTriggered = true;
-        this.gameOverReason = reason;
+        // Salvar automaticamente o resultado do mergulho
+        const simulation = this.simulation;
+        const summary = simulation.getRunSummary();
+        const records = this.saveManager.recordRun({
+            score: finalScore,
+            depth: simulation.gameState.depth,
+            victory: reason.includes('Vitória'),
+            duration: summary.duration,
+            bubblesCollected: summary.bubblesCollected,
+            sonarUses: summary.sonarUses
+        });
+
+        // Tabela de melhores mergulhos
+        const entry = {
+            id: `${Date.now()}-${this.getDiveCode()}`,
+            score: Math.round(finalScore),
+            depth: Math.round(simulation.gameState.depth),
+            date: new Date().toISOString(),
+            diveCode: this.getDiveCode(),
+            summary
+        };
+        const leaderboard = new Leaderboard(this.saveManager.data.highScores);
+        if (leaderboard.qualifies(entry)) {
+            leaderboard.submit(entry);
+            this.saveManager.setHighScores(leaderboard.getEntries());
+        }
+        this.saveProgress();
 
         const gameOverScreen = document.getElementById('gameOverScreen');
         const gameOverTitle = document.getElementById('gameOverTitle');
@@ -535,51 +984,124 @@ class Game {
         }
 
         if (maxDepthEl) {
-            maxDepthEl.textContent = `${Math.round(this.gameState.depth)}m`;
+            maxDepthEl.textContent = `${Math.round(this.simulation.gameState.depth)}m`;
+        }
+
+        const diveCodeEl = document.getElementById('diveCode');
+        if (diveCodeEl) {
+            diveCodeEl.textContent = this.getDiveCode();
         }
+
+        const bestScoreEl = document.getElementById('bestScore');
+        if (bestScoreEl) {
+            bestScoreEl.textContent = records.newBestScore
+                ? `${this.saveManager.data.bestScore} (novo recorde!)`
+                : this.saveManager.data.bestScore;
+        }
+
+        this.updateRunSummaryDisplay(summary);
+        this.updateLeaderboardDisplay(leaderboard.getEntries(), entry.id);
     }
 
     /**
-     * Reinicia o jogo
+     * Formata uma duração em ms como m:ss
+     * @param {number} duration - Duração em ms
+     * @returns {string}
      */
-    restart() {
-        this.gameState = {
-            oxygen: 100,
-            energy: 100,
-            health: 100,
-            depth: 0,
-            score: 0,
-            sonarActive: false,
-            sonarCooldown: 0
-        };
+    formatDuration(duration) {
+        const totalSeconds = Math.floor(duration / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
 
-        this.monsters = [];
-        this.obstacles = [];
-        this.bubbles = [];
-        this.initializeParticles();
+    /**
+     * Formata os danos por fonte (ex: "2 criaturas / 1 rochas / 3 perigos")
+     * @param {Object} hitsTaken - Danos por fonte (creature, rock, vent, pressure)
+     * @returns {string}
+     */
+    formatHits(hitsTaken) {
+        return `${hitsTaken.creature} criaturas / ${hitsTaken.rock} rochas / ${hitsTaken.vent + hitsTaken.pressure} perigos`;
+    }
 
-        this.upgrades = {
-            oxygenTank: false,
-            advancedSonar: false,
-            reinforcedHull: false,
-            turboThrust: false
+    /**
+     * Exibe o resumo do mergulho na tela de fim de jogo
+     * @param {Object} summary - Resumo (Simulation.getRunSummary)
+     */
+    updateRunSummaryDisplay(summary) {
+        const values = {
+            summaryDuration: this.formatDuration(summary.duration),
+            summaryBubbles: summary.bubblesCollected,
+            summaryHits: this.formatHits(summary.hitsTaken),
+            summarySonar: summary.sonarUses,
+            summaryKills: summary.monstersKilled || 0,
+            summaryZones: summary.zonesReached.join(', '),
+            summaryCause: Game.CAUSE_LABELS[summary.causeOfDeath] || '-'
         };
 
-        this.nextMonsterId = 1;
-        this.lastSpawnDepth = 0;
-        this.lastResourceUpdate = 0;
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+    }
 
-        this.gameOverTriggered = false;
-        this.gameOverReason = '';
-        this.debugMode = false;
-        this.menuOpen = null;
-        this.hint = '';
+    /**
+     * Exibe a tabela de melhores mergulhos, destacando o mergulho atual
+     * @param {Array<Object>} entries - Entradas ordenadas
+     * @param {string} currentId - Id da entrada do mergulho atual
+     */
+    updateLeaderboardDisplay(entries, currentId) {
+        const body = document.getElementById('leaderboardBody');
+        if (!body) return;
+
+        body.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('current-run', entry.id === currentId);
+
+            const summary = entry.summary;
+            row.title = [
+                `Código: ${entry.diveCode}`,
+                `Bolhas: ${summary.bubblesCollected}`,
+                `Danos: ${this.formatHits(summary.hitsTaken)}`,
+                `Sonar: ${summary.sonarUses}x`,
+                `Zonas: ${summary.zonesReached.join(', ')}`
+            ].join('\n');
+
+            const cells = [
+                index + 1,
+                entry.score,
+                `${entry.depth}m`,
+                this.formatDuration(summary.duration),
+                Game.CAUSE_LABELS[summary.causeOfDeath] || '-'
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        });
+    }
 
-        this.claimedRewards = new Set();
+    /**
+     * Reinicia o jogo
+     * @param {number} [seed] - Semente do novo mergulho (padrão: semente fixa da URL ou uma nova)
+     */
+    restart(seed) {
+        this.simulation.reset(seed);
+
+        this.debugMode = false;
+        if (this.menuOpen) {
+            this.closeMenu();
+        }
+        this.accumulator = 0;
+        if (this.paused) {
+            this.togglePause();
+        }
 
-        this.submarine.reset();
         this.inputHandler.reset();
-        this.collisionDetector.reset();
         this.renderer.reset();
 
         const gameOverScreen = document.getElementById('gameOverScreen');
@@ -592,32 +1114,135 @@ class Game {
 
     /**
      * Inicia o loop do jogo
+     * A simulação avança em passos fixos (fixedTimeStep) acumulando o tempo real
+     * escalado por timeScale; a renderização interpola entre os dois últimos passos.
      */
     start() {
         const gameLoop = (currentTime) => {
-            const deltaTime = currentTime - this.lastFrameTime;
+            if (this.lastFrameTime === null) {
+                this.lastFrameTime = currentTime;
+            }
+
+            // Limitar o tempo do frame para não acumular passos demais após travamentos
+            const frameTime = Math.min(currentTime - this.lastFrameTime, this.maxFrameTime);
             this.lastFrameTime = currentTime;
 
-            // Limitar deltaTime a um máximo de 16ms (60 FPS mínimo)
-            const clampedDeltaTime = Math.min(deltaTime, 16);
+            // Controles não geram eventos; o estado é lido uma vez por frame
+            this.inputHandler.pollGamepads();
+
+            if (!this.paused) {
+                this.accumulator += frameTime * this.timeScale;
+
+                while (this.accumulator >= this.fixedTimeStep) {
+                    this.update(this.fixedTimeStep);
+                    this.accumulator -= this.fixedTimeStep;
+                }
+            }
 
-            this.update(clampedDeltaTime);
+            // Pausado, o último passo é exibido por inteiro
+            const alpha = this.paused ? 1 : this.accumulator / this.fixedTimeStep;
 
             const cameraOffset = this.inputHandler.getCameraOffset();
+            const simulation = this.simulation;
+
+            // Ambiente sonoro acompanha a profundidade; alarme enquanto o oxigênio estiver baixo
+            this.audio.update(
+                simulation.gameState.depth,
+                simulation.isOxygenLow() && !simulation.gameOverTriggered
+            );
+
             this.renderer.render(
-                this.gameState,
-                this.submarine,
-                this.monsters,
-                this.obstacles,
-                this.bubbles,
-                this.particles,
+                simulation.gameState,
+                simulation.submarine,
+                simulation.registry.getAll(),
+                simulation.particles,
                 cameraOffset,
-                this.debugMode
+                this.debugMode,
+                simulation.getInterpolatedDepth(alpha),
+                alpha,
+                {
+                    sonar: simulation.sonar,
+                    inkClouds: simulation.inkClouds,
+                    damageNumbers: simulation.damageNumbers,
+                    pulseProgress: simulation.getPulseProgress(),
+                    pulseRadius: Simulation.WEAPONS.stunPulse.radius,
+                    darkness: simulation.zone.dark
+                }
             );
 
+            // Radar do HUD, com as mesmas entidades do frame
+            if (this.radar) {
+                this.radar.render(
+                    simulation.getSubmarineWorldCenter(cameraOffset),
+                    simulation.submarine.getFacing(),
+                    simulation.gameState.depth,
+                    simulation.getRadarEntities(),
+                    simulation.sonar
+                );
+            }
+
             requestAnimationFrame(gameLoop);
         };
 
         requestAnimationFrame(gameLoop);
     }
 }
+
+// Menus disponíveis (nome usado em toggleMenu -> id do painel no DOM)
+Game.MENUS = {
+    missions: 'missionsMenu',
+    upgrades: 'upgradesMenu',
+    achievements: 'achievementsMenu',
+    settings: 'settingsMenu'
+};
+
+// Ícone de cada situação de missão no menu de missões
+Game.MISSION_STATUS_ICONS = {
+    active: '◻',
+    completed: '✓',
+    failed: '✗'
+};
+
+// Ações que agem no mundo (ignoradas com o mergulho parado, ver isDiveRunning)
+Game.DIVE_ACTIONS = ['sonar', 'torpedo', 'pulse'];
+
+// Controles de volume do menu de configurações (id do elemento -> configuração do save)
+Game.VOLUME_SETTINGS = {
+    settingMasterVolume: 'masterVolume',
+    settingMusicVolume: 'musicVolume',
+    settingSfxVolume: 'sfxVolume'
+};
+
+// Itens da lista de controles na tela (ações que dividem um item mostram as teclas com '/')
+Game.CONTROLS_DISPLAY = [
+    { actions: ['moveLeft', 'moveRight'], label: 'Mover Horizontalmente' },
+    { actions: ['ascend', 'descend'], label: 'Mover Verticalmente' },
+    { actions: ['sonar'], label: 'Ativar Sonar' },
+    { actions: ['torpedo'], label: 'Torpedo' },
+    { actions: ['pulse'], label: 'Pulso Elétrico' },
+    { actions: ['openMissions'], label: 'Missões' },
+    { actions: ['openUpgrades'], label: 'Upgrades' },
+    { actions: ['openAchievements'], label: 'Conquistas' },
+    { actions: ['openSettings'], label: 'Opções' },
+    { actions: ['fullscreen'], label: 'Tela Cheia' },
+    { actions: ['debug'], label: 'Debug' },
+    { actions: ['pause'], label: 'Pausar' }
+];
+
+// Descrição da causa do fim de cada mergulho (Simulation.runStats.causeOfDeath)
+Game.CAUSE_LABELS = {
+    victory: 'Vitória',
+    oxygen: 'Sem oxigênio',
+    creature: 'Criatura marinha',
+    rock: 'Rocha',
+    vent: 'Fonte hidrotermal',
+    pressure: 'Pressão'
+};
+
+// Avisos do HUD para cada perigo ativo (Simulation.activeHazards)
+Game.HAZARD_WARNINGS = {
+    pressure: '⚠ Pressão acima do limite do casco',
+    vent: '♨ Fonte hidrotermal: casco aquecendo, energia recarregando',
+    current: '🌊 Correnteza',
+    darkness: '🌑 Escuridão total: rochas só no farol'
+};
@@ -1,6 +1,9 @@
 /**
  * GameObject.js
  * Classe base para todos os objetos do jogo (monstros, obstáculos, bolhas)
+ *
+ * Objetos do mundo são entidades do EntityRegistry: o comportamento vem dos
+ * componentes adicionados (addComponent), não do tipo do objeto.
  */
 
 class GameObject {
@@ -10,7 +13,7 @@ class GameObject {
      * @param {number} y - Posição Y do objeto (em coordenadas do mundo)
      * @param {number} width - Largura do objeto
      * @param {number} height - Altura do objeto
-     * @param {string} type - Tipo do objeto (shark, squid, angler, viper, rock, bubble)
+     * @param {string} type - Tipo do objeto (id da espécie no bestiário, obstáculo de Biomes.OBSTACLES, bubble)
      */
     constructor(x, y, width, height, type) {
         this.x = x;
@@ -22,43 +25,115 @@ class GameObject {
         // Propriedades de movimento
         this.velocityX = 0;
         this.velocityY = 0;
+
+        // Posição no passo de simulação anterior (para interpolação na renderização)
+        this.previousX = x;
+        this.previousY = y;
         
         // Propriedades específicas para monstros
         this.health = 0;
         this.speed = 0;
         this.id = 0;
+        this.species = null; // Definição da espécie no bestiário (ver Bestiary)
         
         // Visibilidade (para sonar)
         this.visible = false;
+        this.revealTime = 0; // Tempo restante revelado pela onda do sonar (ms)
         
-        // Timestamp para animação
-        this.createdAt = Date.now();
+        // Comportamento (monstros; ver MonsterAI)
+        this.ai = null;
+
+        // Animação por quadros (clipes definidos por tipo em Animator.DEFINITIONS)
+        this.animator = Animator.forType(type);
+
+        // Componentes da entidade (nome -> dados, ver EntityRegistry)
+        this.components = {};
+    }
+
+    /**
+     * Adiciona (ou substitui) um componente
+     * @param {string} name - Nome do componente
+     * @param {Object} data - Dados do componente
+     * @returns {GameObject} - O próprio objeto (para encadear)
+     */
+    addComponent(name, data = {}) {
+        this.components[name] = data;
+        return this;
+    }
+
+    /**
+     * Verifica se o objeto tem um componente
+     * @param {string} name - Nome do componente
+     * @returns {boolean}
+     */
+    hasComponent(name) {
+        return this.components[name] !== undefined;
+    }
+
+    /**
+     * Obtém os dados de um componente
+     * @param {string} name - Nome do componente
+     * @returns {Object|undefined}
+     */
+    getComponent(name) {
+        return this.components[name];
     }
 
     /**
-     * Atualiza a posição do objeto com base na velocidade
-     * @param {number} deltaTime - Tempo decorrido desde o último frame (em ms)
+     * Avança a animação, virando o sprite para o lado em que o objeto se move
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
      */
-    update(deltaTime = 1) {
-        this.x += this.velocityX;
-        this.y += this.velocityY;
+    updateAnimation(deltaTime) {
+        this.animator.setFacingFromVelocity(this.velocityX);
+        this.animator.update(deltaTime);
+    }
+
+    /**
+     * Guarda a posição atual como posição anterior
+     * Chamado no início de cada passo fixo de simulação
+     */
+    savePreviousPosition() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+    }
+
+    /**
+     * Desloca o objeto com a rolagem do mundo
+     * A posição anterior acompanha o deslocamento, para que a interpolação
+     * compare as duas posições no mesmo referencial.
+     * @param {number} offsetY - Deslocamento vertical (px)
+     */
+    shift(offsetY) {
+        this.y += offsetY;
+        this.previousY += offsetY;
+    }
+
+    /**
+     * Obtém a posição interpolada entre o passo anterior e o atual
+     * @param {number} alpha - Fração do passo (0 = anterior, 1 = atual)
+     * @returns {Object} - Objeto com propriedades x, y
+     */
+    getInterpolatedPosition(alpha = 1) {
+        return {
+            x: this.previousX + (this.x - this.previousX) * alpha,
+            y: this.previousY + (this.y - this.previousY) * alpha
+        };
     }
 
     /**
      * Verifica se o objeto está fora da tela
-     * @param {number} screenWidth - Largura da tela
-     * @param {number} screenHeight - Altura da tela
+     * @param {Viewport} viewport - Tela lógica do jogo
      * @param {number} depth - Profundidade atual do jogador
      * @returns {boolean} - true se o objeto está fora da tela
      */
-    isOffScreen(screenWidth, screenHeight, depth) {
+    isOffScreen(viewport, depth) {
         // Verificar se está fora dos limites horizontais
-        if (this.x < -200 || this.x > screenWidth + 200) {
+        if (this.x < -200 || this.x > viewport.width + 200) {
             return true;
         }
         
-        // Verificar se está muito longe da profundidade do jogador
-        if (Math.abs(this.y - depth) > 1200) {
+        // Verificar se está muito longe da profundidade do jogador (duas alturas de tela)
+        if (Math.abs(this.y - depth) > viewport.height * 2) {
             return true;
         }
         
@@ -67,68 +142,20 @@ class GameObject {
 
     /**
      * Obtém o hitbox do objeto
+     * Usa as frações do componente hitbox; sem ele, o retângulo inteiro do objeto.
      * @returns {Object} - Objeto com propriedades x, y, width, height
      */
     getHitbox() {
-        let offsetX = 0;
-        let offsetY = 0;
-        let hitboxWidth = this.width;
-        let hitboxHeight = this.height;
-
-        // Ajustes de Hitbox para objetos específicos (estimativas baseadas em formas típicas)
-        switch (this.type) {
-            case 'shark':
-                // Corpo principal do tubarão (ignorar cauda e nadadeiras)
-                offsetX = this.width * 0.1;
-                offsetY = this.height * 0.2;
-                hitboxWidth = this.width * 0.8;
-                hitboxHeight = this.height * 0.6;
-                break;
-            case 'squid':
-                // Corpo principal da lula (ignorar tentáculos)
-                offsetX = this.width * 0.2;
-                offsetY = this.height * 0.1;
-                hitboxWidth = this.width * 0.6;
-                hitboxHeight = this.height * 0.8;
-                break;
-            case 'angler':
-                // Corpo principal do peixe (ignorar luz e nadadeiras)
-                offsetX = this.width * 0.15;
-                offsetY = this.height * 0.2;
-                hitboxWidth = this.width * 0.7;
-                hitboxHeight = this.height * 0.6;
-                break;
-            case 'viper':
-                // Corpo da víbora (ignorar cauda fina)
-                offsetX = this.width * 0.05;
-                offsetY = this.height * 0.1;
-                hitboxWidth = this.width * 0.9;
-                hitboxHeight = this.height * 0.8;
-                break;
-            case 'rock':
-                // Rocha (usar 80% do tamanho para um buffer)
-                offsetX = this.width * 0.1;
-                offsetY = this.height * 0.1;
-                hitboxWidth = this.width * 0.8;
-                hitboxHeight = this.height * 0.8;
-                break;
-            case 'bubble':
-                // Bolha (usar 70% do tamanho para um buffer)
-                offsetX = this.width * 0.15;
-                offsetY = this.height * 0.15;
-                hitboxWidth = this.width * 0.7;
-                hitboxHeight = this.height * 0.7;
-                break;
-            default:
-                // Submarino já tem sua própria lógica de hitbox em Submarine.js
-                break;
+        const hitbox = this.getComponent('hitbox');
+        if (!hitbox) {
+            return { x: this.x, y: this.y, width: this.width, height: this.height };
         }
 
         return {
-            x: this.x + offsetX,
-            y: this.y + offsetY,
-            width: hitboxWidth,
-            height: hitboxHeight
+            x: this.x + this.width * hitbox.x,
+            y: this.y + this.height * hitbox.y,
+            width: this.width * hitbox.width,
+            height: this.height * hitbox.height
         };
     }
 
@@ -0,0 +1,57 @@
+/**
+ * Hazard.js
+ * Perigos do ambiente que ocupam uma área do mundo
+ *
+ * - current: faixa horizontal de correnteza, da largura da tela, que empurra o submarino
+ * - vent: fonte hidrotermal; a área é a coluna de água quente acima da chaminé
+ */
+
+class Hazard extends GameObject {
+    /**
+     * Construtor do Hazard
+     * @param {number} x - Posição X (coordenadas do mundo)
+     * @param {number} y - Posição Y (coordenadas do mundo)
+     * @param {number} width - Largura da área
+     * @param {number} height - Altura da área
+     * @param {string} type - Tipo do perigo (current, vent)
+     * @param {number} strength - Força da correnteza (px por quadro de referência; o sinal é a direção)
+     */
+    constructor(x, y, width, height, type, strength = 0) {
+        super(x, y, width, height, type);
+
+        this.strength = strength;
+
+        // Fase da animação (linhas da correnteza, ondulação da coluna quente)
+        this.phase = 0;
+
+        this.addComponent('transform')
+            .addComponent('renderable', { layer: 'hazards', style: 'hazard', animated: false })
+            .addComponent('hazard');
+    }
+
+    /**
+     * Avança a animação do perigo
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     */
+    update(deltaTime) {
+        const frameScale = deltaTime / Simulation.REFERENCE_FRAME_TIME;
+        this.phase += (this.type === 'current' ? this.strength : 1) * frameScale;
+    }
+
+    /**
+     * Verifica se um ponto está dentro da faixa vertical do perigo
+     * @param {Object} point - Ponto { x, y } em coordenadas do mundo
+     * @returns {boolean}
+     */
+    containsY(point) {
+        return point.y >= this.y && point.y <= this.y + this.height;
+    }
+
+    /**
+     * Retorna uma representação em string do perigo (para debug)
+     * @returns {string}
+     */
+    toString() {
+        return `Hazard(type: ${this.type}, y: ${this.y}, height: ${this.height}, strength: ${this.strength})`;
+    }
+}
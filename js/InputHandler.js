@@ -1,25 +1,60 @@
 /**
  * InputHandler.js
- * Módulo responsável pela entrada de teclado e mouse
+ * Módulo responsável pela entrada de teclado, mouse, controles (Gamepad API) e toque
+ *
+ * Teclas e botões são traduzidos em ações (InputHandler.ACTIONS). Teclas são
+ * identificadas por e.code (posição física), então os padrões funcionam em
+ * qualquer layout (QWERTY, AZERTY...); o jogador pode trocar a tecla de cada
+ * ação (rebind). Ações de movimento são contínuas e viram o estado de controle
+ * de getControls(); as demais disparam ao pressionar e são publicadas no
+ * barramento de eventos (input:action). O toque fica em TouchControls.
  */
 
 class InputHandler {
-    constructor(gameInstance) {
-        this.game = gameInstance;
-        this.keys = new Set();
+    /**
+     * Construtor do InputHandler
+     * @param {EventBus} events - Barramento de eventos (ações e avisos)
+     * @param {HTMLCanvasElement} canvas - Canvas do jogo (arrastar move a câmera no toque)
+     */
+    constructor(events, canvas) {
+        this.events = events;
+        this.keys = new Set(); // Códigos (e.code) das teclas pressionadas
         this.cameraOffset = 0;
         this.targetCameraOffset = 0;
-        
+
+        // Ação -> código da tecla (padrões mais as trocas do jogador)
+        this.setBindings({});
+
+        // Captura da próxima tecla (rebind); recebe o código ou null se cancelada
+        this.captureCallback = null;
+
+        // Mapa código -> caractere do layout do teclado (quando o navegador informa)
+        this.layoutMap = null;
+
+        // Estado do controle, lido a cada frame em pollGamepads()
+        this.gamepadActions = new Set(); // Ações de botões pressionados
+        this.stick = { x: 0, y: 0 }; // Analógico esquerdo, já sem a zona morta
+
+        // Controles de toque (joystick e botões virtuais), se a página os tiver
+        const touchRoot = document.getElementById('touchControls');
+        this.touch = touchRoot ? new TouchControls(this, touchRoot, canvas) : null;
+
         this.setupEventListeners();
     }
 
     /**
-     * Configura os event listeners para teclado e mouse
+     * Configura os event listeners para teclado, mouse e controles
      */
     setupEventListeners() {
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('keyup', (e) => this.handleKeyUp(e));
         window.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        window.addEventListener('gamepadconnected', (e) => {
+            this.events.emit('hint:shown', { text: `🎮 Controle conectado: ${e.gamepad.id}` });
+        });
+        window.addEventListener('gamepaddisconnected', () => {
+            this.events.emit('hint:shown', { text: '🎮 Controle desconectado' });
+        });
     }
 
     /**
@@ -27,33 +62,32 @@ class InputHandler {
      * @param {KeyboardEvent} e - Evento de teclado
      */
     handleKeyDown(e) {
-        const key = e.key.toLowerCase();
-        this.keys.add(key);
+        const code = e.code;
 
-        // Ações especiais
-        if (key === ' ') {
-            e.preventDefault();
-            this.game.activateSonar();
-        }
-        if (key === 'arrowup') {
+        // Espaço e setas rolariam a página
+        if (code === 'Space' || code.startsWith('Arrow')) {
             e.preventDefault();
-            this.targetCameraOffset = Math.max(-100, this.targetCameraOffset - 30);
         }
-        if (key === 'arrowdown') {
+
+        // Escolhendo uma tecla para uma ação: a tecla não dispara nada (Esc cancela)
+        if (this.captureCallback) {
             e.preventDefault();
-            this.targetCameraOffset = Math.min(100, this.targetCameraOffset + 30);
-        }
-        if (key === 'm') {
-            this.game.toggleMenu('missions');
-        }
-        if (key === 'u') {
-            this.game.toggleMenu('upgrades');
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            callback(code === 'Escape' ? null : code);
+            return;
         }
-        if (key === 'escape') {
-            this.game.closeMenu();
-        }
-        if (key === 'b') {
-            this.game.toggleDebugMode();
+
+        // Usando o teclado: esconder os controles de toque
+        if (this.touch) this.touch.setActive(false);
+
+        this.keys.add(code);
+        const action = this.getActionForCode(code);
+
+        // Tecla mantida: a repetição automática só vale para as ações de rolagem
+        // (senão pausa e menus piscariam e o sonar dispararia sem parar)
+        if (action && (!e.repeat || InputHandler.REPEATABLE_ACTIONS.includes(action))) {
+            this.triggerAction(action);
         }
     }
 
@@ -62,8 +96,7 @@ class InputHandler {
      * @param {KeyboardEvent} e - Evento de teclado
      */
     handleKeyUp(e) {
-        const key = e.key.toLowerCase();
-        this.keys.delete(key);
+        this.keys.delete(e.code);
     }
 
     /**
@@ -72,8 +105,221 @@ class InputHandler {
      */
     handleWheel(e) {
         e.preventDefault();
-        const delta = e.deltaY > 0 ? 30 : -30;
-        this.targetCameraOffset = Math.max(-100, Math.min(100, this.targetCameraOffset + delta));
+        this.moveCamera(e.deltaY > 0 ? InputHandler.CAMERA_STEP : -InputHandler.CAMERA_STEP);
+    }
+
+    /**
+     * Desloca o alvo da câmera (positivo = olhar mais para baixo)
+     * @param {number} delta - Deslocamento em px
+     */
+    moveCamera(delta) {
+        const limit = InputHandler.CAMERA_LIMIT;
+        this.targetCameraOffset = Math.max(-limit, Math.min(limit, this.targetCameraOffset + delta));
+    }
+
+    /**
+     * Executa uma ação disparada por tecla ou botão
+     * Ações de movimento não disparam nada (são lidas em getControls); as de
+     * câmera são tratadas aqui e as demais são publicadas em input:action.
+     * @param {string} action - Nome da ação
+     */
+    triggerAction(action) {
+        switch (action) {
+            case 'cameraUp':
+                this.moveCamera(-InputHandler.CAMERA_STEP);
+                break;
+            case 'cameraDown':
+                this.moveCamera(InputHandler.CAMERA_STEP);
+                break;
+            default:
+                this.events.emit('input:action', { action });
+                break;
+        }
+    }
+
+    /**
+     * Lê os controles conectados (chamado uma vez por frame)
+     * Botões disparam a ação ao serem pressionados; o analógico esquerdo vira
+     * movimento proporcional.
+     */
+    pollGamepads() {
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pressed = new Set();
+        let stickX = 0;
+        let stickY = 0;
+
+        gamepads.filter(pad => pad && pad.connected).forEach(pad => {
+            Object.entries(InputHandler.GAMEPAD_BUTTONS).forEach(([index, action]) => {
+                const button = pad.buttons[index];
+                if (button && button.pressed) pressed.add(action);
+            });
+
+            const x = InputHandler.applyDeadzone(pad.axes[0] || 0);
+            const y = InputHandler.applyDeadzone(pad.axes[1] || 0);
+            if (Math.abs(x) > Math.abs(stickX)) stickX = x;
+            if (Math.abs(y) > Math.abs(stickY)) stickY = y;
+        });
+
+        pressed.forEach(action => {
+            if (!this.gamepadActions.has(action)) {
+                this.triggerAction(action);
+            }
+        });
+
+        this.gamepadActions = pressed;
+        this.stick = { x: stickX, y: stickY };
+    }
+
+    /**
+     * Remove a zona morta do analógico e reescala o restante para 0..1
+     * @param {number} value - Valor do eixo (-1 a 1)
+     * @returns {number}
+     */
+    static applyDeadzone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < InputHandler.STICK_DEADZONE) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - InputHandler.STICK_DEADZONE) / (1 - InputHandler.STICK_DEADZONE));
+    }
+
+    /**
+     * Verifica se uma ação contínua está ativa (tecla ou botão mantido)
+     * @param {string} action - Nome da ação
+     * @returns {boolean}
+     */
+    isActionHeld(action) {
+        return this.gamepadActions.has(action) || this.keys.has(this.bindings[action]);
+    }
+
+    /**
+     * Obtém o estado de controle usado pela simulação (Submarine.update)
+     * Teclado e direcional valem -1, 0 ou 1; o analógico e o joystick de toque são proporcionais.
+     * @returns {Object} - { moveX, moveY }, cada um de -1 a 1 (positivo = direita/baixo)
+     */
+    getControls() {
+        const axis = (negative, positive) =>
+            (this.isActionHeld(positive) ? 1 : 0) - (this.isActionHeld(negative) ? 1 : 0);
+        const touchStick = this.touch ? this.touch.stick : { x: 0, y: 0 };
+
+        return {
+            moveX: Math.max(-1, Math.min(1, axis('moveLeft', 'moveRight') + this.stick.x + touchStick.x)),
+            moveY: Math.max(-1, Math.min(1, axis('ascend', 'descend') + this.stick.y + touchStick.y))
+        };
+    }
+
+    /**
+     * Define as teclas das ações: padrões mais as trocas informadas
+     * Ações desconhecidas e códigos inválidos são ignorados; se duas ações
+     * acabarem na mesma tecla (ex: save editado à mão), volta tudo ao padrão.
+     * @param {Object} overrides - Ação -> código (ex: { sonar: 'KeyQ' })
+     */
+    setBindings(overrides = {}) {
+        this.bindings = {};
+        Object.keys(InputHandler.ACTIONS).forEach(action => {
+            const code = overrides[action];
+            this.bindings[action] = typeof code === 'string' && code !== ''
+                ? code
+                : InputHandler.DEFAULT_BINDINGS[action];
+        });
+
+        const codes = Object.values(this.bindings);
+        if (new Set(codes).size !== codes.length) {
+            console.warn('Teclas repetidas no save, usando as teclas padrão.');
+            this.bindings = { ...InputHandler.DEFAULT_BINDINGS };
+        }
+    }
+
+    /**
+     * Troca a tecla de uma ação
+     * @param {string} action - Nome da ação
+     * @param {string} code - Código da nova tecla (e.code)
+     * @returns {string|null} - Ação que já usa a tecla (conflito; nada muda) ou null
+     */
+    rebind(action, code) {
+        const conflict = this.getActionForCode(code);
+        if (conflict && conflict !== action) {
+            return conflict;
+        }
+
+        this.bindings[action] = code;
+        this.keys.clear();
+        return null;
+    }
+
+    /**
+     * Obtém as trocas do jogador (ações cuja tecla difere do padrão), para o save
+     * @returns {Object} - Ação -> código
+     */
+    getBindingOverrides() {
+        const overrides = {};
+        Object.entries(this.bindings).forEach(([action, code]) => {
+            if (code !== InputHandler.DEFAULT_BINDINGS[action]) overrides[action] = code;
+        });
+        return overrides;
+    }
+
+    /**
+     * Obtém a ação associada a uma tecla
+     * @param {string} code - Código da tecla (e.code)
+     * @returns {string|null}
+     */
+    getActionForCode(code) {
+        const entry = Object.entries(this.bindings).find(([, bound]) => bound === code);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Captura a próxima tecla pressionada (em vez de disparar a ação dela)
+     * @param {Function} callback - Recebe o código da tecla, ou null se o jogador cancelar (Esc)
+     */
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Cancela a captura de tecla em andamento
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Obtém o nome de exibição da tecla de uma ação
+     * @param {string} action - Nome da ação
+     * @returns {string}
+     */
+    getActionKeyLabel(action) {
+        return this.getKeyLabel(this.bindings[action]);
+    }
+
+    /**
+     * Obtém o nome de exibição de uma tecla
+     * Usa o caractere do layout do jogador quando o navegador informa (ex: 'KeyQ' é 'A' no AZERTY).
+     * @param {string} code - Código da tecla (e.code)
+     * @returns {string}
+     */
+    getKeyLabel(code) {
+        if (InputHandler.KEY_LABELS[code]) return InputHandler.KEY_LABELS[code];
+        if (this.layoutMap && this.layoutMap.has(code)) return this.layoutMap.get(code).toUpperCase();
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^(Digit|Numpad)\d$/.test(code)) return code.replace(/^(Digit|Numpad)/, '');
+        return code;
+    }
+
+    /**
+     * Carrega o layout do teclado (Keyboard API, quando disponível) para nomear as teclas
+     * @returns {Promise<boolean>} - Se o layout foi carregado
+     */
+    async loadKeyboardLayout() {
+        if (typeof navigator === 'undefined' || !navigator.keyboard || !navigator.keyboard.getLayoutMap) {
+            return false;
+        }
+
+        try {
+            this.layoutMap = await navigator.keyboard.getLayoutMap();
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -112,17 +358,18 @@ class InputHandler {
      */
     reset() {
         this.keys.clear();
+        if (this.touch) this.touch.release();
         this.cameraOffset = 0;
         this.targetCameraOffset = 0;
     }
 
     /**
      * Verifica se uma tecla está pressionada
-     * @param {string} key - Tecla a verificar
+     * @param {string} code - Código da tecla (e.code)
      * @returns {boolean}
      */
-    isKeyPressed(key) {
-        return this.keys.has(key.toLowerCase());
+    isKeyPressed(code) {
+        return this.keys.has(code);
     }
 
     /**
@@ -134,3 +381,92 @@ class InputHandler {
         window.removeEventListener('wheel', (e) => this.handleWheel(e));
     }
 }
+
+// Ações do jogo (nome exibido no menu de controles), na ordem do menu
+InputHandler.ACTIONS = {
+    moveLeft: 'Mover para a esquerda',
+    moveRight: 'Mover para a direita',
+    ascend: 'Subir',
+    descend: 'Descer',
+    sonar: 'Sonar',
+    torpedo: 'Torpedo',
+    pulse: 'Pulso elétrico',
+    cameraUp: 'Câmera para cima',
+    cameraDown: 'Câmera para baixo',
+    openMissions: 'Missões',
+    openUpgrades: 'Upgrades',
+    openSettings: 'Opções',
+    openAchievements: 'Conquistas',
+    closeMenu: 'Fechar menu',
+    fullscreen: 'Tela cheia',
+    pause: 'Pausar',
+    debug: 'Debug',
+    step: 'Avançar quadro (debug)',
+    timeScale: 'Escala de tempo (debug)'
+};
+
+// Tecla padrão (e.code, posição física) de cada ação
+InputHandler.DEFAULT_BINDINGS = {
+    moveLeft: 'KeyA',
+    moveRight: 'KeyD',
+    ascend: 'KeyW',
+    descend: 'KeyS',
+    sonar: 'Space',
+    torpedo: 'KeyF',
+    pulse: 'KeyE',
+    cameraUp: 'ArrowUp',
+    cameraDown: 'ArrowDown',
+    openMissions: 'KeyM',
+    openUpgrades: 'KeyU',
+    openSettings: 'KeyO',
+    openAchievements: 'KeyC',
+    closeMenu: 'Escape',
+    fullscreen: 'KeyL',
+    pause: 'KeyP',
+    debug: 'KeyB',
+    step: 'KeyN',
+    timeScale: 'KeyT'
+};
+
+// Ações que se repetem enquanto a tecla é mantida (o movimento é lido de getControls)
+InputHandler.REPEATABLE_ACTIONS = ['cameraUp', 'cameraDown'];
+
+// Nomes de exibição das teclas que não são caracteres
+InputHandler.KEY_LABELS = {
+    Space: 'ESPAÇO',
+    Escape: 'ESC',
+    Enter: 'ENTER',
+    Tab: 'TAB',
+    Backspace: 'BACKSPACE',
+    ShiftLeft: 'SHIFT',
+    ShiftRight: 'SHIFT DIR.',
+    ControlLeft: 'CTRL',
+    ControlRight: 'CTRL DIR.',
+    AltLeft: 'ALT',
+    AltRight: 'ALT GR',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+// Botões do controle (índices do mapeamento "standard" da Gamepad API) -> ações
+InputHandler.GAMEPAD_BUTTONS = {
+    0: 'sonar', // A / Cruz
+    1: 'pulse', // B / Círculo
+    2: 'torpedo', // X / Quadrado
+    4: 'cameraUp', // LB / L1
+    5: 'cameraDown', // RB / R1
+    9: 'menu', // Start
+    12: 'ascend', // Direcional
+    13: 'descend',
+    14: 'moveLeft',
+    15: 'moveRight'
+};
+
+// Deslocamento da câmera por passo (rolagem do mouse, teclas de câmera) e limite em px
+InputHandler.CAMERA_STEP = 30;
+InputHandler.CAMERA_LIMIT = 100;
+
+// Zona morta do analógico (fração do curso ignorada perto do centro)
+InputHandler.STICK_DEADZONE = 0.2;
@@ -0,0 +1,59 @@
+/**
+ * Leaderboard.js
+ * Tabela local de melhores mergulhos (top 10)
+ *
+ * As entradas ficam no save (SaveManager.data.highScores); esta classe só
+ * ordena, limita e localiza as entradas.
+ */
+
+class Leaderboard {
+    /**
+     * Construtor do Leaderboard
+     * @param {Array<Object>} entries - Entradas existentes
+     * @param {number} maxEntries - Número máximo de entradas
+     */
+    constructor(entries = [], maxEntries = 10) {
+        this.maxEntries = maxEntries;
+        this.entries = [...entries].sort(Leaderboard.compare).slice(0, maxEntries);
+    }
+
+    /**
+     * Ordena por pontuação (desc), desempatando pela profundidade (desc)
+     * @param {Object} a - Entrada
+     * @param {Object} b - Entrada
+     * @returns {number}
+     */
+    static compare(a, b) {
+        return (b.score - a.score) || (b.depth - a.depth);
+    }
+
+    /**
+     * Verifica se uma entrada entra na tabela (mesma ordem de compare)
+     * @param {Object} entry - Entrada ({ score, depth })
+     * @returns {boolean}
+     */
+    qualifies(entry) {
+        return this.entries.length < this.maxEntries ||
+            Leaderboard.compare(entry, this.entries[this.entries.length - 1]) < 0;
+    }
+
+    /**
+     * Adiciona uma entrada, mantendo apenas as melhores
+     * @param {Object} entry - Entrada ({ id, score, depth, date, diveCode, summary })
+     * @returns {number} - Posição (0 = primeiro) ou -1 se não entrou na tabela
+     */
+    submit(entry) {
+        this.entries.push(entry);
+        this.entries.sort(Leaderboard.compare);
+        this.entries = this.entries.slice(0, this.maxEntries);
+        return this.entries.indexOf(entry);
+    }
+
+    /**
+     * Obtém as entradas ordenadas
+     * @returns {Array<Object>}
+     */
+    getEntries() {
+        return this.entries;
+    }
+}
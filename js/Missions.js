@@ -0,0 +1,198 @@
+/**
+ * Missions.js
+ * Missões do mergulho: objetivos definidos como dados, com progresso e recompensas
+ *
+ * Cada missão tem uma condição (condition) avaliada a cada passo da simulação:
+ * - depth: alcançar `target` metros; com `minHealth`, o casco precisa ter ao menos
+ *   essa fração da saúde máxima ao chegar (abaixo dela a missão falha)
+ * - stat: contador do mergulho (Simulation.runStats[stat]) chegar a `target`
+ * - scan: revelar com o sonar `target` criaturas diferentes da espécie `species`
+ *
+ * As missões principais (DEFINITIONS) valem em todo mergulho; as opcionais são
+ * sorteadas do OPTIONAL_POOL a cada mergulho, pela semente.
+ */
+
+class Missions {
+    /**
+     * Construtor do Missions
+     * @param {Array<Object>} definitions - Missões principais
+     * @param {Array<Object>} pool - Missões opcionais sorteáveis
+     */
+    constructor(definitions = Missions.DEFINITIONS, pool = Missions.OPTIONAL_POOL) {
+        this.definitions = definitions;
+        this.pool = pool;
+        this.active = [];
+    }
+
+    /**
+     * Começa um mergulho: zera o progresso e sorteia as missões opcionais
+     * @param {SeededRandom} random - Gerador aleatório das missões
+     */
+    start(random) {
+        const remaining = [...this.pool];
+        const optional = [];
+        while (optional.length < Missions.OPTIONAL_COUNT && remaining.length > 0) {
+            optional.push(remaining.splice(random.int(0, remaining.length - 1), 1)[0]);
+        }
+
+        this.active = [
+            ...this.definitions.map(def => ({ def, optional: false, status: 'active' })),
+            ...optional.map(def => ({ def, optional: true, status: 'active' }))
+        ];
+    }
+
+    /**
+     * Obtém as missões do mergulho atual (principais primeiro)
+     * @returns {Array<Object>} - { def, optional, status: active | completed | failed }
+     */
+    getAll() {
+        return this.active;
+    }
+
+    /**
+     * Calcula o progresso de uma missão
+     * @param {Object} mission - Missão (de getAll)
+     * @param {Object} context - Estado do mergulho (Simulation.getMissionContext)
+     * @returns {Object} - { current, target } (current limitado a target)
+     */
+    getProgress(mission, context) {
+        const condition = mission.def.condition;
+        let current = 0;
+
+        switch (condition.type) {
+            case 'depth':
+                current = context.depth;
+                break;
+            case 'stat':
+                current = context.stats[condition.stat] || 0;
+                break;
+            case 'scan':
+                current = context.stats.scanned[condition.species] || 0;
+                break;
+            default:
+                break;
+        }
+
+        return { current: Math.min(condition.target, Math.floor(current)), target: condition.target };
+    }
+
+    /**
+     * Avalia as missões ativas
+     * @param {Object} context - Estado do mergulho (Simulation.getMissionContext)
+     * @returns {Array<Object>} - Missões concluídas neste passo (recompensas a pagar)
+     */
+    update(context) {
+        const completed = [];
+
+        this.active.filter(mission => mission.status === 'active').forEach(mission => {
+            const condition = mission.def.condition;
+            const { current, target } = this.getProgress(mission, context);
+            if (current < target) return;
+
+            if (condition.minHealth !== undefined && context.healthRatio < condition.minHealth) {
+                mission.status = 'failed';
+                return;
+            }
+
+            mission.status = 'completed';
+            completed.push(mission);
+        });
+
+        return completed;
+    }
+
+    /**
+     * Descreve uma recompensa (ex: "+500 pontos, +20 Oxigênio, +50 créditos")
+     * @param {Object} reward - { points, oxygen, credits }
+     * @returns {string}
+     */
+    static formatReward(reward) {
+        const parts = [];
+        if (reward.points) parts.push(`+${reward.points} pontos`);
+        if (reward.oxygen) parts.push(`+${reward.oxygen} Oxigênio`);
+        if (reward.credits) parts.push(`+${reward.credits} créditos`);
+        return parts.join(', ');
+    }
+}
+
+// Missões opcionais sorteadas por mergulho
+Missions.OPTIONAL_COUNT = 3;
+
+// Missões principais (marcos de profundidade; as mesmas profundidades e
+// recompensas de antes do sistema de missões, independentes das zonas de Biomes)
+Missions.DEFINITIONS = [
+    {
+        id: 'depth2000',
+        title: 'Descida Inicial',
+        description: 'Alcance 2000m de profundidade',
+        condition: { type: 'depth', target: 2000 },
+        reward: { points: 500, oxygen: 20, credits: 50 }
+    },
+    {
+        id: 'depth4000',
+        title: 'Águas Profundas',
+        description: 'Alcance 4000m de profundidade',
+        condition: { type: 'depth', target: 4000 },
+        reward: { points: 1000, oxygen: 30, credits: 100 }
+    },
+    {
+        id: 'depth6000',
+        title: 'Além da Luz',
+        description: 'Alcance 6000m de profundidade',
+        condition: { type: 'depth', target: 6000 },
+        reward: { points: 2000, oxygen: 40, credits: 200 }
+    },
+    {
+        id: 'abyss',
+        title: 'O Abismo',
+        description: 'Alcance 11000m (Fundo do Abismo) — VITÓRIA!',
+        condition: { type: 'depth', target: 11000 },
+        reward: { points: 10000 }
+    }
+];
+
+// Missões opcionais
+Missions.OPTIONAL_POOL = [
+    {
+        id: 'bubbles',
+        title: 'Fôlego Extra',
+        description: 'Colete 10 bolhas de ar',
+        condition: { type: 'stat', stat: 'bubblesCollected', target: 10 },
+        reward: { points: 300, credits: 60 }
+    },
+    {
+        id: 'intactHull',
+        title: 'Casco Intacto',
+        description: 'Alcance 4000m com pelo menos 50% do casco',
+        condition: { type: 'depth', target: 4000, minHealth: 0.5 },
+        reward: { points: 800, credits: 100 }
+    },
+    {
+        id: 'scanAnglers',
+        title: 'Luzes no Escuro',
+        description: 'Escaneie 5 peixes-diabo com o sonar',
+        condition: { type: 'scan', species: 'angler', target: 5 },
+        reward: { points: 500, credits: 80 }
+    },
+    {
+        id: 'scanVipers',
+        title: 'Presas Afiadas',
+        description: 'Escaneie 4 peixes-víbora com o sonar',
+        condition: { type: 'scan', species: 'viper', target: 4 },
+        reward: { points: 400, credits: 70 }
+    },
+    {
+        id: 'hunter',
+        title: 'Caçador',
+        description: 'Abata 5 criaturas',
+        condition: { type: 'stat', stat: 'monstersKilled', target: 5 },
+        reward: { points: 600, credits: 90 }
+    },
+    {
+        id: 'sonarSweeps',
+        title: 'Varredura',
+        description: 'Use o sonar 8 vezes',
+        condition: { type: 'stat', stat: 'sonarUses', target: 8 },
+        reward: { points: 200, credits: 40 }
+    }
+];
@@ -0,0 +1,323 @@
+/**
+ * MonsterAI.js
+ * Comportamento dos monstros: máquina de estados por espécie com steering
+ *
+ * Cada espécie declara seus estados em MonsterAI.BEHAVIORS. Um estado tem:
+ * - enter(ai, monster, context): chamado ao entrar no estado (opcional)
+ * - next(ai, monster, context): retorna o próximo estado, ou null para continuar
+ * - steer(ai, monster, context): retorna a velocidade desejada { x, y }
+ *
+ * A velocidade do monstro converge para a desejada na taxa `turnRate` do estado
+ * (steering), então as mudanças de comportamento não são instantâneas.
+ * Velocidades estão em pixels por quadro de referência (60 FPS), como no resto
+ * da simulação; os tempos dos estados são em ms de simulação.
+ *
+ * O contexto recebido a cada passo contém:
+ * - target: centro do submarino em coordenadas do mundo
+ * - frameScale: deltaTime em quadros de referência
+ * - random: gerador aleatório do comportamento (SeededRandom)
+ * - spawnInk(x, y): solta uma nuvem de tinta
+ */
+
+class MonsterAI {
+    /**
+     * Construtor do MonsterAI
+     * @param {Object} behavior - Comportamento da espécie (ver MonsterAI.BEHAVIORS)
+     * @param {GameObject} monster - Monstro controlado
+     */
+    constructor(behavior, monster) {
+        this.behavior = behavior;
+
+        // Direção de cruzeiro e deriva vertical definidas no spawn
+        this.heading = monster.velocityX < 0 ? -1 : 1;
+        this.cruiseVelocityY = monster.velocityY;
+
+        this.state = null;
+        this.stateTime = 0;
+        this.timer = 0; // Duração sorteada do estado atual (quando o estado usa)
+        this.cooldown = 0; // Tempo até o comportamento especial poder repetir
+        this.direction = { x: 0, y: 0 }; // Direção travada (ex: bote da víbora)
+        this.stunTime = 0; // Tempo restante atordoado (pulso de atordoamento)
+        this.pinged = false; // Alcançado pela onda do sonar desde o último passo
+    }
+
+    /**
+     * Cria o comportamento de um monstro pela espécie
+     * @param {GameObject} monster - Monstro (tipo e velocidades iniciais já definidos)
+     * @param {string} behaviorId - Comportamento em MonsterAI.BEHAVIORS (padrão: tipo do monstro)
+     * @returns {MonsterAI|null} - null para tipos sem comportamento
+     */
+    static forMonster(monster, behaviorId = monster.type) {
+        const behavior = MonsterAI.BEHAVIORS[behaviorId];
+        return behavior ? new MonsterAI(behavior, monster) : null;
+    }
+
+    /**
+     * Distância do centro do monstro até o alvo
+     * @param {GameObject} monster - Monstro
+     * @param {Object} target - Ponto { x, y }
+     * @returns {number}
+     */
+    static distance(monster, target) {
+        const center = monster.getCenter();
+        return Math.hypot(target.x - center.x, target.y - center.y);
+    }
+
+    /**
+     * Velocidade desejada em direção a um ponto (seek)
+     * @param {GameObject} monster - Monstro
+     * @param {Object} target - Ponto { x, y }
+     * @param {number} speed - Velocidade desejada
+     * @returns {Object} - { x, y }
+     */
+    static seek(monster, target, speed) {
+        const center = monster.getCenter();
+        const dx = target.x - center.x;
+        const dy = target.y - center.y;
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: (dx / length) * speed, y: (dy / length) * speed };
+    }
+
+    /**
+     * Velocidade desejada para longe de um ponto (flee)
+     * @param {GameObject} monster - Monstro
+     * @param {Object} target - Ponto { x, y }
+     * @param {number} speed - Velocidade desejada
+     * @returns {Object} - { x, y }
+     */
+    static flee(monster, target, speed) {
+        const desired = MonsterAI.seek(monster, target, speed);
+        return { x: -desired.x, y: -desired.y };
+    }
+
+    /**
+     * Muda de estado, chamando o enter do novo estado
+     * @param {string} name - Nome do estado
+     * @param {GameObject} monster - Monstro
+     * @param {Object} context - Contexto do passo
+     */
+    setState(name, monster, context) {
+        this.state = name;
+        this.stateTime = 0;
+        this.timer = 0;
+
+        const state = this.behavior.states[name];
+        if (state.enter) {
+            state.enter(this, monster, context);
+        }
+    }
+
+    /**
+     * Avança o comportamento e ajusta a velocidade do monstro
+     * @param {GameObject} monster - Monstro
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     * @param {Object} context - Contexto do passo (ver cabeçalho do arquivo)
+     */
+    update(monster, deltaTime, context) {
+        if (this.state === null) {
+            this.setState(this.behavior.initial, monster, context);
+        }
+
+        // Atordoado: a máquina de estados fica parada e o monstro perde velocidade
+        if (this.stunTime > 0) {
+            this.stunTime = Math.max(0, this.stunTime - deltaTime);
+            const drag = Math.min(1, MonsterAI.STUN_DRAG * context.frameScale);
+            monster.velocityX -= monster.velocityX * drag;
+            monster.velocityY -= monster.velocityY * drag;
+            this.pinged = false;
+            return;
+        }
+
+        this.stateTime += deltaTime;
+        this.cooldown = Math.max(0, this.cooldown - deltaTime);
+
+        const next = this.behavior.states[this.state].next(this, monster, context);
+        if (next && next !== this.state) {
+            this.setState(next, monster, context);
+        }
+
+        const state = this.behavior.states[this.state];
+        const desired = state.steer(this, monster, context);
+        const turn = Math.min(1, (state.turnRate || MonsterAI.TURN_RATE) * context.frameScale);
+
+        monster.velocityX += (desired.x - monster.velocityX) * turn;
+        monster.velocityY += (desired.y - monster.velocityY) * turn;
+        this.pinged = false;
+    }
+
+    /**
+     * Atordoa o monstro (o maior tempo entre o atual e o novo prevalece)
+     * @param {number} duration - Duração (ms)
+     */
+    stun(duration) {
+        this.stunTime = Math.max(this.stunTime, duration);
+    }
+
+    /**
+     * Verifica se o monstro está atordoado
+     * @returns {boolean}
+     */
+    isStunned() {
+        return this.stunTime > 0;
+    }
+
+    /**
+     * Inverte a direção de cruzeiro (ao bater nas bordas)
+     * @param {number} velocityX - Nova velocidade horizontal do monstro
+     */
+    bounce(velocityX) {
+        this.heading = velocityX < 0 ? -1 : 1;
+    }
+
+    /**
+     * Obtém o raio de percepção da espécie (desenhado no modo debug)
+     * @returns {number}
+     */
+    getSenseRadius() {
+        return this.behavior.senseRadius;
+    }
+}
+
+// Taxa padrão de convergência da velocidade (fração por quadro de referência)
+MonsterAI.TURN_RATE = 0.08;
+
+// Perda de velocidade por quadro de referência enquanto atordoado
+MonsterAI.STUN_DRAG = 0.15;
+
+// Comportamentos por espécie
+MonsterAI.BEHAVIORS = {
+    // Tubarão: patrulha e persegue o submarino que entrar no raio de percepção
+    shark: {
+        initial: 'patrol',
+        senseRadius: 350,
+        loseRadius: 500,
+        states: {
+            patrol: {
+                enter: (ai, monster) => { monster.animator.speed = 1; },
+                next: (ai, monster, context) =>
+                    MonsterAI.distance(monster, context.target) < ai.behavior.senseRadius ? 'chase' : null,
+                steer: (ai, monster) => ({ x: ai.heading * monster.speed, y: ai.cruiseVelocityY })
+            },
+            chase: {
+                turnRate: 0.05,
+                enter: (ai, monster) => { monster.animator.speed = 2; },
+                next: (ai, monster, context) =>
+                    MonsterAI.distance(monster, context.target) > ai.behavior.loseRadius ? 'patrol' : null,
+                steer: (ai, monster, context) => MonsterAI.seek(monster, context.target, monster.speed * 1.8)
+            }
+        }
+    },
+
+    // Peixe-diabo: espreita parado, acende a isca quando o submarino se aproxima e dá o bote
+    angler: {
+        initial: 'lurk',
+        senseRadius: 260,
+        strikeRadius: 140,
+        states: {
+            lurk: {
+                enter: (ai, monster, context) => {
+                    ai.timer = context.random.range(1500, 3000);
+                    monster.animator.play('swim');
+                },
+                next: (ai, monster, context) => {
+                    if (ai.stateTime >= ai.timer) {
+                        // Troca o lado da deriva de tempos em tempos
+                        ai.heading = -ai.heading;
+                        ai.stateTime = 0;
+                    }
+                    return ai.cooldown === 0 && MonsterAI.distance(monster, context.target) < ai.behavior.senseRadius
+                        ? 'lure'
+                        : null;
+                },
+                steer: (ai, monster) => ({ x: ai.heading * monster.speed * 0.3, y: 0 })
+            },
+            lure: {
+                turnRate: 0.15,
+                enter: (ai, monster) => { monster.animator.play('lure'); },
+                next: (ai, monster, context) => {
+                    const distance = MonsterAI.distance(monster, context.target);
+                    if (distance < ai.behavior.strikeRadius) return 'strike';
+                    if (distance > ai.behavior.senseRadius * 1.3) return 'lurk';
+                    return null;
+                },
+                // Quase parado, virado para o submarino
+                steer: (ai, monster, context) => ({
+                    x: Math.sign(context.target.x - monster.getCenter().x) * 0.05,
+                    y: 0
+                })
+            },
+            strike: {
+                turnRate: 0.3,
+                enter: (ai, monster) => { monster.animator.play('swim'); },
+                next: (ai) => {
+                    if (ai.stateTime < 500) return null;
+                    ai.cooldown = 2500;
+                    return 'lurk';
+                },
+                steer: (ai, monster, context) => MonsterAI.seek(monster, context.target, monster.speed * 4)
+            }
+        }
+    },
+
+    // Víbora: plana devagar e dá arrancadas curtas (na direção do submarino, se estiver perto)
+    viper: {
+        initial: 'glide',
+        senseRadius: 450,
+        states: {
+            glide: {
+                enter: (ai, monster, context) => {
+                    ai.timer = context.random.range(700, 1500);
+                    monster.animator.speed = 1;
+                },
+                next: (ai) => ai.stateTime >= ai.timer ? 'dart' : null,
+                steer: (ai, monster) => ({ x: ai.heading * monster.speed * 0.5, y: ai.cruiseVelocityY })
+            },
+            dart: {
+                turnRate: 0.35,
+                enter: (ai, monster, context) => {
+                    if (MonsterAI.distance(monster, context.target) < ai.behavior.senseRadius) {
+                        ai.direction = MonsterAI.seek(monster, context.target, 1);
+                        ai.heading = ai.direction.x < 0 ? -1 : 1;
+                    } else {
+                        ai.direction = { x: ai.heading, y: 0 };
+                    }
+                    monster.animator.speed = 3;
+                },
+                next: (ai) => ai.stateTime >= 350 ? 'glide' : null,
+                steer: (ai, monster) => ({
+                    x: ai.direction.x * monster.speed * 4,
+                    y: ai.direction.y * monster.speed * 4
+                })
+            }
+        }
+    },
+
+    // Lula: deriva; quando a onda do sonar a alcança com o submarino por perto, solta tinta e foge
+    squid: {
+        initial: 'drift',
+        senseRadius: 300,
+        states: {
+            drift: {
+                next: (ai, monster, context) =>
+                    ai.cooldown === 0 && ai.pinged &&
+                    MonsterAI.distance(monster, context.target) < ai.behavior.senseRadius ? 'flee' : null,
+                steer: (ai, monster) => ({ x: ai.heading * monster.speed, y: ai.cruiseVelocityY })
+            },
+            flee: {
+                turnRate: 0.2,
+                enter: (ai, monster, context) => {
+                    const center = monster.getCenter();
+                    context.spawnInk(center.x, center.y);
+                    monster.animator.play('jet', true);
+                },
+                next: (ai, monster) => {
+                    if (ai.stateTime < 1500) return null;
+                    ai.heading = monster.velocityX < 0 ? -1 : 1;
+                    ai.cooldown = 4000;
+                    return 'drift';
+                },
+                steer: (ai, monster, context) => MonsterAI.flee(monster, context.target, monster.speed * 3)
+            }
+        }
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Projectile.js
+ * Projéteis disparados pelo submarino (torpedos)
+ */
+
+class Projectile extends GameObject {
+    /**
+     * Construtor do Projectile
+     * @param {number} x - Centro X de disparo (coordenadas do mundo)
+     * @param {number} y - Centro Y de disparo (coordenadas do mundo)
+     * @param {number} direction - Direção horizontal (1 = direita, -1 = esquerda)
+     * @param {Object} weapon - Parâmetros da arma ({ width, height, speed, damage, range })
+     */
+    constructor(x, y, direction, weapon) {
+        super(x - weapon.width / 2, y - weapon.height / 2, weapon.width, weapon.height, 'torpedo');
+
+        this.velocityX = direction * weapon.speed;
+
+        // O alcance é o tempo de vida (ms de simulação)
+        this.addComponent('transform')
+            .addComponent('velocity', { swim: false, bounce: false })
+            .addComponent('renderable', { layer: 'projectiles', style: 'projectile', animated: false })
+            .addComponent('projectile', { damage: weapon.damage })
+            .addComponent('lifetime', { remaining: weapon.range });
+    }
+
+    /**
+     * Retorna uma representação em string do projétil (para debug)
+     * @returns {string}
+     */
+    toString() {
+        return `Projectile(x: ${this.x}, y: ${this.y}, damage: ${this.getComponent('projectile').damage})`;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Radar.js
+ * Radar circular do HUD, desenhado em um canvas próprio
+ *
+ * Mostra rochas, bolhas e monstros ao redor do submarino, mais uma escala de
+ * profundidade com as zonas de Biomes.ZONES. Bolhas aparecem sempre; rochas
+ * também, exceto na escuridão total (só no farol ou reveladas pelo sonar, ver
+ * Simulation.getRadarEntities); monstros só aparecem enquanto revelados pela
+ * onda do sonar (visible), e depois como blips de última posição conhecida.
+ */
+
+class Radar {
+    /**
+     * Construtor do Radar
+     * @param {HTMLCanvasElement} canvas - Canvas do radar
+     * @param {number} range - Alcance do radar em px do mundo
+     */
+    constructor(canvas, range = Radar.RANGE) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.range = range;
+
+        // Área circular do radar (à esquerda) e escala de profundidade (à direita)
+        this.radius = Math.min(canvas.height, canvas.width - Radar.SCALE_WIDTH) / 2 - 4;
+        this.centerX = this.radius + 4;
+        this.centerY = canvas.height / 2;
+    }
+
+    /**
+     * Converte uma posição do mundo para o canvas do radar
+     * @param {Object} origin - Centro do submarino no mundo { x, y }
+     * @param {number} x - Posição X no mundo
+     * @param {number} y - Posição Y no mundo
+     * @returns {Object} - { x, y, inRange }
+     */
+    toRadar(origin, x, y) {
+        const scale = this.radius / this.range;
+        const dx = (x - origin.x) * scale;
+        const dy = (y - origin.y) * scale;
+        return {
+            x: this.centerX + dx,
+            y: this.centerY + dy,
+            inRange: Math.hypot(dx, dy) <= this.radius
+        };
+    }
+
+    /**
+     * Desenha o radar
+     * @param {Object} origin - Centro do submarino no mundo { x, y }
+     * @param {number} facing - Direção do submarino (1 = direita, -1 = esquerda)
+     * @param {number} depth - Profundidade atual
+     * @param {Array<GameObject>} entities - Entidades detectáveis (ver Simulation.getRadarEntities)
+     * @param {Sonar} sonar - Pulsos e blips do sonar
+     */
+    render(origin, facing, depth, entities, sonar) {
+        const ctx = this.ctx;
+        const ofStyle = (style) => entities.filter(entity =>
+            entity.hasComponent('renderable') && entity.getComponent('renderable').style === style
+        );
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.drawBackground();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(this.centerX, this.centerY, this.radius, 0, Math.PI * 2);
+        ctx.clip();
+
+        // Ondas do sonar em andamento
+        sonar.pings.forEach(ping => {
+            const pos = this.toRadar(origin, ping.x, ping.y);
+            ctx.strokeStyle = `rgba(0, 217, 255, ${0.8 * (1 - ping.radius / ping.range)})`;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, ping.radius * this.radius / this.range, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Rochas
+        ofStyle('obstacle').forEach(obstacle => {
+            const center = obstacle.getCenter();
+            const pos = this.toRadar(origin, center.x, center.y);
+            const size = Math.max(3, obstacle.width * this.radius / this.range);
+            ctx.fillStyle = 'rgba(170, 170, 170, 0.8)';
+            ctx.fillRect(pos.x - size / 2, pos.y - size / 2, size, size);
+        });
+
+        // Bolhas
+        ofStyle('bubble').forEach(bubble => {
+            const center = bubble.getCenter();
+            const pos = this.toRadar(origin, center.x, center.y);
+            ctx.fillStyle = 'rgba(100, 200, 255, 0.9)';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Última posição conhecida das criaturas
+        sonar.blips.forEach(blip => {
+            const pos = this.toRadar(origin, blip.x, blip.y);
+            ctx.fillStyle = `rgba(0, 255, 180, ${0.7 * blip.life / blip.maxLife})`;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Criaturas reveladas pelo sonar (posição atual)
+        ofStyle('monster').forEach(monster => {
+            if (!monster.visible) return;
+            const center = monster.getCenter();
+            const pos = this.toRadar(origin, center.x, center.y);
+            ctx.fillStyle = 'rgba(255, 70, 70, 0.95)';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+
+        this.drawSubmarine(facing);
+        this.drawDepthScale(depth);
+    }
+
+    /**
+     * Desenha o fundo do radar (anéis de distância e cruz)
+     */
+    drawBackground() {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = 'rgba(10, 14, 39, 0.85)';
+        ctx.beginPath();
+        ctx.arc(this.centerX, this.centerY, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = 'rgba(0, 217, 255, 0.25)';
+        ctx.lineWidth = 1;
+        [1 / 3, 2 / 3].forEach(fraction => {
+            ctx.beginPath();
+            ctx.arc(this.centerX, this.centerY, this.radius * fraction, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        ctx.beginPath();
+        ctx.moveTo(this.centerX - this.radius, this.centerY);
+        ctx.lineTo(this.centerX + this.radius, this.centerY);
+        ctx.moveTo(this.centerX, this.centerY - this.radius);
+        ctx.lineTo(this.centerX, this.centerY + this.radius);
+        ctx.stroke();
+
+        ctx.strokeStyle = '#00d9ff';
+        ctx.beginPath();
+        ctx.arc(this.centerX, this.centerY, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Desenha o submarino no centro, apontando para a direção em que está virado
+     * @param {number} facing - 1 = direita, -1 = esquerda
+     */
+    drawSubmarine(facing) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#ffff00';
+        ctx.beginPath();
+        ctx.moveTo(this.centerX + facing * 6, this.centerY);
+        ctx.lineTo(this.centerX - facing * 4, this.centerY - 4);
+        ctx.lineTo(this.centerX - facing * 4, this.centerY + 4);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Desenha a escala de profundidade com as faixas de zona e a profundidade atual
+     * @param {number} depth - Profundidade atual
+     */
+    drawDepthScale(depth) {
+        const ctx = this.ctx;
+        const x = this.canvas.width - Radar.SCALE_WIDTH + 6;
+        const width = 8;
+        const top = 6;
+        const height = this.canvas.height - 12;
+        const toY = (value) => top + (value / Simulation.MAX_DEPTH) * height;
+
+        // Faixas (cores do fundo de cada zona, clareadas para aparecer no HUD)
+        Biomes.ZONES.forEach(zone => {
+            const end = Biomes.getZoneEnd(zone);
+            const { r, g, b } = zone.background;
+            ctx.fillStyle = `rgb(${r + 40}, ${g + 60}, ${b + 80})`;
+            ctx.fillRect(x, toY(zone.depth), width, toY(end) - toY(zone.depth));
+        });
+
+        // Limites das zonas
+        ctx.font = '8px Arial';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        Biomes.ZONES.slice(1).forEach(zone => {
+            const y = toY(zone.depth);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x - 2, y);
+            ctx.lineTo(x + width, y);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(0, 217, 255, 0.8)';
+            ctx.fillText(`${zone.depth / 1000}k`, x + width + 2, y);
+        });
+
+        // Profundidade atual
+        const y = toY(Math.min(depth, Simulation.MAX_DEPTH));
+        ctx.fillStyle = '#ffff00';
+        ctx.beginPath();
+        ctx.moveTo(x - 1, y);
+        ctx.lineTo(x - 6, y - 4);
+        ctx.lineTo(x - 6, y + 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillRect(x, y - 1, width, 2);
+    }
+}
+
+// Alcance do radar em px do mundo (um pouco além da tela)
+Radar.RANGE = 700;
+
+// Largura reservada para a escala de profundidade (px do canvas)
+Radar.SCALE_WIDTH = 34;
@@ -4,78 +4,156 @@
  */
 
 class Renderer {
-    constructor(canvas) {
+    /**
+     * Construtor do Renderer
+     * @param {HTMLCanvasElement} canvas - Canvas do jogo
+     * @param {Viewport} viewport - Tela lógica (tamanho, escala e transformação profundidade -> tela)
+     * @param {AssetManager} [assets] - Imagens pré-carregadas (sem ele, desenha emojis)
+     * @param {Bestiary} [bestiary] - Espécies de criaturas (sprites e emojis)
+     */
+    constructor(canvas, viewport, assets = null, bestiary = null) {
         this.canvas = canvas;
+        this.viewport = viewport;
         this.ctx = canvas.getContext('2d');
         this.ctx.imageSmoothingEnabled = false;
+        this.assets = assets;
 
-        // Mapeamento de emojis para elementos do jogo
+        // Emojis de fallback, usados quando a imagem do elemento não carregou
+        // (os das criaturas vêm do bestiário)
         this.emojiMap = {
             submarine: '🚢',
-            shark: '🦈',
-            squid: '🦑',
-            angler: '🎣',
-            viper: '🐍',
             bubble: '🫧',
-            rock: '🪨'
+            rock: '🪨',
+            coral: '🪸',
+            wreck: '⚓'
         };
-        
-        // Imagens carregadas
-        this.images = {};
+        if (bestiary) {
+            bestiary.getAll().forEach(species => {
+                this.emojiMap[species.sprite] = species.emoji;
+            });
+        }
         
         // Cores de profundidade
         this.depthColor = { r: 0, g: 100, b: 150 };
         
         // Referência de fundo
         this.backgroundY = 0;
-        
-        this.loadImages();
+
+        // Fração do passo de simulação usada na interpolação do frame atual
+        this.alpha = 1;
     }
 
     /**
-     * Carrega todas as imagens necessárias (agora ignorado, mas mantido para compatibilidade)
+     * Desenha um sprite escalado para a largura/altura do objeto
+     * Se a imagem não carregou, desenha o emoji correspondente.
+     * @param {string} name - Nome do sprite (mesma chave do emojiMap)
+     * @param {number} x - Posição X (canto superior esquerdo)
+     * @param {number} y - Posição Y (canto superior esquerdo)
+     * @param {number} width - Largura de desenho
+     * @param {number} height - Altura de desenho
+     * @param {number} emojiSize - Tamanho da fonte do emoji de fallback (px)
+     * @param {boolean} flipX - Espelhar horizontalmente
+     * @param {Object} [frame] - Quadro de animação (ver Animator.getFrame)
      */
-    loadImages() {
-        // Não carrega imagens, pois usaremos emojis
-        console.log('Emojis ativados! Ignorando carregamento de imagens.');
+    drawSprite(name, x, y, width, height, emojiSize, flipX = false, frame = Animator.DEFAULT_FRAME) {
+        const image = this.assets ? this.assets.getImage(name) : null;
+
+        this.ctx.save();
+        this.ctx.translate(x + width / 2, y + height / 2);
+        if (flipX) {
+            this.ctx.scale(-1, 1);
+        }
+        this.ctx.translate(frame.offsetX * width, frame.offsetY * height);
+        this.ctx.rotate((frame.rotation * Math.PI) / 180);
+        this.ctx.scale(frame.scaleX, frame.scaleY);
+        this.ctx.globalAlpha *= frame.alpha;
+        this.ctx.shadowBlur *= frame.glow;
+
+        const drawBody = () => {
+            if (image) {
+                const source = this.assets.getSheetFrame(name, frame.frame);
+                this.ctx.drawImage(image, source.sx, source.sy, source.sw, source.sh, -width / 2, -height / 2, width, height);
+            } else {
+                this.ctx.fillText(this.emojiMap[name] || '❓', 0, 0);
+            }
+        };
+
+        // Suavização ligada para reduzir os sprites de 512px sem serrilhado
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.font = `${emojiSize}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        drawBody();
+
+        // Clarão: o sprite é desenhado de novo em modo aditivo
+        if (frame.flash > 0) {
+            this.ctx.globalCompositeOperation = 'lighter';
+            this.ctx.globalAlpha = frame.flash;
+            drawBody();
+        }
+
+        // Ponto de luz (ex: isca do peixe-diabo)
+        if (frame.light > 0 && frame.lightX !== undefined) {
+            const lightX = frame.lightX * width;
+            const lightY = frame.lightY * height;
+            const radius = Math.max(width, height) * 0.25;
+            const light = this.ctx.createRadialGradient(lightX, lightY, 0, lightX, lightY, radius);
+            light.addColorStop(0, `rgba(${frame.lightColor}, ${frame.light})`);
+            light.addColorStop(1, `rgba(${frame.lightColor}, 0)`);
+            this.ctx.globalCompositeOperation = 'lighter';
+            this.ctx.globalAlpha = 1;
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = light;
+            this.ctx.fillRect(lightX - radius, lightY - radius, radius * 2, radius * 2);
+        }
+
+        this.ctx.restore();
     }
 
     /**
-     * Atualiza a cor de profundidade com base na profundidade atual
+     * Desenha um objeto com o quadro atual da sua animação
+     * O sprite é espelhado quando o objeto se move para o lado oposto ao da imagem.
+     * @param {GameObject} object - Objeto do jogo
+     * @param {number} x - Posição X (canto superior esquerdo)
+     * @param {number} y - Posição Y (canto superior esquerdo)
+     * @param {number} emojiSize - Tamanho da fonte do emoji de fallback (px)
+     */
+    drawAnimated(object, x, y, emojiSize) {
+        const animator = object.animator;
+        const sprite = object.species ? object.species.sprite : object.type;
+        this.drawSprite(sprite, x, y, object.width, object.height, emojiSize, animator.isMirrored(), animator.getFrame());
+    }
+
+    /**
+     * Atualiza a cor de profundidade com o fundo da zona atual
      * @param {number} depth - Profundidade atual
      */
     updateDepthColor(depth) {
-        if (depth < 1000) {
-            this.depthColor = { r: 0, g: 100, b: 150 };
-        } else if (depth < 3000) {
-            this.depthColor = { r: 0, g: 60, b: 120 };
-        } else if (depth < 6000) {
-            this.depthColor = { r: 0, g: 30, b: 80 };
-        } else if (depth < 9000) {
-            this.depthColor = { r: 0, g: 15, b: 50 };
-        } else {
-            this.depthColor = { r: 0, g: 5, b: 20 };
-        }
+        this.depthColor = { ...Biomes.getZone(depth).background };
     }
 
     /**
-     * Limpa o canvas
+     * Limpa o canvas inteiro (incluindo as faixas fora da tela lógica) e
+     * volta à transformação da tela lógica
      */
     clear() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.viewport.applyTransform(this.ctx);
     }
 
     /**
      * Desenha o fundo do oceano com gradiente
      */
     drawBackground() {
-        const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
+        const { width, height } = this.viewport;
+        const gradient = this.ctx.createLinearGradient(0, 0, 0, height);
         gradient.addColorStop(0, `rgb(${this.depthColor.r}, ${this.depthColor.g + 50}, ${this.depthColor.b + 100})`);
         gradient.addColorStop(0.5, `rgb(${this.depthColor.r}, ${this.depthColor.g}, ${this.depthColor.b})`);
         gradient.addColorStop(1, `rgb(${this.depthColor.r}, ${Math.max(0, this.depthColor.g - 20)}, ${Math.max(0, this.depthColor.b - 40)})`);
         
         this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, width, height);
     }
 
     /**
@@ -86,138 +164,384 @@ class Renderer {
         if (depth >= 2000) return;
 
         const lightOpacity = Math.max(0, (2000 - depth) / 2000) * 0.15;
+        const height = this.viewport.height;
 
         for (let i = 0; i < 3; i++) {
             const rayGradient = this.ctx.createLinearGradient(
                 150 + i * 200, 0,
-                200 + i * 200, this.canvas.height
+                200 + i * 200, height
             );
             rayGradient.addColorStop(0, `rgba(100, 200, 255, ${lightOpacity})`);
             rayGradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
 
             this.ctx.fillStyle = rayGradient;
-            this.ctx.fillRect(150 + i * 200, 0, 60, this.canvas.height);
+            this.ctx.fillRect(150 + i * 200, 0, 60, height);
         }
     }
 
     /**
-     * Desenha partículas ambientes
+     * Desenha partículas ambientes no estilo da zona
+     * - plankton: pontos translúcidos
+     * - snow: neve marinha (flocos pequenos e claros)
+     * - glow: bioluminescência (pontos que piscam, com brilho)
      * @param {Array<Object>} particles - Array de partículas
+     * @param {Object} ambient - Estilo da zona ({ style, color })
      */
-    drawParticles(particles) {
+    drawParticles(particles, ambient) {
+        this.ctx.save();
         particles.forEach(p => {
-            this.ctx.fillStyle = `rgba(100, 200, 255, ${0.3 * (p.size / 4)})`;
+            let size = p.size;
+            let opacity = 0.3 * (p.size / 4);
+
+            if (ambient.style === 'snow') {
+                size = p.size * 0.6;
+                opacity = 0.5 * (p.size / 4);
+            } else if (ambient.style === 'glow') {
+                opacity = 0.8 * (0.5 + 0.5 * Math.sin(p.y / 15 + p.x));
+                this.ctx.shadowColor = `rgba(${ambient.color}, 0.9)`;
+                this.ctx.shadowBlur = 8;
+            }
+
+            this.ctx.fillStyle = `rgba(${ambient.color}, ${opacity})`;
             this.ctx.beginPath();
-            this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+            this.ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
             this.ctx.fill();
         });
+        this.ctx.restore();
     }
 
     /**
-     * Desenha bolhas
-     * @param {Array<GameObject>} bubbles - Array de bolhas
+     * Desenha uma bolha
+     * @param {GameObject} bubble - Bolha
      */
-    drawBubbles(bubbles) {
-        this.ctx.font = '30px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+    drawBubble(bubble) {
+        const pos = bubble.getInterpolatedPosition(this.alpha);
+        this.ctx.save();
+        this.ctx.shadowColor = 'rgba(100, 200, 255, 0.6)';
+        this.ctx.shadowBlur = 10;
+        this.drawAnimated(bubble, pos.x, pos.y, 30);
+        this.ctx.restore();
+    }
 
-        bubbles.forEach(bubble => {
+    /**
+     * Desenha um obstáculo (rocha)
+     * Na escuridão total, o obstáculo só aparece se alguma parte dele estiver no
+     * cone do farol; o contorno do sonar aparece sempre.
+     * @param {GameObject} obstacle - Obstáculo
+     * @param {Object} view - { submarine (farol), depthOffset (mundo -> tela), darkness (escuridão total) }
+     */
+    drawObstacle(obstacle, view) {
+        const { submarine, depthOffset, darkness } = view;
+        const pos = obstacle.getInterpolatedPosition(this.alpha);
+        const lit = !darkness || submarine.isRectInHeadlight({
+            x: pos.x,
+            y: pos.y + depthOffset,
+            width: obstacle.width,
+            height: obstacle.height
+        }, this.alpha);
+
+        if (lit) {
             this.ctx.save();
-            this.ctx.shadowColor = 'rgba(100, 200, 255, 0.6)';
-            this.ctx.shadowBlur = 10;
-            this.ctx.fillText(this.emojiMap['bubble'], bubble.x + bubble.width / 2, bubble.y + bubble.height / 2);
+            this.ctx.shadowColor = 'rgba(150, 150, 150, 0.5)';
+            this.ctx.shadowBlur = 15;
+            this.drawAnimated(obstacle, pos.x, pos.y, 40);
             this.ctx.restore();
-        });
+        }
+
+        // Contorno revelado pela onda do sonar
+        if (obstacle.revealTime > 0) {
+            this.ctx.save();
+            this.ctx.strokeStyle = `rgba(0, 217, 255, ${0.8 * obstacle.revealTime / Sonar.REVEAL_DURATION})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.ellipse(
+                pos.x + obstacle.width / 2,
+                pos.y + obstacle.height / 2,
+                obstacle.width * 0.45,
+                obstacle.height * 0.45,
+                0, 0, Math.PI * 2
+            );
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Desenha um monstro (apenas enquanto visível)
+     * @param {GameObject} monster - Monstro
+     */
+    drawMonster(monster) {
+        if (!monster.visible) return;
+
+        const pos = monster.getInterpolatedPosition(this.alpha);
+        this.ctx.save();
+
+        // Apaga na segunda metade do tempo revelado pelo sonar (atingido: opaco)
+        const reveal = monster.animator.flashTime > 0
+            ? 1
+            : Math.min(1, monster.revealTime / (Sonar.REVEAL_DURATION / 2));
+        this.ctx.globalAlpha = reveal;
+
+        // Atordoado pelo pulso elétrico: brilho azul intenso
+        const stunned = monster.ai && monster.ai.isStunned();
+        this.ctx.shadowColor = stunned
+            ? 'rgba(120, 200, 255, 0.9)'
+            : (monster.species && monster.species.glowColor) || 'rgba(0, 255, 255, 0.4)';
+        this.ctx.shadowBlur = stunned ? 25 : 15;
+
+        // Desenhar monstro virado para a direção em que nada
+        this.drawAnimated(monster, pos.x, pos.y, 50);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha um torpedo (corpo, ogiva e rastro de bolhas)
+     * @param {Projectile} projectile - Projétil
+     */
+    drawProjectile(projectile) {
+        const pos = projectile.getInterpolatedPosition(this.alpha);
+        const direction = projectile.velocityX < 0 ? -1 : 1;
+        const centerY = pos.y + projectile.height / 2;
+        const tailX = direction > 0 ? pos.x : pos.x + projectile.width;
+        const noseX = direction > 0 ? pos.x + projectile.width : pos.x;
+
+        this.ctx.save();
+
+        // Rastro
+        for (let i = 1; i <= 3; i++) {
+            this.ctx.fillStyle = `rgba(200, 240, 255, ${0.5 - i * 0.12})`;
+            this.ctx.beginPath();
+            this.ctx.arc(tailX - direction * i * 8, centerY + (i % 2 === 0 ? -2 : 2), 2 + i, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+
+        // Corpo
+        this.ctx.shadowColor = 'rgba(255, 200, 80, 0.8)';
+        this.ctx.shadowBlur = 8;
+        this.ctx.fillStyle = '#9aa4ad';
+        this.ctx.fillRect(pos.x, pos.y, projectile.width, projectile.height);
+
+        // Ogiva
+        this.ctx.fillStyle = '#ff7043';
+        this.ctx.beginPath();
+        this.ctx.arc(noseX, centerY, projectile.height / 2, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.restore();
     }
 
     /**
-     * Desenha obstáculos (rochas)
-     * @param {Array<GameObject>} obstacles - Array de obstáculos
+     * Desenha números de dano e pontos flutuantes
+     * @param {Array<Object>} damageNumbers - Números ({ x, y, text, color, life, maxLife })
      */
-    drawObstacles(obstacles) {
-        this.ctx.font = '40px Arial';
+    drawDamageNumbers(damageNumbers) {
+        this.ctx.save();
+        this.ctx.font = 'bold 18px Arial';
         this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+
+        damageNumbers.forEach(number => {
+            const opacity = Math.min(1, (number.life / number.maxLife) * 2);
+            this.ctx.globalAlpha = opacity;
+            this.ctx.strokeText(number.text, number.x, number.y);
+            this.ctx.fillStyle = `rgb(${number.color})`;
+            this.ctx.fillText(number.text, number.x, number.y);
+        });
 
-        obstacles.forEach(obstacle => {
-            this.ctx.save();
-            this.ctx.shadowColor = 'rgba(150, 150, 150, 0.5)';
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha um perigo do ambiente
+     * - current: faixa translúcida com traços que correm na direção da correnteza
+     * - vent: chaminé com a coluna de água quente subindo
+     * @param {Hazard} hazard - Perigo
+     */
+    drawHazard(hazard) {
+        const pos = hazard.getInterpolatedPosition(this.alpha);
+        this.ctx.save();
+
+        if (hazard.type === 'current') {
+            this.ctx.fillStyle = 'rgba(120, 200, 255, 0.06)';
+            this.ctx.fillRect(pos.x, pos.y, hazard.width, hazard.height);
+
+            // Traços se repetem a cada 80px e andam com a fase da correnteza
+            const direction = Math.sign(hazard.strength);
+            const shift = ((hazard.phase % 80) + 80) % 80;
+            this.ctx.strokeStyle = 'rgba(160, 220, 255, 0.35)';
+            this.ctx.lineWidth = 2;
+            for (let row = 1; row <= 3; row++) {
+                const y = pos.y + hazard.height * row / 4;
+                for (let x = -80 + shift + row * 23; x < hazard.width; x += 80) {
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(pos.x + x, y);
+                    this.ctx.lineTo(pos.x + x + 30 * direction, y);
+                    this.ctx.stroke();
+                }
+            }
+        } else if (hazard.type === 'vent') {
+            const baseY = pos.y + hazard.height;
+
+            // Coluna de água quente (tremula com a fase)
+            const wobble = Math.sin(hazard.phase / 6) * 4;
+            const plume = this.ctx.createLinearGradient(0, baseY, 0, pos.y);
+            plume.addColorStop(0, 'rgba(255, 120, 40, 0.45)');
+            plume.addColorStop(1, 'rgba(255, 120, 40, 0)');
+            this.ctx.fillStyle = plume;
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos.x + hazard.width * 0.35, baseY);
+            this.ctx.lineTo(pos.x + wobble, pos.y);
+            this.ctx.lineTo(pos.x + hazard.width + wobble, pos.y);
+            this.ctx.lineTo(pos.x + hazard.width * 0.65, baseY);
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            // Chaminé
+            this.ctx.fillStyle = 'rgb(45, 35, 35)';
+            this.ctx.shadowColor = 'rgba(255, 90, 30, 0.8)';
             this.ctx.shadowBlur = 15;
-            this.ctx.fillText(this.emojiMap['rock'], obstacle.x + obstacle.width / 2, obstacle.y + obstacle.height / 2);
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos.x + hazard.width * 0.3, baseY - 30);
+            this.ctx.lineTo(pos.x + hazard.width * 0.7, baseY - 30);
+            this.ctx.lineTo(pos.x + hazard.width * 0.9, baseY + 10);
+            this.ctx.lineTo(pos.x + hazard.width * 0.1, baseY + 10);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha as entidades de uma camada, pelo estilo do componente renderable
+     * @param {Array<GameObject>} entities - Entidades do mundo (ver EntityRegistry)
+     * @param {string} layer - Camada (ver Renderer.LAYERS)
+     * @param {Object} view - Dados da câmera repassados ao desenho (ver drawObstacle)
+     */
+    drawLayer(entities, layer, view) {
+        entities.forEach(entity => {
+            const renderable = entity.getComponent('renderable');
+            if (!renderable || renderable.layer !== layer) return;
+
+            this[Renderer.STYLES[renderable.style]](entity, view);
+        });
+    }
+
+    /**
+     * Desenha nuvens de tinta (somem conforme a tinta se dissipa)
+     * @param {Array<Object>} inkClouds - Nuvens ({ x, y, radius, life, maxLife })
+     */
+    drawInkClouds(inkClouds) {
+        inkClouds.forEach(ink => {
+            const opacity = 0.85 * (ink.life / ink.maxLife);
+            const gradient = this.ctx.createRadialGradient(ink.x, ink.y, 0, ink.x, ink.y, ink.radius);
+            gradient.addColorStop(0, `rgba(5, 5, 15, ${opacity})`);
+            gradient.addColorStop(0.7, `rgba(10, 10, 25, ${opacity * 0.6})`);
+            gradient.addColorStop(1, 'rgba(10, 10, 25, 0)');
+
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(ink.x, ink.y, ink.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Desenha as frentes de onda do sonar
+     * Chamado dentro da transformação de câmera (coordenadas do mundo).
+     * @param {Sonar} sonar - Sonar da simulação
+     */
+    drawSonar(sonar) {
+        sonar.pings.forEach(ping => {
+            const progress = ping.radius / ping.range;
+            if (ping.radius <= 0) return;
+
+            // Brilho por dentro da frente de onda
+            const gradient = this.ctx.createRadialGradient(ping.x, ping.y, 0, ping.x, ping.y, ping.radius);
+            gradient.addColorStop(0, 'rgba(0, 217, 255, 0)');
+            gradient.addColorStop(0.85, `rgba(0, 217, 255, ${0.08 * (1 - progress)})`);
+            gradient.addColorStop(1, `rgba(0, 217, 255, ${0.2 * (1 - progress)})`);
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(ping.x, ping.y, ping.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            // Frente de onda
+            this.ctx.save();
+            this.ctx.strokeStyle = `rgba(0, 217, 255, ${0.7 * (1 - progress)})`;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(ping.x, ping.y, ping.radius, 0, Math.PI * 2);
+            this.ctx.stroke();
             this.ctx.restore();
         });
     }
 
     /**
-     * Desenha monstros
-     * @param {Array<GameObject>} monsters - Array de monstros
+     * Desenha os blips de última posição conhecida das criaturas
+     * @param {Array<Object>} blips - Blips ({ x, y, life, maxLife })
      */
-    drawMonsters(monsters) {
-        this.ctx.font = '50px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+    drawSonarBlips(blips) {
+        blips.forEach(blip => {
+            const fade = blip.life / blip.maxLife;
+            const age = blip.maxLife - blip.life;
 
-        monsters.forEach(monster => {
-            if (monster.visible) {
-                this.ctx.save();
-
-                // Cores de bioluminescência
-                const glowColors = {
-                    squid: 'rgba(0, 255, 255, 0.5)',
-                    angler: 'rgba(0, 255, 100, 0.6)',
-                    viper: 'rgba(0, 150, 255, 0.4)',
-                    shark: 'rgba(255, 100, 0, 0.3)'
-                };
-
-                this.ctx.shadowColor = glowColors[monster.type] || 'rgba(0, 255, 255, 0.4)';
-                this.ctx.shadowBlur = 15;
-
-                // Desenhar monstro (inverter squid)
-                if (monster.type === 'squid') {
-                    this.ctx.translate(monster.x + monster.width, monster.y);
-                    this.ctx.scale(-1, 1);
-                    this.ctx.fillText(this.emojiMap[monster.type], 0 - monster.width / 2, monster.y + monster.height / 2);
-                } else {
-                    this.ctx.fillText(this.emojiMap[monster.type], monster.x + monster.width / 2, monster.y + monster.height / 2);
-                }
+            this.ctx.save();
+            this.ctx.fillStyle = `rgba(0, 255, 180, ${0.8 * fade})`;
+            this.ctx.shadowColor = 'rgba(0, 255, 180, 0.8)';
+            this.ctx.shadowBlur = 10;
+            this.ctx.beginPath();
+            this.ctx.arc(blip.x, blip.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
 
-                this.ctx.restore();
-            }
+            // Anel que pulsa a cada segundo
+            const ring = (age % 1000) / 1000;
+            this.ctx.strokeStyle = `rgba(0, 255, 180, ${0.5 * fade * (1 - ring)})`;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.beginPath();
+            this.ctx.arc(blip.x, blip.y, 5 + ring * 15, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.restore();
         });
     }
 
     /**
-     * Desenha o efeito de sonar
+     * Desenha o anel do pulso elétrico expandindo a partir do submarino
      * @param {Submarine} submarine - O submarino
-     * @param {boolean} sonarActive - Se o sonar está ativo
+     * @param {number} progress - Progresso do efeito (0 a 1; 0 = sem efeito)
+     * @param {number} radius - Raio de alcance do pulso
      */
-    drawSonar(submarine, sonarActive) {
-        if (!sonarActive) return;
+    drawStunPulse(submarine, progress, radius) {
+        if (progress <= 0) return;
 
-        const center = submarine.getScreenCenter();
-        const time = Date.now() / 1000;
+        const center = submarine.getInterpolatedScreenState(this.alpha);
+        const currentRadius = radius * progress;
 
-        // Múltiplos anéis de sonar
-        for (let i = 0; i < 3; i++) {
-            const radius = ((time * 200 + i * 100) % 400);
-            const opacity = Math.max(0, 0.3 - radius / 400);
+        this.ctx.save();
+        this.ctx.strokeStyle = `rgba(150, 220, 255, ${1 - progress})`;
+        this.ctx.shadowColor = 'rgba(120, 200, 255, 0.9)';
+        this.ctx.shadowBlur = 20;
+        this.ctx.lineWidth = 4;
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, currentRadius, 0, Math.PI * 2);
+        this.ctx.stroke();
 
-            this.ctx.save();
-            this.ctx.strokeStyle = `rgba(0, 217, 255, ${opacity})`;
-            this.ctx.lineWidth = 3;
+        // Faíscas ao redor do anel
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2 + progress * 3;
+            const x = center.x + Math.cos(angle) * currentRadius;
+            const y = center.y + Math.sin(angle) * currentRadius;
             this.ctx.beginPath();
-            this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x + Math.cos(angle + 1) * 10, y + Math.sin(angle + 1) * 10);
             this.ctx.stroke();
-            this.ctx.restore();
         }
 
-        // Brilho do sonar
-        const gradient = this.ctx.createRadialGradient(center.x, center.y, 0, center.x, center.y, 300);
-        gradient.addColorStop(0, 'rgba(0, 217, 255, 0.2)');
-        gradient.addColorStop(1, 'rgba(0, 217, 255, 0)');
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
     }
 
     /**
@@ -225,31 +549,43 @@ class Renderer {
      * @param {Submarine} submarine - O submarino
      */
     drawSubmarine(submarine) {
-        const center = submarine.getScreenCenter();
+        const state = submarine.getInterpolatedScreenState(this.alpha);
+        const animator = submarine.animator;
+        const frame = animator.getFrame();
 
         this.ctx.save();
-        this.ctx.translate(center.x, center.y);
-        this.ctx.rotate((submarine.rotation * Math.PI) / 180);
+        this.ctx.translate(state.x, state.y);
+        this.ctx.rotate((state.rotation * Math.PI) / 180);
+
+        // Feixe de luz e hélice acompanham a direção do submarino
+        if (animator.isMirrored()) {
+            this.ctx.scale(-1, 1);
+        }
 
         // Desenhar feixe de luz (atrás do submarino)
-        const beamGradient = this.ctx.createLinearGradient(0, 0, 150, 0);
+        const { length, spread } = Submarine.HEADLIGHT;
+        const beamGradient = this.ctx.createLinearGradient(0, 0, length, 0);
         beamGradient.addColorStop(0, 'rgba(255, 255, 200, 0.4)');
         beamGradient.addColorStop(1, 'rgba(255, 255, 200, 0)');
         this.ctx.fillStyle = beamGradient;
         this.ctx.beginPath();
         this.ctx.moveTo(submarine.width / 2, 0);
-        this.ctx.lineTo(submarine.width / 2 + 150, -50);
-        this.ctx.lineTo(submarine.width / 2 + 150, 50);
+        this.ctx.lineTo(submarine.width / 2 + length, -spread);
+        this.ctx.lineTo(submarine.width / 2 + length, spread);
         this.ctx.closePath();
         this.ctx.fill();
 
-        // Desenhar submarino com brilho (agora emoji)
-        this.ctx.shadowColor = 'rgba(255, 255, 100, 0.6)';
+        // Desenhar hélice na popa (pás vistas de lado: a altura varia com o giro)
+        const propellerX = -submarine.width / 2 - 4;
+        const propellerY = submarine.height * 0.1;
+        const bladeHeight = submarine.height * 0.22 * frame.propeller;
+        this.ctx.fillStyle = 'rgba(90, 90, 90, 0.9)';
+        this.ctx.fillRect(propellerX - 3, propellerY - Math.abs(bladeHeight), 4, Math.abs(bladeHeight) * 2);
+
+        // Desenhar submarino com brilho (vermelho durante o clarão de dano)
+        this.ctx.shadowColor = frame.flash > 0 ? 'rgba(255, 60, 60, 0.9)' : 'rgba(255, 255, 100, 0.6)';
         this.ctx.shadowBlur = 12;
-        this.ctx.font = '60px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(this.emojiMap['submarine'], 0, 0);
+        this.drawSprite('submarine', -submarine.width / 2, -submarine.height / 2, submarine.width, submarine.height, 60, false, frame);
 
         this.ctx.restore();
     }
@@ -257,12 +593,10 @@ class Renderer {
     /**
      * Desenha hitboxes para debug
      * @param {Submarine} submarine - O submarino
-     * @param {Array<GameObject>} monsters - Array de monstros
-     * @param {Array<GameObject>} obstacles - Array de obstáculos
-     * @param {Array<GameObject>} bubbles - Array de bolhas
+     * @param {Array<GameObject>} entities - Entidades do mundo (as com hitbox)
      * @param {number} depth - Profundidade atual
      */
-    drawDebugHitboxes(submarine, monsters, obstacles, bubbles, depth, cameraOffset) {
+    drawDebugHitboxes(submarine, entities, depth, cameraOffset) {
         // CRÍTICO: Desenhar as hitboxes FORA da transformação de câmera
         // para que elas apareçam em coordenadas de tela (não transformadas)
         
@@ -276,21 +610,62 @@ class Renderer {
 
         // Hitboxes dos objetos do mundo (convertidas para coordenadas de tela)
         // CRÍTICO: Use o MESMO cálculo que o CollisionDetector
-        const depthOffset = -depth + 300 + cameraOffset;
+        const depthOffset = this.viewport.getDepthOffset(depth, cameraOffset);
         const drawWorldObjectHitbox = (obj) => {
             const baseHitbox = obj.getHitbox();
-            const screenY = baseHitbox.y + depthOffset;
+            // Acompanhar a posição interpolada usada no desenho do objeto
+            const pos = obj.getInterpolatedPosition(this.alpha);
+            const hitboxX = baseHitbox.x + pos.x - obj.x;
+            const screenY = baseHitbox.y + pos.y - obj.y + depthOffset;
             
             this.ctx.save();
             this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
             this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(baseHitbox.x, screenY, baseHitbox.width, baseHitbox.height);
+            this.ctx.strokeRect(hitboxX, screenY, baseHitbox.width, baseHitbox.height);
             this.ctx.restore();
         };
 
-        monsters.forEach(drawWorldObjectHitbox);
-        obstacles.forEach(drawWorldObjectHitbox);
-        bubbles.forEach(drawWorldObjectHitbox);
+        entities.filter(entity => entity.hasComponent('hitbox')).forEach(drawWorldObjectHitbox);
+    }
+
+    /**
+     * Desenha o estado do comportamento dos monstros para debug
+     * Chamado dentro da transformação de câmera (coordenadas do mundo).
+     * @param {Array<GameObject>} entities - Entidades do mundo (as com IA)
+     */
+    drawDebugAI(entities) {
+        this.ctx.save();
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.lineWidth = 1;
+
+        entities.forEach(monster => {
+            if (!monster.ai) return;
+
+            const pos = monster.getInterpolatedPosition(this.alpha);
+            const centerX = pos.x + monster.width / 2;
+            const centerY = pos.y + monster.height / 2;
+
+            // Raio de percepção
+            this.ctx.strokeStyle = 'rgba(255, 200, 0, 0.35)';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, monster.ai.getSenseRadius(), 0, Math.PI * 2);
+            this.ctx.stroke();
+
+            // Velocidade (ampliada para ficar visível)
+            this.ctx.strokeStyle = 'rgba(255, 255, 0, 0.9)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(centerX, centerY);
+            this.ctx.lineTo(centerX + monster.velocityX * 20, centerY + monster.velocityY * 20);
+            this.ctx.stroke();
+
+            // Estado atual
+            this.ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
+            const state = monster.ai.isStunned() ? 'stunned' : monster.ai.state;
+            this.ctx.fillText(`${monster.type}: ${state} (${monster.health} HP)`, centerX, pos.y - 6);
+        });
+
+        this.ctx.restore();
     }
 
     /**
@@ -298,32 +673,41 @@ class Renderer {
      * @param {number} depth - Profundidade atual
      */
     drawVignette(depth) {
+        const { width, height } = this.viewport;
         const vignette = this.ctx.createRadialGradient(
-            this.canvas.width / 2,
-            this.canvas.height / 2,
-            this.canvas.width / 4,
-            this.canvas.width / 2,
-            this.canvas.height / 2,
-            this.canvas.width
+            width / 2,
+            height / 2,
+            width / 4,
+            width / 2,
+            height / 2,
+            width
         );
         vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        vignette.addColorStop(1, `rgba(0, 0, 0, ${Math.min(0.5, depth / 11000)})`);
+        vignette.addColorStop(1, `rgba(0, 0, 0, ${Math.min(0.5, depth / Simulation.MAX_DEPTH)})`);
         this.ctx.fillStyle = vignette;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, width, height);
     }
 
     /**
      * Renderiza um frame completo
      * @param {Object} gameState - Estado do jogo
      * @param {Submarine} submarine - O submarino
-     * @param {Array<GameObject>} monsters - Array de monstros
-     * @param {Array<GameObject>} obstacles - Array de obstáculos
-     * @param {Array<GameObject>} bubbles - Array de bolhas
+     * @param {Array<GameObject>} entities - Entidades do mundo (ver EntityRegistry)
      * @param {Array<Object>} particles - Array de partículas
      * @param {number} cameraOffset - Offset da câmera
      * @param {boolean} debugMode - Se o modo debug está ativo
+     * @param {number} renderDepth - Profundidade interpolada usada pela câmera
+     * @param {number} alpha - Fração do passo de simulação para interpolação (0 a 1)
+     * @param {Object} [effects] - Efeitos do mundo
+     * @param {Array<Object>} [effects.inkClouds] - Nuvens de tinta
+     * @param {Array<Object>} [effects.damageNumbers] - Números de dano flutuantes
+     * @param {number} [effects.pulseProgress] - Progresso do pulso elétrico (0 a 1)
+     * @param {number} [effects.pulseRadius] - Alcance do pulso elétrico
+     * @param {Sonar} [effects.sonar] - Pulsos e blips do sonar
+     * @param {boolean} [effects.darkness] - Escuridão total (obstáculos só no farol)
      */
-    render(gameState, submarine, monsters, obstacles, bubbles, particles, cameraOffset, debugMode) {
+    render(gameState, submarine, entities, particles, cameraOffset, debugMode, renderDepth = gameState.depth, alpha = 1, effects = {}) {
+        this.alpha = alpha;
         this.clear();
         this.updateDepthColor(gameState.depth);
 
@@ -333,26 +717,39 @@ class Renderer {
 
         // Aplicar transformação de câmera
         this.ctx.save();
-        const depthOffset = -gameState.depth + 300 + cameraOffset;
+        const depthOffset = this.viewport.getDepthOffset(renderDepth, cameraOffset);
         this.ctx.translate(0, depthOffset);
 
         // Desenhar partículas
-        this.drawParticles(particles);
-
-        // Desenhar objetos do mundo
-        this.drawBubbles(bubbles);
-        this.drawObstacles(obstacles);
-        this.drawMonsters(monsters);
+        this.drawParticles(particles, Biomes.getZone(gameState.depth).ambient);
+
+        // Desenhar entidades do mundo, camada por camada (o sonar entre rochas e criaturas)
+        const view = { submarine, depthOffset, darkness: effects.darkness };
+        Renderer.LAYERS.forEach(layer => {
+            if (layer !== 'sonar') {
+                this.drawLayer(entities, layer, view);
+            } else if (effects.sonar) {
+                this.drawSonar(effects.sonar);
+                this.drawSonarBlips(effects.sonar.blips);
+            }
+        });
+        this.drawInkClouds(effects.inkClouds || []);
+        this.drawDamageNumbers(effects.damageNumbers || []);
 
-        // Debug hitboxes
+        // Debug do comportamento dos monstros (no mundo)
         if (debugMode) {
-            this.drawDebugHitboxes(submarine, monsters, obstacles, bubbles, gameState.depth, cameraOffset);
+            this.drawDebugAI(entities);
         }
 
         this.ctx.restore();
 
-        // Desenhar sonar (fora da transformação de câmera)
-        this.drawSonar(submarine, gameState.sonarActive);
+        // Debug hitboxes (em coordenadas de tela, fora da transformação de câmera)
+        if (debugMode) {
+            this.drawDebugHitboxes(submarine, entities, renderDepth, cameraOffset);
+        }
+
+        // Desenhar pulso elétrico (fora da transformação de câmera)
+        this.drawStunPulse(submarine, effects.pulseProgress || 0, effects.pulseRadius || 0);
 
         // Desenhar submarino (fora da transformação de câmera)
         this.drawSubmarine(submarine);
@@ -361,15 +758,6 @@ class Renderer {
         this.drawVignette(gameState.depth);
     }
 
-    /**
-     * Retorna se as imagens foram carregadas
-     * @returns {boolean}
-     */
-    imagesLoaded() {
-        // Sempre retorna true, pois não dependemos mais de imagens
-        return true;
-    }
-
     /**
      * Reseta o renderer
      */
@@ -378,3 +766,16 @@ class Renderer {
         this.depthColor = { r: 0, g: 100, b: 150 };
     }
 }
+
+// Ordem de desenho das camadas do mundo (componente renderable.layer);
+// 'sonar' marca onde entram as ondas e os blips do sonar
+Renderer.LAYERS = ['hazards', 'pickups', 'obstacles', 'sonar', 'creatures', 'projectiles'];
+
+// Método de desenho de cada estilo (componente renderable.style)
+Renderer.STYLES = {
+    hazard: 'drawHazard',
+    bubble: 'drawBubble',
+    obstacle: 'drawObstacle',
+    monster: 'drawMonster',
+    projectile: 'drawProjectile'
+};
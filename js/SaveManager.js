@@ -0,0 +1,351 @@
+/**
+ * SaveManager.js
+ * Progresso persistente (localStorage) com formato versionado
+ *
+ * O save guarda recordes, a tabela de melhores mergulhos, estatísticas acumuladas,
+ * upgrades comprados, conquistas e configurações.
+ * Cada mudança de formato incrementa SaveManager.VERSION e registra uma migração
+ * em SaveManager.MIGRATIONS, para que saves antigos continuem funcionando.
+ */
+
+class SaveManager {
+    /**
+     * Construtor do SaveManager
+     * @param {Storage} [storage] - Armazenamento (padrão: localStorage, se disponível)
+     */
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.data = SaveManager.createDefault();
+    }
+
+    /**
+     * Cria um save vazio na versão atual
+     * @returns {Object}
+     */
+    static createDefault() {
+        return {
+            version: SaveManager.VERSION,
+            bestScore: 0,
+            bestDepth: 0,
+            highScores: [],
+            lifetime: {
+                dives: 0,
+                victories: 0,
+                totalDepth: 0,
+                totalScore: 0,
+                playTime: 0,
+                bubblesCollected: 0,
+                sonarUses: 0
+            },
+            upgrades: {
+                credits: 0,
+                levels: {}
+            },
+            achievements: {},
+            settings: { ...SaveManager.DEFAULT_SETTINGS }
+        };
+    }
+
+    /**
+     * Migra um save de qualquer versão anterior para a versão atual
+     * Campos ausentes ou inválidos são preenchidos com os valores padrão e campos
+     * desconhecidos são descartados (ver normalizeFields).
+     * @param {Object} data - Save lido (qualquer versão)
+     * @returns {Object} - Save na versão atual
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Formato de save inválido');
+        }
+
+        let migrated = { ...data };
+        let version = Number(migrated.version) || 0;
+
+        if (version > SaveManager.VERSION) {
+            throw new Error(`Save de uma versão mais nova do jogo (v${version})`);
+        }
+
+        while (version < SaveManager.VERSION) {
+            const migration = SaveManager.MIGRATIONS[version];
+            if (migration) {
+                migrated = migration(migrated);
+            }
+            version++;
+            migrated.version = version;
+        }
+
+        const defaults = SaveManager.createDefault();
+        const save = SaveManager.normalizeFields(migrated, defaults);
+        const upgrades = SaveManager.normalizeFields(save.upgrades, defaults.upgrades);
+        const settings = SaveManager.normalizeFields(save.settings, defaults.settings);
+
+        // Volumes de 0 a 1 e teclas como códigos (ver InputHandler.setBindings)
+        ['masterVolume', 'musicVolume', 'sfxVolume'].forEach(key => {
+            settings[key] = Math.max(0, Math.min(1, settings[key]));
+        });
+        settings.keyBindings = SaveManager.filterValues(settings.keyBindings, code => typeof code === 'string');
+
+        return {
+            ...save,
+            highScores: SaveManager.normalizeHighScores(save.highScores),
+            lifetime: SaveManager.normalizeFields(save.lifetime, defaults.lifetime),
+            upgrades: {
+                credits: upgrades.credits,
+                levels: SaveManager.filterValues(upgrades.levels, Number.isFinite)
+            },
+            achievements: SaveManager.filterValues(save.achievements, date => typeof date === 'string'),
+            settings
+        };
+    }
+
+    /**
+     * Mantém só os campos conhecidos, com o tipo do valor padrão
+     * Campos ausentes ou de outro tipo (ex: lifetime.dives: "x") recebem o valor
+     * padrão; números precisam ser finitos e objetos não podem ser listas.
+     * @param {Object} values - Campos lidos do save
+     * @param {Object} defaults - Valores padrão (definem os campos e seus tipos)
+     * @returns {Object}
+     */
+    static normalizeFields(values, defaults) {
+        const source = SaveManager.isObject(values) ? values : {};
+        const normalized = {};
+
+        Object.entries(defaults).forEach(([key, fallback]) => {
+            const value = source[key];
+            let valid;
+            if (typeof fallback === 'number') {
+                valid = Number.isFinite(value);
+            } else if (Array.isArray(fallback)) {
+                valid = Array.isArray(value);
+            } else if (SaveManager.isObject(fallback)) {
+                valid = SaveManager.isObject(value);
+            } else {
+                valid = typeof value === typeof fallback;
+            }
+            normalized[key] = valid ? value : fallback;
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Mantém só os valores válidos de um mapa (ex: níveis de upgrades, teclas)
+     * @param {Object} values - Mapa lido do save
+     * @param {Function} isValid - Recebe o valor e retorna se ele fica
+     * @returns {Object}
+     */
+    static filterValues(values, isValid) {
+        return Object.fromEntries(Object.entries(values).filter(([, value]) => isValid(value)));
+    }
+
+    /**
+     * Verifica se um valor é um objeto simples (não nulo e não lista)
+     * @param {*} value - Valor lido do save
+     * @returns {boolean}
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Valida as entradas da tabela de melhores mergulhos (saves importados ou editados)
+     * Entradas sem pontuação ou profundidade numéricas são descartadas; campos
+     * ausentes do resumo recebem os valores de SaveManager.DEFAULT_RUN_SUMMARY.
+     * @param {Array<Object>} entries - Entradas lidas do save
+     * @returns {Array<Object>} - Entradas válidas
+     */
+    static normalizeHighScores(entries) {
+        if (!Array.isArray(entries)) return [];
+
+        const defaults = SaveManager.DEFAULT_RUN_SUMMARY;
+
+        return entries
+            .filter(entry => SaveManager.isObject(entry) && Number.isFinite(entry.score) && Number.isFinite(entry.depth))
+            .map((entry, index) => {
+                const summary = SaveManager.isObject(entry.summary) ? entry.summary : {};
+                return {
+                    ...entry,
+                    id: entry.id !== undefined ? String(entry.id) : `importado-${index}`,
+                    diveCode: entry.diveCode || '-',
+                    summary: {
+                        ...defaults,
+                        ...summary,
+                        hitsTaken: { ...defaults.hitsTaken, ...(SaveManager.isObject(summary.hitsTaken) ? summary.hitsTaken : {}) },
+                        zonesReached: Array.isArray(summary.zonesReached) ? summary.zonesReached : []
+                    }
+                };
+            });
+    }
+
+    /**
+     * Carrega o save do armazenamento
+     * Um save corrompido é ignorado (começa do zero) em vez de travar o jogo.
+     * @returns {Object} - Dados do save
+     */
+    load() {
+        if (!this.storage) return this.data;
+
+        try {
+            const raw = this.storage.getItem(SaveManager.STORAGE_KEY);
+            this.data = raw ? SaveManager.migrate(JSON.parse(raw)) : SaveManager.createDefault();
+        } catch (error) {
+            console.warn('Save inválido, iniciando novo progresso:', error);
+            this.data = SaveManager.createDefault();
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Grava o save no armazenamento
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(SaveManager.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Não foi possível salvar o progresso:', error);
+        }
+    }
+
+    /**
+     * Registra um mergulho finalizado (recordes e estatísticas acumuladas)
+     * @param {Object} run - Resultado do mergulho
+     * @param {number} run.score - Pontuação final
+     * @param {number} run.depth - Profundidade alcançada
+     * @param {boolean} run.victory - Se chegou ao fundo
+     * @param {number} run.duration - Duração em ms de simulação
+     * @param {number} [run.bubblesCollected=0] - Bolhas coletadas
+     * @param {number} [run.sonarUses=0] - Ativações do sonar
+     * @returns {Object} - { newBestScore, newBestDepth }
+     */
+    recordRun({ score, depth, victory, duration, bubblesCollected = 0, sonarUses = 0 }) {
+        const newBestScore = score > this.data.bestScore;
+        const newBestDepth = depth > this.data.bestDepth;
+
+        this.data.bestScore = Math.max(this.data.bestScore, Math.round(score));
+        this.data.bestDepth = Math.max(this.data.bestDepth, Math.round(depth));
+
+        const lifetime = this.data.lifetime;
+        lifetime.dives++;
+        if (victory) lifetime.victories++;
+        lifetime.totalDepth += Math.round(depth);
+        lifetime.totalScore += Math.round(score);
+        lifetime.playTime += Math.round(duration);
+        lifetime.bubblesCollected += bubblesCollected;
+        lifetime.sonarUses += sonarUses;
+
+        return { newBestScore, newBestDepth };
+    }
+
+    /**
+     * Substitui a tabela de melhores mergulhos
+     * @param {Array<Object>} entries - Entradas já ordenadas e limitadas
+     */
+    setHighScores(entries) {
+        this.data.highScores = entries;
+    }
+
+    /**
+     * Atualiza os upgrades comprados e créditos
+     * @param {Object} upgrades - Estado serializado dos upgrades ({ credits, levels })
+     */
+    setUpgrades(upgrades) {
+        this.data.upgrades = {
+            credits: upgrades.credits,
+            levels: { ...upgrades.levels }
+        };
+    }
+
+    /**
+     * Atualiza as conquistas desbloqueadas
+     * @param {Object} achievements - Conquistas serializadas (id -> data do desbloqueio)
+     */
+    setAchievements(achievements) {
+        this.data.achievements = { ...achievements };
+    }
+
+    /**
+     * Atualiza configurações
+     * @param {Object} changes - Configurações alteradas
+     */
+    updateSettings(changes) {
+        this.data.settings = { ...this.data.settings, ...changes };
+    }
+
+    /**
+     * Serializa o save para exportação
+     * @returns {string} - JSON formatado
+     */
+    exportJSON() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    /**
+     * Substitui o save pelo conteúdo de um JSON exportado
+     * @param {string} text - Conteúdo do arquivo
+     * @returns {Object} - Dados importados (já migrados)
+     */
+    importJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Arquivo não é um JSON válido');
+        }
+
+        this.data = SaveManager.migrate(parsed);
+        this.save();
+        return this.data;
+    }
+
+    /**
+     * Apaga todo o progresso
+     */
+    clear() {
+        this.data = SaveManager.createDefault();
+        if (this.storage) {
+            this.storage.removeItem(SaveManager.STORAGE_KEY);
+        }
+    }
+}
+
+// Chave do save no localStorage
+SaveManager.STORAGE_KEY = 'abyssDepthDiver.save';
+
+// Versão atual do formato do save
+SaveManager.VERSION = 3;
+
+// Configurações padrão
+SaveManager.DEFAULT_SETTINGS = {
+    showControls: true,
+    keyBindings: {}, // Ação -> código da tecla, só as trocadas (ver InputHandler.DEFAULT_BINDINGS)
+    masterVolume: 0.8, // Volumes de 0 a 1 (ver AudioManager)
+    musicVolume: 0.5,
+    sfxVolume: 0.8,
+    muted: false
+};
+
+// Resumo de mergulho usado para completar entradas da tabela (ver Simulation.getRunSummary)
+SaveManager.DEFAULT_RUN_SUMMARY = {
+    duration: 0,
+    bubblesCollected: 0,
+    hitsTaken: { creature: 0, rock: 0, vent: 0, pressure: 0 },
+    sonarUses: 0,
+    monstersKilled: 0,
+    zonesReached: [],
+    causeOfDeath: null
+};
+
+// Migrações: MIGRATIONS[n] converte um save da versão n para a versão n + 1
+SaveManager.MIGRATIONS = {
+    // Dados sem versão (pré-lançamento do save) só precisam dos valores padrão
+    0: (data) => data,
+
+    // v2: tabela local de melhores mergulhos
+    1: (data) => ({ ...data, highScores: [] }),
+
+    // v3: conquistas
+    2: (data) => ({ ...data, achievements: {} })
+};
@@ -0,0 +1,165 @@
+/**
+ * SeededRandom.js
+ * Gerador de números pseudoaleatórios com semente (mulberry32)
+ *
+ * Toda a aleatoriedade da simulação passa por aqui: a mesma semente sempre gera
+ * os mesmos monstros, rochas e bolhas nas mesmas profundidades. (O ruído do
+ * áudio, que não afeta o mergulho, usa Math.random; ver AudioManager.)
+ * A semente é exibida para o jogador como um "código de mergulho" (base 36).
+ */
+
+class SeededRandom {
+    /**
+     * Construtor do SeededRandom
+     * @param {number|string} seed - Semente numérica ou código de mergulho
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Gera uma semente nova (única chamada a Math.random da simulação)
+     * @returns {number} - Inteiro de 32 bits sem sinal
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Converte um número, código de mergulho ou texto qualquer em uma semente de 32 bits
+     * @param {number|string} seed - Valor de entrada
+     * @returns {number} - Inteiro de 32 bits sem sinal
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed === undefined || seed === null ? '' : seed).trim();
+
+        // Códigos de mergulho são a própria semente em base 36
+        if (/^[0-9a-z]{1,7}$/i.test(text)) {
+            const value = parseInt(text, 36);
+            if (value <= 0xFFFFFFFF) {
+                return value >>> 0;
+            }
+        }
+
+        return SeededRandom.hashString(text);
+    }
+
+    /**
+     * Hash FNV-1a de uma string
+     * @param {string} text - Texto de entrada
+     * @returns {number} - Inteiro de 32 bits sem sinal
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Formata uma semente como código de mergulho compartilhável
+     * @param {number} seed - Semente de 32 bits
+     * @returns {string} - Código em base 36, maiúsculo
+     */
+    static toDiveCode(seed) {
+        return (seed >>> 0).toString(36).toUpperCase();
+    }
+
+    /**
+     * Cria um gerador independente derivado desta semente
+     * Usado para separar os fluxos (monstros, obstáculos, bolhas...) de forma que
+     * consumir números em um não altere a sequência dos outros.
+     * @param {string} label - Nome do fluxo
+     * @returns {SeededRandom}
+     */
+    fork(label) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+    }
+
+    /**
+     * Próximo número no intervalo [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Número real no intervalo [min, max)
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Inteiro no intervalo [min, max]
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Retorna true com a probabilidade indicada
+     * @param {number} probability - Probabilidade entre 0 e 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Escolhe um elemento aleatório de um array
+     * @param {Array} array - Array de opções
+     * @returns {*}
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Escolhe um elemento com probabilidade proporcional ao seu peso
+     * Consome sempre um número, mesmo sem opções com peso positivo.
+     * @param {Array} array - Array de opções
+     * @param {Function} getWeight - Retorna o peso (>= 0) de uma opção
+     * @returns {*} - undefined se nenhum peso for positivo
+     */
+    weightedPick(array, getWeight) {
+        const weights = array.map(getWeight);
+        const total = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+        let roll = this.next() * total;
+
+        let chosen;
+        for (let i = 0; i < array.length; i++) {
+            if (weights[i] <= 0) continue;
+            chosen = array[i];
+            roll -= weights[i];
+            if (roll < 0) break;
+        }
+        return chosen;
+    }
+
+    /**
+     * Retorna 1 ou -1 com a mesma probabilidade
+     * @returns {number}
+     */
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+}
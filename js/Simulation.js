@@ -0,0 +1,1213 @@
+/**
+ * Simulation.js
+ * Núcleo da simulação do jogo, sem acesso ao DOM
+ *
+ * Contém o estado do mergulho, as entidades, as colisões e o spawn procedural.
+ * As entidades do mundo ficam em um único registro (registry, ver EntityRegistry)
+ * e são tratadas pelos sistemas (update*), cada um pelos componentes que usa.
+ * Pode ser executado no navegador (pela classe Game) ou em Node (ver headless.js),
+ * avançando sempre pelo tempo de simulação recebido em step(), nunca pelo relógio.
+ *
+ * Os acontecimentos do mergulho (colisões, bolhas, zonas, sonar, fim de jogo...)
+ * são publicados no barramento de eventos (events); HUD, áudio e conquistas
+ * assinam os que lhes interessam. As estatísticas do mergulho (runStats) também
+ * são contadas por assinatura, em trackRunStats().
+ */
+
+class Simulation {
+    /**
+     * Construtor da Simulation
+     * @param {Object} options - Opções do mergulho
+     * @param {number|string} [options.seed] - Semente fixa (código de mergulho) para o mundo
+     * @param {Bestiary} [options.bestiary] - Espécies de criaturas (padrão: Bestiary.DEFAULT_SPECIES)
+     * @param {Viewport} [options.viewport] - Tela lógica (padrão: 800x600)
+     * @param {EventBus} [options.events] - Barramento de eventos (padrão: um novo)
+     */
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+        this.bestiary = options.bestiary || new Bestiary();
+        this.viewport = options.viewport || new Viewport();
+        this.collisionDetector = new CollisionDetector(this.viewport);
+        this.sonar = new Sonar();
+        this.missions = new Missions();
+        this.registry = new EntityRegistry();
+        this.submarine = new Submarine(this.viewport, 100, 60);
+
+        // Loja de upgrades (créditos e níveis são mantidos entre mergulhos)
+        this.upgrades = new Upgrades();
+
+        // Semente do mundo (fixa quando informada)
+        this.fixedSeed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? SeededRandom.normalizeSeed(options.seed)
+            : null;
+
+        // Taxas de recursos (por ms de simulação)
+        this.oxygenDrainRate = 0.001;
+        this.energyRechargeRate = 0.0004;
+
+        this.hintDuration = 3000;
+
+        this.trackRunStats();
+        this.reset();
+    }
+
+    /**
+     * Reseta a simulação para um novo mergulho
+     * @param {number} [seed] - Semente do novo mergulho (padrão: semente fixa ou uma nova)
+     */
+    reset(seed) {
+        if (seed !== undefined) {
+            this.seed = SeededRandom.normalizeSeed(seed);
+        } else {
+            this.seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.randomSeed();
+        }
+        this.createRandomStreams();
+
+        const stats = this.getStats();
+
+        // Estado do jogo
+        this.gameState = {
+            oxygen: stats.maxOxygen,
+            energy: stats.maxEnergy,
+            health: stats.maxHealth,
+            depth: 0,
+            score: 0,
+            sonarActive: false,
+            sonarCooldown: 0,
+            torpedoCooldown: 0,
+            pulseCooldown: 0
+        };
+
+        // Zona de profundidade atual (ver Biomes)
+        this.zone = Biomes.ZONES[0];
+
+        // Entidades do mundo e efeitos visuais
+        this.registry.clear();
+        this.inkClouds = [];
+        this.damageNumbers = [];
+        this.initializeParticles();
+
+        // Perigos do ambiente afetando o submarino (avisos do HUD) e tempo até o próximo efeito
+        this.activeHazards = { current: false, vent: false, pressure: false, darkness: false };
+        this.hazardTimers = { vent: 0, pressure: 0 };
+
+        // Controle de spawn
+        this.nextMonsterId = 1;
+        this.resetSpawnSchedule();
+
+        // Tempo de simulação (ms)
+        this.elapsedTime = 0;
+        this.previousDepth = 0;
+        this.depthMilestone = 0;
+        this.pulseTimer = 0;
+
+        // Offset da câmera do último passo (posição do submarino no mundo para as armas)
+        this.cameraOffset = 0;
+
+        // Controle de estado
+        this.gameOverTriggered = false;
+        this.gameOverReason = '';
+        this.finalScore = 0;
+        this.hint = '';
+        this.hintTimer = 0;
+
+        // Estatísticas do mergulho (resumo na tela de fim de jogo)
+        this.runStats = {
+            bubblesCollected: 0,
+            hitsTaken: { creature: 0, rock: 0, vent: 0, pressure: 0 }, // Danos por fonte
+            sonarUses: 0,
+            monstersKilled: 0,
+            scanned: {}, // Criaturas reveladas pelo sonar, por espécie
+            missionsCompleted: 0,
+            zonesReached: [Biomes.ZONES[0].name],
+            lastDamageSource: null,
+            causeOfDeath: null
+        };
+
+        // Criaturas já reveladas pelo sonar (cada uma conta uma vez em runStats.scanned)
+        this.scannedMonsters = new Set();
+
+        // Missões do mergulho (as opcionais dependem da semente)
+        this.missions.start(this.random.missions);
+
+        this.submarine.reset();
+        this.sonar.reset();
+
+        this.events.emit('dive:started', { seed: this.seed });
+    }
+
+    /**
+     * Cria os geradores aleatórios do mergulho a partir da semente atual
+     * Cada tipo de elemento tem seu próprio fluxo, para que o mundo gerado não
+     * dependa da ordem em que os elementos são criados.
+     */
+    createRandomStreams() {
+        const rng = new SeededRandom(this.seed);
+        this.random = {
+            monsters: rng.fork('monsters'),
+            obstacles: rng.fork('obstacles'),
+            bubbles: rng.fork('bubbles'),
+            ambient: rng.fork('ambient'),
+            ai: rng.fork('ai'),
+            hazards: rng.fork('hazards'),
+            missions: rng.fork('missions')
+        };
+    }
+
+    /**
+     * Define as profundidades dos próximos spawns
+     * O spawn é agendado por profundidade (e não por frame), para que a mesma
+     * semente gere os mesmos elementos independentemente da taxa de quadros.
+     */
+    resetSpawnSchedule() {
+        this.lastSpawnDepth = 0;
+        this.nextMonsterSpawnDepth = 400 + this.random.monsters.next() * 300;
+        this.nextObstacleSpawnDepth = this.random.obstacles.range(200, 600);
+        this.nextBubbleSpawnDepth = this.random.bubbles.range(150, 500);
+        this.nextHazardSpawnDepth = this.random.hazards.range(400, 800);
+    }
+
+    /**
+     * Obtém o código de mergulho (semente em base 36) do mergulho atual
+     * @returns {string}
+     */
+    getDiveCode() {
+        return SeededRandom.toDiveCode(this.seed);
+    }
+
+    /**
+     * Inicializa partículas ambientes
+     */
+    initializeParticles() {
+        const rng = this.random.ambient;
+        this.particles = Array.from({ length: 50 }, () => ({
+            x: rng.next() * this.viewport.width,
+            y: rng.next() * this.viewport.height,
+            size: rng.next() * 3 + 1,
+            speed: rng.next() * 0.5 + 0.2
+        }));
+    }
+
+    /**
+     * Conta as estatísticas do mergulho a partir dos eventos publicados
+     * As assinaturas valem para todos os mergulhos (reset() só troca o runStats).
+     */
+    trackRunStats() {
+        const events = this.events;
+        events.on('sonar:fired', () => this.runStats.sonarUses++);
+        events.on('monster:killed', () => this.runStats.monstersKilled++);
+        events.on('damage:taken', ({ source }) => {
+            this.runStats.hitsTaken[source]++;
+            this.runStats.lastDamageSource = source;
+        });
+        events.on('pickup:bubble', ({ count }) => {
+            this.runStats.bubblesCollected += count;
+        });
+        events.on('mission:completed', () => this.runStats.missionsCompleted++);
+        events.on('monster:scanned', ({ monster }) => {
+            const scanned = this.runStats.scanned;
+            scanned[monster.type] = (scanned[monster.type] || 0) + 1;
+        });
+        events.on('zone:entered', ({ zone }) => {
+            if (!this.runStats.zonesReached.includes(zone.name)) {
+                this.runStats.zonesReached.push(zone.name);
+            }
+        });
+    }
+
+    /**
+     * Mostra uma dica (publicada para a camada de apresentação)
+     * @param {string} text - Texto da dica
+     */
+    showHint(text) {
+        this.hint = text;
+        this.hintTimer = this.hintDuration;
+        this.events.emit('hint:shown', { text });
+    }
+
+    /**
+     * Verifica se o oxigênio está abaixo do nível de alerta
+     * @returns {boolean}
+     */
+    isOxygenLow() {
+        return this.gameState.oxygen < this.getStats().maxOxygen * Simulation.LOW_OXYGEN;
+    }
+
+    /**
+     * Obtém os atributos efetivos do submarino (base + upgrades)
+     * @returns {Object}
+     */
+    getStats() {
+        return this.upgrades.getStats();
+    }
+
+    /**
+     * Aplica dano ao casco, considerando o multiplicador de dano dos upgrades
+     * @param {number} baseDamage - Dano antes dos modificadores
+     * @param {string} source - Fonte do dano (creature, rock, vent, pressure)
+     * @returns {number} - Dano efetivamente aplicado
+     */
+    applyDamage(baseDamage, source) {
+        const damage = Math.floor(baseDamage * this.getStats().damageTaken);
+        this.gameState.health = Math.max(0, this.gameState.health - damage);
+        this.submarine.animator.play('damage', true);
+        this.events.emit('damage:taken', { source, damage });
+        return damage;
+    }
+
+    /**
+     * Adiciona oxigênio, limitado à capacidade efetiva do tanque
+     * @param {number} amount - Quantidade de oxigênio
+     */
+    addOxygen(amount) {
+        this.gameState.oxygen = Math.min(this.getStats().maxOxygen, this.gameState.oxygen + amount);
+    }
+
+    /**
+     * Limita oxigênio, energia e saúde às capacidades efetivas atuais
+     */
+    clampResources() {
+        const stats = this.getStats();
+        this.gameState.oxygen = Math.min(stats.maxOxygen, this.gameState.oxygen);
+        this.gameState.energy = Math.min(stats.maxEnergy, this.gameState.energy);
+        this.gameState.health = Math.min(stats.maxHealth, this.gameState.health);
+    }
+
+    /**
+     * Adiciona créditos da loja
+     * @param {number} amount - Quantidade de créditos
+     */
+    earnCredits(amount) {
+        this.upgrades.earn(amount);
+    }
+
+    /**
+     * Compra o próximo nível de um upgrade; o efeito vale imediatamente
+     * @param {string} id - Identificador do upgrade
+     * @returns {Object} - { success, reason?, level? }
+     */
+    purchaseUpgrade(id) {
+        const previousStats = this.getStats();
+        const result = this.upgrades.purchase(id);
+
+        if (result.success) {
+            // Capacidade extra já vem preenchida
+            const stats = this.getStats();
+            this.gameState.oxygen += Math.max(0, stats.maxOxygen - previousStats.maxOxygen);
+            this.gameState.energy += Math.max(0, stats.maxEnergy - previousStats.maxEnergy);
+            this.gameState.health += Math.max(0, stats.maxHealth - previousStats.maxHealth);
+
+            this.showHint(`🔓 Upgrade: ${this.upgrades.getTierName(id, result.level)}!`);
+            this.events.emit('upgrade:unlocked', { id, level: result.level });
+        }
+
+        return result;
+    }
+
+    /**
+     * Ativa o sonar
+     * @returns {boolean} - true se o sonar foi ativado (nunca depois do fim do mergulho)
+     */
+    activateSonar() {
+        if (this.gameOverTriggered) return false;
+
+        const stats = this.getStats();
+        const sonarCost = stats.sonarCost;
+
+        if (this.gameState.energy >= sonarCost && this.gameState.sonarCooldown <= 0 && !this.gameState.sonarActive) {
+            this.gameState.energy = Math.max(0, this.gameState.energy - sonarCost);
+            this.gameState.sonarCooldown = 5;
+
+            const origin = this.getSubmarineWorldCenter(this.cameraOffset);
+            this.sonar.emit(origin.x, origin.y, stats.sonarRange);
+            this.gameState.sonarActive = true;
+
+            this.showHint('✓ Sonar ativado!');
+            this.events.emit('sonar:fired', { x: origin.x, y: origin.y, range: stats.sonarRange });
+            return true;
+        } else if (this.gameState.energy < sonarCost) {
+            this.showHint('✗ Energia insuficiente!');
+        } else if (this.gameState.sonarCooldown > 0) {
+            this.showHint('✗ Sonar em cooldown!');
+        }
+        return false;
+    }
+
+    /**
+     * Dispara um torpedo na direção para a qual o submarino está virado
+     * @returns {boolean} - true se disparou (nunca depois do fim do mergulho)
+     */
+    fireTorpedo() {
+        if (this.gameOverTriggered) return false;
+
+        const weapon = Simulation.WEAPONS.torpedo;
+
+        if (this.gameState.torpedoCooldown > 0) {
+            return false;
+        }
+        if (this.gameState.energy < weapon.cost) {
+            this.showHint('✗ Energia insuficiente!');
+            return false;
+        }
+
+        const facing = this.submarine.getFacing();
+        const center = this.getSubmarineWorldCenter(this.cameraOffset);
+        const torpedo = new Projectile(center.x + facing * this.submarine.width / 2, center.y, facing, weapon);
+        torpedo.id = this.nextMonsterId++;
+
+        this.registry.add(torpedo);
+        this.gameState.energy -= weapon.cost;
+        this.gameState.torpedoCooldown = weapon.cooldown;
+        return true;
+    }
+
+    /**
+     * Dispara o pulso elétrico: causa dano e atordoa os monstros ao redor do submarino
+     * @returns {boolean} - true se disparou (nunca depois do fim do mergulho)
+     */
+    activateStunPulse() {
+        if (this.gameOverTriggered) return false;
+
+        const weapon = Simulation.WEAPONS.stunPulse;
+
+        if (this.gameState.pulseCooldown > 0) {
+            this.showHint('✗ Pulso em recarga!');
+            return false;
+        }
+        if (this.gameState.energy < weapon.cost) {
+            this.showHint('✗ Energia insuficiente!');
+            return false;
+        }
+
+        this.gameState.energy -= weapon.cost;
+        this.gameState.pulseCooldown = weapon.cooldown;
+        this.pulseTimer = Simulation.PULSE_EFFECT_DURATION;
+
+        const center = this.getSubmarineWorldCenter(this.cameraOffset);
+        const targets = this.collisionDetector.getObjectsInRadius(center, weapon.radius, this.registry.query('destructible'));
+
+        // A dica de abate (em damageEntity) substitui esta
+        this.showHint(targets.length > 0 ? `⚡ Pulso atingiu ${targets.length} criatura(s)!` : '⚡ Pulso elétrico!');
+
+        targets.forEach(target => {
+            if (target.ai) target.ai.stun(weapon.stunDuration);
+            this.damageEntity(target, weapon.damage);
+        });
+        this.removeDestroyed();
+        return true;
+    }
+
+    /**
+     * Sistema de sonar: avança os pulsos e revela as entidades sonarVisible alcançadas
+     * Entidades com blip (criaturas) deixam um blip de última posição conhecida e
+     * são avisadas do pulso (ver MonsterAI); rochas aparecem apenas em contorno.
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     */
+    updateSonar(deltaTime) {
+        const targets = this.registry.query('sonarVisible');
+        targets.forEach(target => target.revealTime = Math.max(0, target.revealTime - deltaTime));
+
+        const contacts = this.sonar.update(deltaTime, targets);
+        contacts.forEach(target => {
+            target.revealTime = Sonar.REVEAL_DURATION;
+            if (target.getComponent('sonarVisible').blip) {
+                this.sonar.addBlip(target);
+                if (!this.scannedMonsters.has(target.id)) {
+                    this.scannedMonsters.add(target.id);
+                    this.events.emit('monster:scanned', { monster: target });
+                }
+                if (target.ai) target.ai.pinged = true;
+            }
+        });
+
+        this.gameState.sonarActive = this.sonar.isActive();
+
+        // Entidades ocultas aparecem enquanto reveladas ou durante o clarão de um acerto
+        targets.filter(target => target.getComponent('sonarVisible').hidden).forEach(target => {
+            target.visible = target.revealTime > 0 || target.animator.flashTime > 0;
+        });
+    }
+
+    /**
+     * Obtém o progresso do efeito visual do pulso elétrico
+     * @returns {number} - 0 (sem efeito) a 1 (fim da expansão)
+     */
+    getPulseProgress() {
+        return this.pulseTimer > 0 ? 1 - this.pulseTimer / Simulation.PULSE_EFFECT_DURATION : 0;
+    }
+
+    /**
+     * Aplica dano a uma entidade destructible, com número de dano flutuante
+     * Entidades com vida zerada são abatidas e dão os pontos do componente
+     * (removidas em removeDestroyed).
+     * @param {GameObject} monster - Entidade atingida
+     * @param {number} damage - Dano
+     */
+    damageEntity(monster, damage) {
+        if (monster.health <= 0) return;
+
+        monster.health = Math.max(0, monster.health - damage);
+        monster.animator.flash(Simulation.HIT_FLASH_DURATION);
+
+        const center = monster.getCenter();
+        this.addDamageNumber(center.x, monster.y, `-${damage}`, '255, 220, 80');
+
+        if (monster.health === 0) {
+            const points = monster.getComponent('destructible').points;
+            this.gameState.score += points;
+            this.addDamageNumber(center.x, monster.y - 20, `+${points}`, '120, 255, 140');
+            this.showHint(`✓ Criatura abatida! +${points} pontos`);
+            this.events.emit('monster:killed', { monster, points });
+        }
+    }
+
+    /**
+     * Remove as entidades abatidas
+     */
+    removeDestroyed() {
+        this.registry.removeWhere(entity => entity.hasComponent('destructible') && entity.health <= 0);
+    }
+
+    /**
+     * Adiciona um número flutuante (dano ou pontos)
+     * @param {number} x - Posição X (coordenadas do mundo)
+     * @param {number} y - Posição Y (coordenadas do mundo)
+     * @param {string} text - Texto exibido
+     * @param {string} color - Cor em "r, g, b"
+     */
+    addDamageNumber(x, y, text, color) {
+        this.damageNumbers.push({
+            x,
+            y,
+            text,
+            color,
+            life: Simulation.DAMAGE_NUMBER_DURATION,
+            maxLife: Simulation.DAMAGE_NUMBER_DURATION
+        });
+    }
+
+    /**
+     * Gera monstros proceduralmente
+     */
+    spawnMonsters() {
+        const rng = this.random.monsters;
+
+        while (this.gameState.depth >= this.nextMonsterSpawnDepth) {
+            // Usar a profundidade agendada (e não a do frame) mantém o spawn determinístico
+            const spawnDepth = this.nextMonsterSpawnDepth;
+            this.lastSpawnDepth = spawnDepth;
+            this.nextMonsterSpawnDepth = spawnDepth + 400 + rng.next() * 300;
+
+            const enemyCount = Math.min(1 + Math.floor(spawnDepth / 2000), 3);
+
+            // Espécies que aparecem nesta profundidade, com os pesos da zona
+            const zone = Biomes.getZone(spawnDepth);
+            const candidates = this.bestiary.getSpawnable(spawnDepth)
+                .filter(species => Biomes.getSpawnWeight(zone, species.id) > 0);
+            if (candidates.length === 0) continue;
+
+            for (let i = 0; i < enemyCount; i++) {
+                const species = rng.weightedPick(candidates, s => Biomes.getSpawnWeight(zone, s.id));
+
+                const depthMultiplier = 1 + spawnDepth / 5000;
+                const direction = rng.sign();
+                const speed = species.speed * (1 + spawnDepth / 10000);
+
+                const monster = new GameObject(
+                    direction > 0 ? -100 : this.viewport.width + 100,
+                    this.getSpawnY(spawnDepth, Simulation.SPAWN_BANDS.monster, rng),
+                    species.width,
+                    species.height,
+                    species.id
+                );
+
+                monster.id = this.nextMonsterId++;
+                monster.species = species;
+                if (species.animation && species.animation !== species.id) {
+                    monster.animator = Animator.forType(species.animation);
+                }
+                monster.velocityX = direction * speed;
+                monster.velocityY = (rng.next() - 0.5) * 0.3;
+                monster.health = Math.floor(species.health * depthMultiplier);
+                monster.speed = speed;
+                monster.visible = false;
+                monster.ai = MonsterAI.forMonster(monster, species.behavior);
+
+                monster.addComponent('transform')
+                    .addComponent('velocity', { swim: true, bounce: true })
+                    .addComponent('hitbox', species.hitbox)
+                    .addComponent('renderable', { layer: 'creatures', style: 'monster', animated: true })
+                    .addComponent('damageOnContact', {
+                        damage: species.contactDamage,
+                        source: 'creature',
+                        label: 'Criatura marinha',
+                        event: 'collision:monster'
+                    })
+                    .addComponent('sonarVisible', { blip: true, hidden: true })
+                    .addComponent('destructible', { points: species.score });
+
+                this.registry.add(monster);
+            }
+        }
+    }
+
+    /**
+     * Gera obstáculos e bolhas proceduralmente
+     */
+    spawnProceduralElements() {
+        const currentDepth = this.gameState.depth;
+
+        // Spawn de obstáculos
+        // Os números aleatórios são consumidos mesmo quando o limite está cheio,
+        // para que a sequência da semente não dependa do jogador
+        const obstacleRng = this.random.obstacles;
+        while (currentDepth >= this.nextObstacleSpawnDepth) {
+            const spawnDepth = this.nextObstacleSpawnDepth;
+            this.nextObstacleSpawnDepth = spawnDepth + obstacleRng.range(200, 600);
+
+            // Tipo de obstáculo sorteado pelos pesos da zona
+            const weights = Biomes.getZone(spawnDepth).obstacleWeights;
+            const type = obstacleRng.weightedPick(Object.keys(weights), t => weights[t]);
+            const def = Biomes.OBSTACLES[type];
+
+            const obstacle = new GameObject(
+                obstacleRng.next() * (this.viewport.width - 100) + 50,
+                this.getSpawnY(spawnDepth, Simulation.SPAWN_BANDS.obstacle, obstacleRng),
+                obstacleRng.range(def.minSize, def.maxSize),
+                obstacleRng.range(def.minSize, def.maxSize),
+                type
+            );
+
+            if (this.countEntities('obstacle') < Simulation.SPAWN_LIMITS.obstacle) {
+                obstacle.id = this.nextMonsterId++;
+                obstacle.addComponent('transform')
+                    .addComponent('hitbox', Simulation.HITBOXES.obstacle)
+                    .addComponent('renderable', { layer: 'obstacles', style: 'obstacle', animated: true })
+                    .addComponent('damageOnContact', {
+                        damage: def.damage,
+                        source: 'rock',
+                        label: `Impacto com ${def.name}`,
+                        event: 'collision:obstacle'
+                    })
+                    .addComponent('sonarVisible', { blip: false, hidden: false });
+                this.registry.add(obstacle);
+            }
+        }
+
+        // Spawn de bolhas
+        const bubbleRng = this.random.bubbles;
+        while (currentDepth >= this.nextBubbleSpawnDepth) {
+            const spawnDepth = this.nextBubbleSpawnDepth;
+            this.nextBubbleSpawnDepth = spawnDepth + bubbleRng.range(150, 500);
+
+            const bubble = new GameObject(
+                bubbleRng.next() * (this.viewport.width - 50) + 25,
+                this.getSpawnY(spawnDepth, Simulation.SPAWN_BANDS.bubble, bubbleRng),
+                40,
+                40,
+                'bubble'
+            );
+
+            if (this.countEntities('bubble') < Simulation.SPAWN_LIMITS.bubble) {
+                bubble.id = this.nextMonsterId++;
+                bubble.addComponent('transform')
+                    .addComponent('hitbox', Simulation.HITBOXES.bubble)
+                    .addComponent('renderable', { layer: 'pickups', style: 'bubble', animated: true })
+                    .addComponent('pickup', {
+                        oxygen: Simulation.BUBBLE_OXYGEN,
+                        credits: Simulation.BUBBLE_CREDITS,
+                        event: 'pickup:bubble'
+                    });
+                this.registry.add(bubble);
+            }
+        }
+
+        // Spawn de perigos (correntezas e fontes hidrotermais, pelos pesos da zona)
+        const hazardRng = this.random.hazards;
+        while (currentDepth >= this.nextHazardSpawnDepth) {
+            const spawnDepth = this.nextHazardSpawnDepth;
+            this.nextHazardSpawnDepth = spawnDepth + hazardRng.range(500, 900);
+
+            const weights = Biomes.getZone(spawnDepth).hazardWeights;
+            const type = hazardRng.weightedPick(Object.keys(weights), t => weights[t]);
+            const y = this.getSpawnY(spawnDepth, Simulation.SPAWN_BANDS.hazard, hazardRng);
+            if (!type) continue;
+
+            const current = Simulation.HAZARDS.current;
+            const vent = Simulation.HAZARDS.vent;
+            const hazard = type === 'current'
+                ? new Hazard(
+                    0,
+                    y,
+                    this.viewport.width,
+                    hazardRng.range(current.minHeight, current.maxHeight),
+                    'current',
+                    hazardRng.sign() * hazardRng.range(current.minStrength, current.maxStrength)
+                )
+                : new Hazard(hazardRng.range(50, this.viewport.width - 50 - vent.width), y, vent.width, vent.height, 'vent');
+
+            if (this.countEntities('hazard') < Simulation.SPAWN_LIMITS.hazard) {
+                hazard.id = this.nextMonsterId++;
+                this.registry.add(hazard);
+            }
+        }
+    }
+
+    /**
+     * Sorteia o Y de spawn em uma faixa abaixo da borda inferior da tela
+     * A borda é a da tela lógica quando o submarino está na profundidade do spawn.
+     * @param {number} spawnDepth - Profundidade agendada do spawn
+     * @param {Object} band - Faixa ({ margin, spread }, ver Simulation.SPAWN_BANDS)
+     * @param {SeededRandom} rng - Fluxo aleatório do tipo de entidade
+     * @returns {number} - Y no mundo
+     */
+    getSpawnY(spawnDepth, band, rng) {
+        const bottomEdge = this.viewport.screenToWorldY(this.viewport.height, spawnDepth);
+        return bottomEdge + band.margin + rng.next() * band.spread;
+    }
+
+    /**
+     * Conta as entidades de um estilo (limites de spawn)
+     * @param {string} style - Estilo do componente renderable
+     * @returns {number}
+     */
+    countEntities(style) {
+        return this.registry.count(entity =>
+            entity.hasComponent('renderable') && entity.getComponent('renderable').style === style
+        );
+    }
+
+    /**
+     * Aplica os perigos do ambiente ao submarino
+     * Cada perigo tem sua própria verificação e fica marcado em activeHazards
+     * enquanto estiver afetando o submarino (avisos do HUD).
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     * @param {number} cameraOffset - Offset da câmera
+     */
+    updateHazards(deltaTime, cameraOffset) {
+        const frameScale = deltaTime / Simulation.REFERENCE_FRAME_TIME;
+        const stats = this.getStats();
+        const hazards = this.registry.query('hazard');
+        hazards.forEach(h => h.update(deltaTime));
+
+        // Correntezas: empurram o submarino enquanto o centro dele estiver na faixa
+        const center = this.getSubmarineWorldCenter(cameraOffset);
+        const currents = hazards.filter(h => h.type === 'current' && h.containsY(center));
+        currents.forEach(current => this.submarine.push(current.strength * frameScale));
+        this.activeHazards.current = currents.length > 0;
+
+        // Fontes hidrotermais: a água quente danifica o casco, mas recarrega a energia
+        const vents = this.collisionDetector.checkContacts(
+            this.submarine,
+            hazards.filter(h => h.type === 'vent'),
+            this.gameState.depth,
+            cameraOffset
+        );
+        this.activeHazards.vent = this.tickHazard('vent', vents.length > 0, deltaTime, () => {
+            this.applyDamage(Simulation.HAZARDS.vent.damage, 'vent');
+            this.gameState.energy = Math.min(stats.maxEnergy, this.gameState.energy + Simulation.HAZARDS.vent.energy);
+        });
+
+        // Pressão: abaixo da profundidade nominal, só o casco reforçado resiste
+        const overPressure = this.gameState.depth > Simulation.HAZARDS.pressure.ratedDepth
+            && !this.upgrades.isUnlocked('reinforcedHull');
+        this.activeHazards.pressure = this.tickHazard('pressure', overPressure, deltaTime, () => {
+            this.applyDamage(Simulation.HAZARDS.pressure.damage, 'pressure');
+        });
+
+        // Escuridão: obstáculos só aparecem no farol (ver Renderer.drawObstacle)
+        this.activeHazards.darkness = this.zone.dark;
+    }
+
+    /**
+     * Obtém as entidades mostradas no radar
+     * Na escuridão total, obstáculos só aparecem no farol ou revelados pelo sonar
+     * (a mesma regra do desenho, ver Renderer.drawObstacle).
+     * @returns {Array<GameObject>}
+     */
+    getRadarEntities() {
+        const entities = this.registry.getAll();
+        if (!this.zone.dark) return entities;
+
+        const depthOffset = this.viewport.getDepthOffset(this.gameState.depth, this.cameraOffset);
+        return entities.filter(entity => {
+            const renderable = entity.getComponent('renderable');
+            if (!renderable || renderable.style !== 'obstacle' || entity.revealTime > 0) return true;
+
+            return this.submarine.isRectInHeadlight({
+                x: entity.x,
+                y: entity.y + depthOffset,
+                width: entity.width,
+                height: entity.height
+            });
+        });
+    }
+
+    /**
+     * Aplica um perigo contínuo em intervalos fixos enquanto ele estiver ativo
+     * O primeiro efeito é imediato; ao sair do perigo, o intervalo recomeça.
+     * @param {string} id - Perigo (chave de hazardTimers e Simulation.HAZARDS)
+     * @param {boolean} active - Se o submarino está sob o perigo
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     * @param {Function} apply - Efeito aplicado a cada intervalo
+     * @returns {boolean} - O próprio `active`
+     */
+    tickHazard(id, active, deltaTime, apply) {
+        if (!active) {
+            this.hazardTimers[id] = 0;
+            return false;
+        }
+
+        this.hazardTimers[id] -= deltaTime;
+        if (this.hazardTimers[id] <= 0) {
+            this.hazardTimers[id] += Simulation.HAZARDS[id].interval;
+            apply();
+        }
+        return true;
+    }
+
+    /**
+     * Guarda as posições atuais de todas as entidades (para interpolação)
+     */
+    savePreviousPositions() {
+        this.previousDepth = this.gameState.depth;
+        this.submarine.savePreviousPosition();
+        this.registry.query('transform').forEach(entity => entity.savePreviousPosition());
+    }
+
+    /**
+     * Sistema de movimento: move as entidades com velocity
+     * Entidades com IA decidem a velocidade antes de mover (ver MonsterAI).
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     * @param {Object} aiContext - Contexto repassado à IA
+     */
+    updateMovement(deltaTime, aiContext) {
+        const frameScale = aiContext.frameScale;
+
+        this.registry.query('velocity').forEach(entity => {
+            const velocity = entity.getComponent('velocity');
+            if (entity.ai) {
+                entity.ai.update(entity, deltaTime, aiContext);
+            }
+
+            const swimMotion = velocity.swim ? Math.sin(this.elapsedTime / 500 + entity.x) * 0.5 : 0;
+            entity.x += entity.velocityX * frameScale;
+            entity.y += (entity.velocityY + swimMotion) * frameScale;
+
+            // Bounce nas bordas (a lula dá um jato ao virar)
+            const margin = Simulation.BOUNCE_MARGIN;
+            const pastLeft = entity.x < -margin && entity.velocityX < 0;
+            const pastRight = entity.x > this.viewport.width + margin && entity.velocityX > 0;
+            if (velocity.bounce && (pastLeft || pastRight)) {
+                entity.velocityX = -entity.velocityX;
+                if (entity.ai) entity.ai.bounce(entity.velocityX);
+                entity.animator.play('jet', true);
+            }
+        });
+    }
+
+    /**
+     * Sistema de animação: avança as entidades renderable animadas
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     */
+    updateAnimations(deltaTime) {
+        this.registry.query('renderable')
+            .filter(entity => entity.getComponent('renderable').animated)
+            .forEach(entity => entity.updateAnimation(deltaTime));
+    }
+
+    /**
+     * Sistema de projéteis: acertos em entidades destructible primeiro, depois
+     * nas demais entidades sólidas (damageOnContact), que só absorvem o projétil
+     */
+    updateProjectiles() {
+        const projectiles = this.registry.query('projectile');
+
+        const hits = this.collisionDetector.checkProjectileCollisions(projectiles, this.registry.query('destructible'));
+        hits.forEach(({ projectile, target }) => this.damageEntity(target, projectile.getComponent('projectile').damage));
+        this.removeDestroyed();
+
+        const spentProjectiles = hits.map(hit => hit.projectile);
+        const remaining = projectiles.filter(p => !spentProjectiles.includes(p));
+        const solids = this.registry.query('damageOnContact').filter(entity => !entity.hasComponent('destructible'));
+        this.collisionDetector.checkProjectileCollisions(remaining, solids)
+            .forEach(hit => spentProjectiles.push(hit.projectile));
+
+        this.registry.removeAll(spentProjectiles);
+    }
+
+    /**
+     * Sistema de tempo de vida: consome o lifetime das entidades (removidas em cullEntities)
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     */
+    updateLifetimes(deltaTime) {
+        this.registry.query('lifetime').forEach(entity => entity.getComponent('lifetime').remaining -= deltaTime);
+    }
+
+    /**
+     * Remove as entidades fora de tela e as de lifetime esgotado
+     */
+    cullEntities() {
+        this.registry.removeWhere(entity =>
+            (entity.hasComponent('lifetime') && entity.getComponent('lifetime').remaining <= 0)
+            || entity.isOffScreen(this.viewport, this.gameState.depth)
+        );
+    }
+
+    /**
+     * Sistema de contato com o submarino
+     * Entidades damageOnContact ferem o casco e somem; pickups são coletados,
+     * com um só aviso e um só evento por tipo de coleta no passo.
+     * @param {number} cameraOffset - Offset da câmera
+     */
+    updateContacts(cameraOffset) {
+        const depth = this.gameState.depth;
+
+        const collisions = this.collisionDetector.checkContacts(
+            this.submarine,
+            this.registry.query('damageOnContact'),
+            depth,
+            cameraOffset
+        );
+        collisions.forEach(entity => {
+            const contact = entity.getComponent('damageOnContact');
+            const damage = this.applyDamage(contact.damage, contact.source);
+            this.showHint(`✗ -${damage} HP - ${contact.label}!`);
+            this.events.emit(contact.event, { entity, damage });
+        });
+        this.registry.removeAll(collisions);
+
+        const pickups = this.collisionDetector.checkContacts(this.submarine, this.registry.query('pickup'), depth, cameraOffset);
+        const totals = new Map(); // Evento -> { count, oxygen, credits }
+        pickups.forEach(entity => {
+            const pickup = entity.getComponent('pickup');
+            const total = totals.get(pickup.event) || { count: 0, oxygen: 0, credits: 0 };
+            total.count++;
+            total.oxygen += pickup.oxygen;
+            total.credits += pickup.credits;
+            totals.set(pickup.event, total);
+        });
+        totals.forEach((total, event) => {
+            this.addOxygen(total.oxygen);
+            this.earnCredits(total.credits);
+            this.showHint(`✓ +${total.oxygen} Oxigênio! +${total.credits} créditos`);
+            this.events.emit(event, total);
+        });
+        this.registry.removeAll(pickups);
+    }
+
+    /**
+     * Obtém o centro do submarino em coordenadas do mundo
+     * @param {number} cameraOffset - Offset da câmera
+     * @returns {Object} - Objeto com x, y
+     */
+    getSubmarineWorldCenter(cameraOffset = 0) {
+        const center = this.submarine.getScreenCenter();
+        return {
+            x: center.x,
+            y: this.viewport.screenToWorldY(center.y, this.gameState.depth, cameraOffset)
+        };
+    }
+
+    /**
+     * Solta uma nuvem de tinta (lula em fuga)
+     * @param {number} x - Centro X (coordenadas do mundo)
+     * @param {number} y - Centro Y (coordenadas do mundo)
+     */
+    spawnInk(x, y) {
+        this.inkClouds.push({
+            x,
+            y,
+            radius: 30,
+            life: Simulation.INK_DURATION,
+            maxLife: Simulation.INK_DURATION
+        });
+    }
+
+    /**
+     * Obtém a profundidade interpolada entre o passo anterior e o atual
+     * @param {number} alpha - Fração do passo (0 = anterior, 1 = atual)
+     * @returns {number}
+     */
+    getInterpolatedDepth(alpha = 1) {
+        return this.previousDepth + (this.gameState.depth - this.previousDepth) * alpha;
+    }
+
+    /**
+     * Avança a simulação
+     * Movimentos são escalados por deltaTime; velocidades das entidades estão
+     * em pixels por quadro de referência (60 FPS).
+     * @param {number} deltaTime - Tempo de simulação a avançar (em ms)
+     * @param {Object} input - Estado da entrada
+     * @param {Object} input.controls - Estado de controle { moveX, moveY } (ver InputHandler.getControls)
+     * @param {number} [input.cameraOffset=0] - Offset da câmera
+     */
+    step(deltaTime, input) {
+        if (this.gameOverTriggered) return;
+
+        const controls = input.controls;
+        const cameraOffset = input.cameraOffset || 0;
+        this.cameraOffset = cameraOffset;
+        const frameScale = deltaTime / Simulation.REFERENCE_FRAME_TIME;
+        const stats = this.getStats();
+
+        this.savePreviousPositions();
+        this.elapsedTime += deltaTime;
+
+        // Timers de simulação
+        if (this.hintTimer > 0) {
+            this.hintTimer = Math.max(0, this.hintTimer - deltaTime);
+            if (this.hintTimer === 0) {
+                this.hint = '';
+            }
+        }
+
+        // Atualizar submarino
+        const { worldOffsetY } = this.submarine.update(controls, deltaTime, stats);
+        this.submarine.updateAnimation(deltaTime);
+
+        // Mover objetos do mundo
+        if (worldOffsetY !== 0) {
+            this.registry.query('transform').forEach(entity => entity.shift(worldOffsetY));
+            this.inkClouds.forEach(ink => ink.y += worldOffsetY);
+            this.damageNumbers.forEach(n => n.y += worldOffsetY);
+            this.sonar.shift(worldOffsetY);
+        }
+
+        // Atualizar profundidade: desce sempre com o tempo, e descer
+        // (tecla 's' ou analógico) acelera a descida
+        let depthIncrease = 0.5 * deltaTime; // Aumento base
+        if (controls.moveY > 0) {
+            depthIncrease += 1.5 * deltaTime * controls.moveY; // Aceleração
+        }
+        this.gameState.depth = Math.min(Simulation.MAX_DEPTH, this.gameState.depth + depthIncrease);
+
+        // Verificar missões (marcos de profundidade e opcionais)
+        this.updateMissions();
+        this.trackZones();
+        this.trackDepthMilestones();
+
+        // Atualizar partículas (a correnteza muda com a zona)
+        const drift = this.zone.ambient.drift;
+        const height = this.viewport.height;
+        this.particles = this.particles.map(p => ({
+            ...p,
+            y: (p.y - p.speed * drift * frameScale + height) % height,
+            x: p.x + Math.sin(this.elapsedTime / 1000 + p.y) * 0.5 * frameScale
+        }));
+
+        // Atualizar recursos
+        const oxygenDrain = this.oxygenDrainRate * this.zone.oxygenDrain;
+        this.gameState.oxygen = Math.max(0, this.gameState.oxygen - oxygenDrain * deltaTime);
+        this.gameState.energy = Math.min(stats.maxEnergy, this.gameState.energy + this.energyRechargeRate * deltaTime);
+
+        if (this.isOxygenLow() && this.hint === '') {
+            this.showHint('⚠ Oxigênio baixo! Colete bolhas de ar!');
+        }
+
+        // Cooldowns (em segundos) avançam com o deltaTime (em ms)
+        this.gameState.sonarCooldown = Math.max(0, this.gameState.sonarCooldown - deltaTime / 1000);
+        this.gameState.torpedoCooldown = Math.max(0, this.gameState.torpedoCooldown - deltaTime / 1000);
+        this.gameState.pulseCooldown = Math.max(0, this.gameState.pulseCooldown - deltaTime / 1000);
+        this.pulseTimer = Math.max(0, this.pulseTimer - deltaTime);
+
+        // Mover entidades (comportamento por espécie, ver MonsterAI) e animar
+        const aiContext = {
+            target: this.getSubmarineWorldCenter(cameraOffset),
+            frameScale,
+            random: this.random.ai,
+            spawnInk: (x, y) => this.spawnInk(x, y)
+        };
+        this.updateMovement(deltaTime, aiContext);
+        this.updateAnimations(deltaTime);
+
+        // Sonar: a frente de onda revela criaturas e rochas por onde passa
+        this.updateSonar(deltaTime);
+
+        // Nuvens de tinta se espalham e somem
+        this.inkClouds.forEach(ink => {
+            ink.life -= deltaTime;
+            ink.radius += 0.04 * deltaTime;
+        });
+        this.inkClouds = this.inkClouds.filter(ink => ink.life > 0);
+
+        // Números de dano sobem e somem
+        this.damageNumbers.forEach(n => {
+            n.life -= deltaTime;
+            n.y -= 0.05 * deltaTime;
+        });
+        this.damageNumbers = this.damageNumbers.filter(n => n.life > 0);
+
+        // Projéteis: alcance, acertos e limpeza das entidades fora de tela
+        this.updateLifetimes(deltaTime);
+        this.updateProjectiles();
+        this.cullEntities();
+
+        // Perigos do ambiente (correntezas, fontes hidrotermais, pressão, escuridão)
+        this.updateHazards(deltaTime, cameraOffset);
+
+        // Contatos com o submarino (colisões e coletas)
+        this.updateContacts(cameraOffset);
+
+        // Spawn procedural
+        this.spawnMonsters();
+        this.spawnProceduralElements();
+
+        // Verificar condições de fim de jogo
+        if (this.gameState.depth >= Simulation.MAX_DEPTH) {
+            this.earnCredits(Simulation.VICTORY_CREDITS);
+            this.runStats.causeOfDeath = 'victory';
+            // Os pontos de vitória vêm da missão "O Abismo" (já paga em updateMissions)
+            this.endGame('Vitória! Você alcançou o fundo do abismo!', this.gameState.score);
+        } else if (this.gameState.oxygen <= 0) {
+            this.runStats.causeOfDeath = 'oxygen';
+            this.endGame('Oxigênio esgotado!', this.gameState.score);
+        } else if (this.gameState.health <= 0) {
+            this.runStats.causeOfDeath = this.runStats.lastDamageSource;
+            this.endGame('Submarino destruído!', this.gameState.score);
+        }
+    }
+
+    /**
+     * Obtém o estado do mergulho usado pelas condições das missões
+     * @returns {Object} - { depth, healthRatio, stats }
+     */
+    getMissionContext() {
+        return {
+            depth: this.gameState.depth,
+            healthRatio: this.gameState.health / this.getStats().maxHealth,
+            stats: this.runStats
+        };
+    }
+
+    /**
+     * Avalia as missões e paga as recompensas das concluídas
+     */
+    updateMissions() {
+        this.missions.update(this.getMissionContext()).forEach(mission => {
+            const reward = mission.def.reward;
+            if (reward.oxygen) this.addOxygen(reward.oxygen);
+            if (reward.points) this.gameState.score += reward.points;
+            if (reward.credits) this.earnCredits(reward.credits);
+
+            this.showHint(`🎯 Missão concluída: ${mission.def.title}! ${Missions.formatReward(reward)}`);
+            this.events.emit('mission:completed', { mission });
+        });
+    }
+
+    /**
+     * Atualiza a zona atual e publica a entrada em uma nova zona
+     */
+    trackZones() {
+        const zone = Biomes.getZone(this.gameState.depth);
+        if (zone === this.zone) return;
+
+        this.zone = zone;
+        this.events.emit('zone:entered', { zone });
+    }
+
+    /**
+     * Publica cada DEPTH_MILESTONE metros alcançados
+     */
+    trackDepthMilestones() {
+        const milestone = Math.floor(this.gameState.depth / Simulation.DEPTH_MILESTONE) * Simulation.DEPTH_MILESTONE;
+        if (milestone <= this.depthMilestone) return;
+
+        this.depthMilestone = milestone;
+        this.events.emit('depth:milestone', { depth: milestone });
+    }
+
+    /**
+     * Obtém o resumo do mergulho atual
+     * @returns {Object} - Resumo (duração, bolhas, danos por fonte, sonar, zonas, causa)
+     */
+    getRunSummary() {
+        const stats = this.runStats;
+        return {
+            duration: Math.round(this.elapsedTime),
+            bubblesCollected: stats.bubblesCollected,
+            hitsTaken: { ...stats.hitsTaken },
+            sonarUses: stats.sonarUses,
+            monstersKilled: stats.monstersKilled,
+            zonesReached: [...stats.zonesReached],
+            causeOfDeath: stats.causeOfDeath
+        };
+    }
+
+    /**
+     * Finaliza o mergulho
+     * @param {string} reason - Motivo do fim de jogo
+     * @param {number} finalScore - Pontuação final
+     */
+    endGame(reason, finalScore) {
+        this.gameOverTriggered = true;
+        this.gameOverReason = reason;
+        this.finalScore = finalScore;
+        this.events.emit('game:over', {
+            reason,
+            cause: this.runStats.causeOfDeath,
+            score: finalScore,
+            depth: this.gameState.depth
+        });
+    }
+}
+
+// Profundidade do fundo do abismo (vitória)
+Simulation.MAX_DEPTH = 11000;
+
+// Intervalo entre os marcos de profundidade publicados (evento depth:milestone, em m)
+Simulation.DEPTH_MILESTONE = 1000;
+
+// Fração do oxigênio máximo abaixo da qual o alerta de oxigênio dispara
+Simulation.LOW_OXYGEN = 0.2;
+
+// Duração de um quadro de referência (60 FPS), unidade das velocidades das entidades
+Simulation.REFERENCE_FRAME_TIME = 1000 / 60;
+
+// Armas do submarino (custos em energia, recargas em segundos, alcance do torpedo em ms de voo)
+Simulation.WEAPONS = {
+    torpedo: { cost: 10, cooldown: 0.6, damage: 120, speed: 14, range: 900, width: 36, height: 10 },
+    stunPulse: { cost: 25, cooldown: 4, damage: 40, radius: 170, stunDuration: 2500 }
+};
+
+// Perigos do ambiente (forças em px por quadro de referência, intervalos em ms)
+Simulation.HAZARDS = {
+    current: { minStrength: 0.6, maxStrength: 1.4, minHeight: 120, maxHeight: 220 },
+    vent: { width: 70, height: 260, damage: 3, energy: 6, interval: 500 },
+    pressure: { ratedDepth: 7000, damage: 2, interval: 1000 }
+};
+
+// Durações de efeitos visuais (ms)
+Simulation.PULSE_EFFECT_DURATION = 400;
+Simulation.HIT_FLASH_DURATION = 300;
+Simulation.DAMAGE_NUMBER_DURATION = 900;
+
+// Duração de uma nuvem de tinta (ms)
+Simulation.INK_DURATION = 2500;
+
+// Oxigênio de cada bolha coletada
+Simulation.BUBBLE_OXYGEN = 15;
+
+// Máximo de entidades de cada estilo no mundo (spawn procedural)
+Simulation.SPAWN_LIMITS = { obstacle: 4, bubble: 5, hazard: 3 };
+
+// Faixas de spawn abaixo da borda inferior da tela (px): distância mínima e sorteio
+Simulation.SPAWN_BANDS = {
+    monster: { margin: 300, spread: 400 },
+    obstacle: { margin: 100, spread: 400 },
+    bubble: { margin: 200, spread: 300 },
+    hazard: { margin: 200, spread: 300 }
+};
+
+// Distância além das bordas laterais da tela em que as criaturas dão a volta (px)
+Simulation.BOUNCE_MARGIN = 150;
+
+// Hitboxes em frações do tamanho (criaturas usam a do bestiário)
+Simulation.HITBOXES = {
+    obstacle: { x: 0.1, y: 0.1, width: 0.8, height: 0.8 },
+    bubble: { x: 0.15, y: 0.15, width: 0.7, height: 0.7 }
+};
+
+// Créditos da loja ganhos por bolha coletada e por alcançar o fundo
+Simulation.BUBBLE_CREDITS = 5;
+Simulation.VICTORY_CREDITS = 500;
@@ -0,0 +1,119 @@
+/**
+ * Sonar.js
+ * Sonar físico: pulsos que se expandem a partir do ponto de emissão
+ *
+ * Cada pulso é uma frente de onda circular em coordenadas do mundo, que cresce a
+ * uma velocidade fixa até o alcance máximo. Um objeto é detectado (contato) quando
+ * a frente de onda alcança o seu centro; cada pulso detecta cada objeto uma vez.
+ * Criaturas detectadas deixam um "blip" na última posição conhecida, que se apaga
+ * com o tempo. Tudo avança pelo tempo de simulação recebido em update().
+ */
+
+class Sonar {
+    constructor() {
+        this.pings = [];
+        this.blips = [];
+    }
+
+    /**
+     * Emite um pulso
+     * @param {number} x - Origem X (coordenadas do mundo)
+     * @param {number} y - Origem Y (coordenadas do mundo)
+     * @param {number} range - Alcance máximo (px)
+     * @param {number} speed - Velocidade da frente de onda (px por ms)
+     */
+    emit(x, y, range, speed = Sonar.WAVE_SPEED) {
+        this.pings.push({
+            x,
+            y,
+            radius: 0,
+            range,
+            speed,
+            reached: new Set()
+        });
+    }
+
+    /**
+     * Verifica se algum pulso ainda está se expandindo
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.pings.length > 0;
+    }
+
+    /**
+     * Desloca pulsos e blips verticalmente (junto com o mundo)
+     * @param {number} offsetY - Deslocamento em px
+     */
+    shift(offsetY) {
+        this.pings.forEach(ping => ping.y += offsetY);
+        this.blips.forEach(blip => blip.y += offsetY);
+    }
+
+    /**
+     * Avança os pulsos e retorna os objetos alcançados pela frente de onda neste passo
+     * @param {number} deltaTime - Tempo de simulação decorrido (em ms)
+     * @param {Array<GameObject>} targets - Objetos detectáveis
+     * @returns {Array<GameObject>} - Novos contatos
+     */
+    update(deltaTime, targets) {
+        const contacts = [];
+
+        this.pings.forEach(ping => {
+            ping.radius = Math.min(ping.range, ping.radius + ping.speed * deltaTime);
+
+            targets.forEach(target => {
+                if (ping.reached.has(target)) return;
+
+                const center = target.getCenter();
+                if (Math.hypot(center.x - ping.x, center.y - ping.y) <= ping.radius) {
+                    ping.reached.add(target);
+                    if (!contacts.includes(target)) {
+                        contacts.push(target);
+                    }
+                }
+            });
+        });
+        this.pings = this.pings.filter(ping => ping.radius < ping.range);
+
+        this.blips.forEach(blip => blip.life -= deltaTime);
+        this.blips = this.blips.filter(blip => blip.life > 0);
+
+        return contacts;
+    }
+
+    /**
+     * Marca a última posição conhecida de um objeto detectado
+     * Um novo contato do mesmo objeto substitui o blip anterior.
+     * @param {GameObject} target - Objeto detectado
+     */
+    addBlip(target) {
+        const center = target.getCenter();
+        this.blips = this.blips.filter(blip => blip.id !== target.id);
+        this.blips.push({
+            id: target.id,
+            type: target.type,
+            x: center.x,
+            y: center.y,
+            life: Sonar.BLIP_DURATION,
+            maxLife: Sonar.BLIP_DURATION
+        });
+    }
+
+    /**
+     * Remove todos os pulsos e blips
+     */
+    reset() {
+        this.pings = [];
+        this.blips = [];
+    }
+}
+
+// Velocidade da frente de onda (px por ms)
+Sonar.WAVE_SPEED = 1;
+
+// Tempo em que uma criatura fica visível depois de alcançada pela onda (ms)
+Sonar.REVEAL_DURATION = 1500;
+
+// Duração do blip de última posição conhecida (ms)
+Sonar.BLIP_DURATION = 4000;
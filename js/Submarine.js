@@ -6,27 +6,37 @@
 class Submarine extends GameObject {
     /**
      * Construtor do Submarino
-     * @param {number} x - Posição X inicial
-     * @param {number} y - Posição Y inicial (na tela)
+     * Começa centralizado na tela, na linha da profundidade atual.
+     * @param {Viewport} viewport - Tela lógica (limita o movimento)
      * @param {number} width - Largura do submarino
      * @param {number} height - Altura do submarino
      */
-    constructor(x, y, width, height) {
+    constructor(viewport, width, height) {
+        const x = (viewport.width - width) / 2;
+        const y = viewport.anchorY - height / 2;
         super(x, y, width, height, 'submarine');
+
+        this.viewport = viewport;
         
         // Posição fixa na tela
         this.screenX = x;
         this.screenY = y;
+        this.startX = x;
         
         // Rotação (em graus)
         this.rotation = 0;
         this.targetRotation = 0;
+
+        // Estado no passo anterior (para interpolação na renderização)
+        this.previousScreenX = x;
+        this.previousScreenY = y;
+        this.previousRotation = 0;
         
         // Limites de movimento vertical
         this.centerY = y;
         this.maxVerticalOffset = 80; // Máximo de pixels para cima/baixo
         
-        // Velocidade de movimento
+        // Velocidade de movimento (base; upgrades são aplicados via stats em update)
         this.moveSpeed = 0.18; // Pixels por ms
         this.rotationSpeed = 1; // Graus por frame
         
@@ -38,51 +48,133 @@ class Submarine extends GameObject {
     }
 
     /**
-     * Atualiza a posição do submarino com base nas teclas pressionadas
-     * @param {Set<string>} keys - Conjunto de teclas pressionadas
+     * Atualiza a posição do submarino com base no estado de controle
+     * A velocidade é proporcional ao controle (analógico); teclado vale -1, 0 ou 1.
+     * @param {Object} controls - Estado de controle (ver InputHandler.getControls)
+     * @param {number} controls.moveX - Horizontal, de -1 (esquerda) a 1 (direita)
+     * @param {number} controls.moveY - Vertical, de -1 (subir) a 1 (descer)
      * @param {number} deltaTime - Tempo decorrido desde o último frame
+     * @param {Object} [stats] - Atributos efetivos (moveSpeed com upgrades)
      * @returns {Object} - Objeto com worldOffsetY (para mover o mundo)
      */
-    update(keys, deltaTime = 1) {
-        const speed = this.moveSpeed * deltaTime;
+    update(controls, deltaTime = 1, stats = null) {
+        const moveSpeed = stats ? stats.moveSpeed : this.moveSpeed;
+        const speed = moveSpeed * deltaTime;
+        const { moveX, moveY } = controls;
         let worldOffsetY = 0;
 
-        // Movimento horizontal (A/D)
-        if (keys.has('a')) {
-            this.screenX = Math.max(0, this.screenX - speed);
-            this.targetRotation = Math.max(-15, this.targetRotation - 1);
-        } else if (keys.has('d')) {
-            this.screenX = Math.min(800 - this.width, this.screenX + speed);
-            this.targetRotation = Math.min(15, this.targetRotation + 1);
+        // Movimento horizontal
+        // velocityX só indica a direção do movimento (usada pela animação para virar o sprite)
+        if (moveX < 0) {
+            this.screenX = Math.max(0, this.screenX + speed * moveX);
+            this.targetRotation = Math.max(-15, this.targetRotation + moveX);
+            this.velocityX = speed * moveX;
+        } else if (moveX > 0) {
+            this.screenX = Math.min(this.viewport.width - this.width, this.screenX + speed * moveX);
+            this.targetRotation = Math.min(15, this.targetRotation + moveX);
+            this.velocityX = speed * moveX;
         } else {
             // Retorno suave ao centro
             this.targetRotation *= 0.9;
+            this.velocityX = 0;
         }
 
-        // Movimento vertical (W/S) - submarino se move ligeiramente, mundo se move para profundidade
-        if (keys.has('w')) {
+        // Movimento vertical - submarino se move ligeiramente, mundo se move para profundidade
+        if (moveY < 0) {
             // Mover submarino para cima (limitado)
             this.screenY = Math.max(
                 this.centerY - this.maxVerticalOffset,
-                this.screenY - (speed * 0.5)
+                this.screenY + (speed * 0.5 * moveY)
             );
-            worldOffsetY = speed; // Mover mundo para baixo (simulando subida)
-        }
-        if (keys.has('s')) {
+            worldOffsetY = -speed * moveY; // Mover mundo para baixo (simulando subida)
+        } else if (moveY > 0) {
             // Mover submarino para baixo (limitado)
             this.screenY = Math.min(
                 this.centerY + this.maxVerticalOffset,
-                this.screenY + (speed * 0.5)
+                this.screenY + (speed * 0.5 * moveY)
             );
-            worldOffsetY = -speed; // Mover mundo para cima (simulando descida)
+            worldOffsetY = -speed * moveY; // Mover mundo para cima (simulando descida)
         }
 
         // Suavizar rotação
         this.rotation += (this.targetRotation - this.rotation) * 0.1;
 
+        // Hélice gira mais rápido com o propulsor ligado
+        const thrust = Math.max(Math.abs(moveX), Math.abs(moveY));
+        this.animator.speed = 1 + 1.5 * thrust;
+
         return { worldOffsetY };
     }
 
+    /**
+     * Empurra o submarino na horizontal (ex: correnteza), sem sair da tela
+     * @param {number} offsetX - Deslocamento em px
+     */
+    push(offsetX) {
+        this.screenX = Math.max(0, Math.min(this.viewport.width - this.width, this.screenX + offsetX));
+    }
+
+    /**
+     * Verifica se um ponto da tela está dentro do cone do farol
+     * Mesma geometria do feixe desenhado em Renderer.drawSubmarine.
+     * @param {Object} point - Ponto { x, y } em coordenadas de tela
+     * @param {number} alpha - Fração do passo para interpolação (0 a 1)
+     * @returns {boolean}
+     */
+    isInHeadlight(point, alpha = 1) {
+        const state = this.getInterpolatedScreenState(alpha);
+        const angle = -state.rotation * Math.PI / 180;
+        const dx = point.x - state.x;
+        const dy = point.y - state.y;
+
+        // Ponto no referencial do submarino (farol apontando para +x)
+        let localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+        const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+        if (this.animator.isMirrored()) localX = -localX;
+
+        const distance = localX - this.width / 2;
+        if (distance < 0 || distance > Submarine.HEADLIGHT.length) return false;
+        return Math.abs(localY) <= distance / Submarine.HEADLIGHT.length * Submarine.HEADLIGHT.spread;
+    }
+
+    /**
+     * Verifica se alguma parte de um retângulo da tela está no cone do farol
+     * Testa o centro e os quatro cantos (Submarine.HEADLIGHT_SAMPLES).
+     * @param {Object} rect - Retângulo { x, y, width, height } em coordenadas de tela
+     * @param {number} alpha - Fração do passo para interpolação (0 a 1)
+     * @returns {boolean}
+     */
+    isRectInHeadlight(rect, alpha = 1) {
+        return Submarine.HEADLIGHT_SAMPLES.some(([fx, fy]) => this.isInHeadlight({
+            x: rect.x + rect.width * fx,
+            y: rect.y + rect.height * fy
+        }, alpha));
+    }
+
+    /**
+     * Guarda a posição e rotação atuais como estado anterior
+     */
+    savePreviousPosition() {
+        this.previousScreenX = this.screenX;
+        this.previousScreenY = this.screenY;
+        this.previousRotation = this.rotation;
+    }
+
+    /**
+     * Obtém o centro e a rotação interpolados entre o passo anterior e o atual
+     * @param {number} alpha - Fração do passo (0 = anterior, 1 = atual)
+     * @returns {Object} - Objeto com x, y, rotation
+     */
+    getInterpolatedScreenState(alpha = 1) {
+        const screenX = this.previousScreenX + (this.screenX - this.previousScreenX) * alpha;
+        const screenY = this.previousScreenY + (this.screenY - this.previousScreenY) * alpha;
+        return {
+            x: screenX + this.width / 2,
+            y: screenY + this.height / 2,
+            rotation: this.previousRotation + (this.rotation - this.previousRotation) * alpha
+        };
+    }
+
     /**
      * Obtém o hitbox do submarino em coordenadas de tela
      * @returns {Object} - Objeto com x, y, width, height
@@ -97,18 +189,11 @@ class Submarine extends GameObject {
     }
 
     /**
-     * Obtém o hitbox do submarino em coordenadas do mundo
-     * @param {number} depth - Profundidade atual
-     * @returns {Object} - Objeto com x, y, width, height
+     * Obtém a direção para a qual o submarino está virado
+     * @returns {number} - 1 = direita, -1 = esquerda
      */
-    getWorldHitbox(depth) {
-        const screenHitbox = this.getScreenHitbox();
-        return {
-            x: screenHitbox.x,
-            y: screenHitbox.y + depth,
-            width: screenHitbox.width,
-            height: screenHitbox.height
-        };
+    getFacing() {
+        return this.animator.facing;
     }
 
     /**
@@ -126,10 +211,13 @@ class Submarine extends GameObject {
      * Reseta a posição do submarino
      */
     reset() {
-        this.screenX = 350;
+        this.screenX = this.startX;
         this.screenY = this.centerY;
         this.rotation = 0;
         this.targetRotation = 0;
+        this.velocityX = 0;
+        this.animator.reset();
+        this.savePreviousPosition();
     }
 
     /**
@@ -140,3 +228,9 @@ class Submarine extends GameObject {
         return `Submarine(screenX: ${this.screenX}, screenY: ${this.screenY}, rotation: ${this.rotation})`;
     }
 }
+
+// Cone do farol (a partir da proa): alcance e meia-abertura no fim do feixe (px)
+Submarine.HEADLIGHT = { length: 150, spread: 50 };
+
+// Pontos de um retângulo testados contra o farol (frações da largura e altura)
+Submarine.HEADLIGHT_SAMPLES = [[0.5, 0.5], [0, 0], [1, 0], [0, 1], [1, 1]];
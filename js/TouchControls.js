@@ -0,0 +1,204 @@
+/**
+ * TouchControls.js
+ * Controles de toque (celulares e tablets)
+ *
+ * - Joystick virtual: movimento proporcional, como o analógico do controle
+ * - Botões de ação e de menu: disparam a ação do atributo data-action (ver InputHandler.ACTIONS)
+ * - Arrastar no canvas (um ou dois dedos): move a câmera, como a rolagem do mouse.
+ *   Não há gesto de pinça: a câmera só desloca a vista na vertical (sem zoom), e
+ *   uma pinça faria o mesmo que o arrasto; o zoom da página fica bloqueado.
+ *
+ * Cada dedo é acompanhado pelo seu identificador, então dá para mover o joystick,
+ * apertar botões e arrastar a câmera ao mesmo tempo. Os controles aparecem ao
+ * tocar a tela e somem quando o jogador usa o teclado (classe touch-mode no body).
+ */
+
+class TouchControls {
+    /**
+     * Construtor do TouchControls
+     * @param {InputHandler} inputHandler - Entrada do jogo (ações e câmera)
+     * @param {HTMLElement} root - Elemento com os controles virtuais
+     * @param {HTMLElement} surface - Área em que arrastar move a câmera (canvas)
+     */
+    constructor(inputHandler, root, surface) {
+        this.input = inputHandler;
+        this.root = root;
+        this.surface = surface;
+        this.joystick = root.querySelector('.touch-joystick');
+        this.knob = root.querySelector('.touch-joystick-knob');
+
+        // Joystick: dedo que o controla, centro na tela e direção atual (já sem a zona morta)
+        this.joystickTouch = null;
+        this.joystickCenter = { x: 0, y: 0 };
+        this.stick = { x: 0, y: 0 };
+
+        // Câmera: dedos arrastando no canvas (identificador -> último Y na tela)
+        this.cameraTouches = new Map();
+
+        this.active = false;
+        this.setupEventListeners();
+
+        // Telas de toque começam com os controles visíveis
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.setActive(true);
+        }
+    }
+
+    /**
+     * Configura os event listeners de toque
+     */
+    setupEventListeners() {
+        // Qualquer toque mostra os controles
+        window.addEventListener('touchstart', () => this.setActive(true), { passive: true });
+
+        if (this.joystick) {
+            this.joystick.addEventListener('touchstart', (e) => this.handleJoystickStart(e), { passive: false });
+        }
+
+        this.root.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.input.triggerAction(button.dataset.action);
+            }, { passive: false });
+        });
+
+        if (this.surface) {
+            this.surface.addEventListener('touchstart', (e) => this.handleCameraStart(e), { passive: false });
+        }
+
+        window.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        window.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        window.addEventListener('touchcancel', (e) => this.handleTouchEnd(e));
+    }
+
+    /**
+     * Mostra ou esconde os controles virtuais
+     * @param {boolean} active - true para mostrar
+     */
+    setActive(active) {
+        if (this.active === active) return;
+
+        this.active = active;
+        document.body.classList.toggle('touch-mode', active);
+        if (!active) this.release();
+    }
+
+    /**
+     * Começa a usar o joystick com o dedo que tocou nele
+     * @param {TouchEvent} e - Evento de toque
+     */
+    handleJoystickStart(e) {
+        e.preventDefault();
+        if (this.joystickTouch !== null) return;
+
+        const touch = e.changedTouches[0];
+        const rect = this.joystick.getBoundingClientRect();
+        this.joystickTouch = touch.identifier;
+        this.joystickCenter = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        this.moveJoystick(touch);
+    }
+
+    /**
+     * Começa a arrastar a câmera com os dedos que tocaram no canvas
+     * @param {TouchEvent} e - Evento de toque
+     */
+    handleCameraStart(e) {
+        e.preventDefault();
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier !== this.joystickTouch) {
+                this.cameraTouches.set(touch.identifier, touch.clientY);
+            }
+        });
+    }
+
+    /**
+     * Acompanha os dedos do joystick e da câmera
+     * @param {TouchEvent} e - Evento de toque
+     */
+    handleTouchMove(e) {
+        let cameraDelta = 0;
+        let cameraCount = 0;
+
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouch) {
+                this.moveJoystick(touch);
+            } else if (this.cameraTouches.has(touch.identifier)) {
+                cameraDelta += touch.clientY - this.cameraTouches.get(touch.identifier);
+                cameraCount++;
+                this.cameraTouches.set(touch.identifier, touch.clientY);
+            }
+        });
+
+        if (this.joystickTouch !== null || cameraCount > 0) {
+            e.preventDefault(); // Evita rolar ou dar zoom na página
+        }
+
+        // Arrastar para cima olha mais para baixo (como rolar a página)
+        if (cameraCount > 0) {
+            this.input.moveCamera(-(cameraDelta / cameraCount) * TouchControls.CAMERA_DRAG_SCALE);
+        }
+    }
+
+    /**
+     * Solta o joystick ou a câmera quando o dedo sai da tela
+     * @param {TouchEvent} e - Evento de toque
+     */
+    handleTouchEnd(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouch) {
+                this.releaseJoystick();
+            }
+            this.cameraTouches.delete(touch.identifier);
+        });
+    }
+
+    /**
+     * Atualiza a direção do joystick a partir da posição do dedo
+     * @param {Touch} touch - Dedo do joystick
+     */
+    moveJoystick(touch) {
+        const radius = TouchControls.JOYSTICK_RADIUS;
+        let dx = touch.clientX - this.joystickCenter.x;
+        let dy = touch.clientY - this.joystickCenter.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // O pino não sai do círculo
+        if (distance > radius) {
+            dx = dx / distance * radius;
+            dy = dy / distance * radius;
+        }
+
+        this.stick = {
+            x: InputHandler.applyDeadzone(dx / radius),
+            y: InputHandler.applyDeadzone(dy / radius)
+        };
+        if (this.knob) {
+            this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        }
+    }
+
+    /**
+     * Solta o joystick (volta ao centro)
+     */
+    releaseJoystick() {
+        this.joystickTouch = null;
+        this.stick = { x: 0, y: 0 };
+        if (this.knob) {
+            this.knob.style.transform = '';
+        }
+    }
+
+    /**
+     * Solta todos os dedos (ao esconder os controles)
+     */
+    release() {
+        this.releaseJoystick();
+        this.cameraTouches.clear();
+    }
+}
+
+// Raio do joystick virtual (px na tela): o pino no limite vale movimento máximo
+TouchControls.JOYSTICK_RADIUS = 50;
+
+// Deslocamento da câmera por px arrastado na tela
+TouchControls.CAMERA_DRAG_SCALE = 0.5;
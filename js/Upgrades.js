@@ -0,0 +1,250 @@
+/**
+ * Upgrades.js
+ * Loja de upgrades com níveis e sistema de modificadores de atributos
+ *
+ * Cada upgrade tem níveis (tiers) comprados com créditos, e cada nível declara os
+ * atributos que altera (modifiers). Os atributos efetivos são calculados a partir
+ * dos atributos base aplicando os modificadores de todos os níveis comprados:
+ * primeiro as somas (add), depois as multiplicações (multiply).
+ */
+
+class Upgrades {
+    /**
+     * Construtor do Upgrades
+     * @param {Array<Object>} definitions - Definições de upgrades
+     * @param {Object} baseStats - Atributos base do submarino
+     */
+    constructor(definitions = Upgrades.DEFINITIONS, baseStats = Upgrades.BASE_STATS) {
+        this.definitions = definitions;
+        this.baseStats = baseStats;
+        this.levels = {};
+        this.credits = 0;
+        this.cachedStats = null;
+    }
+
+    /**
+     * Obtém a definição de um upgrade
+     * @param {string} id - Identificador do upgrade
+     * @returns {Object|undefined}
+     */
+    getDefinition(id) {
+        return this.definitions.find(def => def.id === id);
+    }
+
+    /**
+     * Obtém o nível comprado de um upgrade (0 = não comprado)
+     * @param {string} id - Identificador do upgrade
+     * @returns {number}
+     */
+    getLevel(id) {
+        return this.levels[id] || 0;
+    }
+
+    /**
+     * Obtém o nível máximo de um upgrade
+     * @param {string} id - Identificador do upgrade
+     * @returns {number}
+     */
+    getMaxLevel(id) {
+        const def = this.getDefinition(id);
+        return def ? def.tiers.length : 0;
+    }
+
+    /**
+     * Obtém o próximo nível disponível para compra
+     * @param {string} id - Identificador do upgrade
+     * @returns {Object|null} - Definição do nível, ou null se já está no máximo
+     */
+    getNextTier(id) {
+        const def = this.getDefinition(id);
+        if (!def) return null;
+        return def.tiers[this.getLevel(id)] || null;
+    }
+
+    /**
+     * Verifica se um upgrade tem ao menos um nível comprado
+     * @param {string} id - Identificador do upgrade
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return this.getLevel(id) > 0;
+    }
+
+    /**
+     * Adiciona créditos
+     * @param {number} amount - Quantidade de créditos
+     */
+    earn(amount) {
+        this.credits += amount;
+    }
+
+    /**
+     * Verifica se há créditos para o próximo nível de um upgrade
+     * @param {string} id - Identificador do upgrade
+     * @returns {boolean}
+     */
+    canAfford(id) {
+        const tier = this.getNextTier(id);
+        return tier !== null && this.credits >= tier.cost;
+    }
+
+    /**
+     * Compra o próximo nível de um upgrade
+     * @param {string} id - Identificador do upgrade
+     * @returns {Object} - { success, reason?, level? }
+     */
+    purchase(id) {
+        const tier = this.getNextTier(id);
+
+        if (!tier) {
+            return { success: false, reason: this.getDefinition(id) ? 'maxed' : 'unknown' };
+        }
+        if (this.credits < tier.cost) {
+            return { success: false, reason: 'credits' };
+        }
+
+        this.credits -= tier.cost;
+        this.levels[id] = this.getLevel(id) + 1;
+        this.cachedStats = null;
+        return { success: true, level: this.levels[id] };
+    }
+
+    /**
+     * Calcula os atributos efetivos com os modificadores dos níveis comprados
+     * @returns {Object} - Atributos efetivos (maxOxygen, moveSpeed, sonarCost, damageTaken...)
+     */
+    getStats() {
+        if (this.cachedStats) {
+            return this.cachedStats;
+        }
+
+        const stats = { ...this.baseStats };
+        const modifiers = this.definitions
+            .flatMap(def => def.tiers.slice(0, this.getLevel(def.id)))
+            .flatMap(tier => tier.modifiers);
+
+        modifiers.forEach(mod => {
+            if (mod.add !== undefined) stats[mod.stat] += mod.add;
+        });
+        modifiers.forEach(mod => {
+            if (mod.multiply !== undefined) stats[mod.stat] *= mod.multiply;
+        });
+
+        this.cachedStats = stats;
+        return stats;
+    }
+
+    /**
+     * Obtém um atributo efetivo
+     * @param {string} name - Nome do atributo
+     * @returns {number}
+     */
+    getStat(name) {
+        return this.getStats()[name];
+    }
+
+    /**
+     * Formata o nome de um nível (ex: "Casco Reforçado II")
+     * @param {string} id - Identificador do upgrade
+     * @param {number} level - Nível (1 em diante)
+     * @returns {string}
+     */
+    getTierName(id, level) {
+        const def = this.getDefinition(id);
+        const numerals = ['I', 'II', 'III', 'IV', 'V'];
+        return `${def.name} ${numerals[level - 1] || level}`;
+    }
+
+    /**
+     * Serializa níveis comprados e créditos (para o save)
+     * @returns {Object} - { credits, levels }
+     */
+    serialize() {
+        return {
+            credits: this.credits,
+            levels: { ...this.levels }
+        };
+    }
+
+    /**
+     * Restaura níveis comprados e créditos de um save
+     * Níveis de upgrades desconhecidos são ignorados e níveis acima do máximo são limitados.
+     * @param {Object} data - { credits, levels }
+     */
+    restore(data) {
+        this.reset();
+        this.credits = Math.max(0, Number(data.credits) || 0);
+
+        Object.entries(data.levels || {}).forEach(([id, level]) => {
+            if (this.getDefinition(id)) {
+                this.levels[id] = Math.max(0, Math.min(this.getMaxLevel(id), Math.floor(level) || 0));
+            }
+        });
+    }
+
+    /**
+     * Remove todos os upgrades comprados e créditos
+     */
+    reset() {
+        this.levels = {};
+        this.credits = 0;
+        this.cachedStats = null;
+    }
+}
+
+// Atributos base do submarino, sem upgrades
+Upgrades.BASE_STATS = {
+    maxOxygen: 100,
+    maxEnergy: 100,
+    maxHealth: 100,
+    moveSpeed: 0.18, // Pixels por ms
+    sonarCost: 20, // Energia por ativação
+    sonarRange: 600, // Alcance da onda do sonar (px)
+    damageTaken: 1 // Multiplicador do dano recebido
+};
+
+// Upgrades à venda; cada nível declara custo e os atributos que altera
+Upgrades.DEFINITIONS = [
+    {
+        id: 'oxygenTank',
+        name: 'Tanque de Oxigênio',
+        tiers: [
+            { cost: 100, description: '+25% de capacidade de oxigênio', modifiers: [{ stat: 'maxOxygen', add: 25 }] },
+            { cost: 250, description: '+50% de capacidade de oxigênio', modifiers: [{ stat: 'maxOxygen', add: 25 }] },
+            { cost: 500, description: '+100% de capacidade de oxigênio', modifiers: [{ stat: 'maxOxygen', add: 50 }] }
+        ]
+    },
+    {
+        id: 'advancedSonar',
+        name: 'Sonar Avançado',
+        tiers: [
+            {
+                cost: 150,
+                description: '25% menos consumo de energia, +25% de alcance',
+                modifiers: [{ stat: 'sonarCost', add: -5 }, { stat: 'sonarRange', add: 150 }]
+            },
+            {
+                cost: 350,
+                description: '50% menos consumo de energia, +50% de alcance',
+                modifiers: [{ stat: 'sonarCost', add: -5 }, { stat: 'sonarRange', add: 150 }]
+            }
+        ]
+    },
+    {
+        id: 'reinforcedHull',
+        name: 'Casco Reforçado',
+        tiers: [
+            { cost: 120, description: '15% menos dano recebido', modifiers: [{ stat: 'damageTaken', add: -0.15 }] },
+            { cost: 300, description: '30% menos dano recebido', modifiers: [{ stat: 'damageTaken', add: -0.15 }] },
+            { cost: 600, description: '45% menos dano recebido', modifiers: [{ stat: 'damageTaken', add: -0.15 }] }
+        ]
+    },
+    {
+        id: 'turboThrust',
+        name: 'Propulsor Turbo',
+        tiers: [
+            { cost: 150, description: '15% mais velocidade', modifiers: [{ stat: 'moveSpeed', add: 0.027 }] },
+            { cost: 400, description: '30% mais velocidade', modifiers: [{ stat: 'moveSpeed', add: 0.027 }] }
+        ]
+    }
+];
@@ -0,0 +1,135 @@
+/**
+ * Viewport.js
+ * Tela lógica do jogo e transformação profundidade -> tela
+ *
+ * O mundo é simulado e desenhado sempre na resolução lógica (width x height,
+ * 800x600 por padrão), independente do tamanho da janela. A linha da
+ * profundidade atual fica em anchorY; um objeto em Y do mundo aparece em
+ * Y + getDepthOffset(depth, cameraOffset) na tela. Simulação, colisão e
+ * renderização usam esta mesma transformação.
+ *
+ * No navegador, attach() liga o viewport ao canvas: o canvas passa a ter a
+ * resolução real da tela (tamanho CSS x devicePixelRatio) e applyTransform()
+ * escala o desenho lógico para caber nele, com faixas nas sobras (letterbox).
+ * O restante da classe não usa o DOM (roda em Node, ver headless.js).
+ */
+
+class Viewport {
+    /**
+     * Construtor do Viewport
+     * @param {number} width - Largura lógica (px do mundo)
+     * @param {number} height - Altura lógica (px do mundo)
+     */
+    constructor(width = Viewport.WIDTH, height = Viewport.HEIGHT) {
+        this.width = width;
+        this.height = height;
+
+        // Altura da tela em que fica a profundidade atual (centro)
+        this.anchorY = height / 2;
+
+        // Escala e margens do desenho no canvas (atualizadas em resize)
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.pixelRatio = 1;
+
+        this.canvas = null;
+    }
+
+    /**
+     * Calcula o deslocamento vertical entre coordenadas do mundo e da tela
+     * @param {number} depth - Profundidade atual do submarino
+     * @param {number} cameraOffset - Offset da câmera
+     * @returns {number} - Somar ao Y do mundo para obter o Y da tela
+     */
+    getDepthOffset(depth, cameraOffset = 0) {
+        return -depth + this.anchorY + cameraOffset;
+    }
+
+    /**
+     * Converte um Y do mundo para a tela lógica
+     * @param {number} worldY - Y no mundo
+     * @param {number} depth - Profundidade atual
+     * @param {number} cameraOffset - Offset da câmera
+     * @returns {number}
+     */
+    worldToScreenY(worldY, depth, cameraOffset = 0) {
+        return worldY + this.getDepthOffset(depth, cameraOffset);
+    }
+
+    /**
+     * Converte um Y da tela lógica para o mundo
+     * @param {number} screenY - Y na tela lógica
+     * @param {number} depth - Profundidade atual
+     * @param {number} cameraOffset - Offset da câmera
+     * @returns {number}
+     */
+    screenToWorldY(screenY, depth, cameraOffset = 0) {
+        return screenY - this.getDepthOffset(depth, cameraOffset);
+    }
+
+    /**
+     * Liga o viewport a um canvas e passa a acompanhar o tamanho da janela
+     * @param {HTMLCanvasElement} canvas - Canvas do jogo
+     */
+    attach(canvas) {
+        this.canvas = canvas;
+        this.resize();
+
+        window.addEventListener('resize', () => this.resize());
+        document.addEventListener('fullscreenchange', () => this.resize());
+    }
+
+    /**
+     * Ajusta a resolução do canvas ao tamanho exibido e ao devicePixelRatio
+     */
+    resize() {
+        if (!this.canvas) return;
+
+        const displayWidth = this.canvas.clientWidth || this.width;
+        const displayHeight = this.canvas.clientHeight || this.height;
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        this.canvas.width = Math.round(displayWidth * this.pixelRatio);
+        this.canvas.height = Math.round(displayHeight * this.pixelRatio);
+
+        // Maior escala em que a tela lógica inteira cabe, centralizada
+        this.scale = Math.min(displayWidth / this.width, displayHeight / this.height);
+        this.offsetX = (displayWidth - this.width * this.scale) / 2;
+        this.offsetY = (displayHeight - this.height * this.scale) / 2;
+    }
+
+    /**
+     * Aplica ao contexto a transformação da tela lógica para o canvas
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    applyTransform(ctx) {
+        const ratio = this.pixelRatio;
+        ctx.setTransform(
+            this.scale * ratio, 0,
+            0, this.scale * ratio,
+            this.offsetX * ratio, this.offsetY * ratio
+        );
+    }
+
+    /**
+     * Entra ou sai da tela cheia
+     * @param {HTMLElement} element - Elemento exibido em tela cheia (o contêiner do jogo)
+     * @returns {Promise<void>}
+     */
+    async toggleFullscreen(element) {
+        try {
+            if (document.fullscreenElement) {
+                await document.exitFullscreen();
+            } else if (element.requestFullscreen) {
+                await element.requestFullscreen();
+            }
+        } catch (error) {
+            console.warn(`Tela cheia indisponível (${error.message})`);
+        }
+    }
+}
+
+// Resolução lógica padrão
+Viewport.WIDTH = 800;
+Viewport.HEIGHT = 600;
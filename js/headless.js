@@ -0,0 +1,86 @@
+/**
+ * headless.js
+ * Carrega o núcleo da simulação em Node, sem DOM (testes automatizados)
+ *
+ * Os scripts do jogo são scripts clássicos do navegador (classes globais),
+ * então aqui eles são avaliados em um contexto isolado, na mesma ordem do index.html.
+ *
+ * Uso:
+ *   const { Simulation } = require('./js/headless');
+ *   const sim = new Simulation({ seed: 'K3J9Z1' });
+ *   sim.step(16, { controls: { moveX: 0, moveY: 1 } });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts da simulação (nenhum deles acessa o DOM)
+const SIMULATION_SCRIPTS = [
+    'SeededRandom.js',
+    'EventBus.js',
+    'Viewport.js',
+    'Animator.js',
+    'EntityRegistry.js',
+    'GameObject.js',
+    'Submarine.js',
+    'Projectile.js',
+    'Hazard.js',
+    'MonsterAI.js',
+    'Sonar.js',
+    'Missions.js',
+    'Bestiary.js',
+    'Biomes.js',
+    'CollisionDetector.js',
+    'Upgrades.js',
+    'Simulation.js',
+    'SaveManager.js',
+    'Leaderboard.js',
+    'Achievements.js'
+];
+
+// Classes exportadas para o Node
+const EXPORTED_CLASSES = [
+    'SeededRandom',
+    'EventBus',
+    'Viewport',
+    'Animator',
+    'EntityRegistry',
+    'GameObject',
+    'Submarine',
+    'Projectile',
+    'Hazard',
+    'MonsterAI',
+    'Sonar',
+    'Missions',
+    'Bestiary',
+    'Biomes',
+    'CollisionDetector',
+    'Upgrades',
+    'Simulation',
+    'SaveManager',
+    'Leaderboard',
+    'Achievements'
+];
+
+/**
+ * Cria um contexto novo com as classes da simulação
+ * @returns {Object} - Objeto com as classes exportadas
+ */
+function loadSimulation() {
+    const context = vm.createContext({ console });
+
+    SIMULATION_SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Bestiário padrão lido do JSON (o mesmo arquivo que o navegador carrega)
+    const bestiaryFile = path.join(__dirname, '..', 'data', 'bestiary.json');
+    context.bestiarySpecies = JSON.parse(fs.readFileSync(bestiaryFile, 'utf8')).species;
+    vm.runInContext('Bestiary.DEFAULT_SPECIES = bestiarySpecies;', context);
+
+    return vm.runInContext(`({ ${EXPORTED_CLASSES.join(', ')} })`, context);
+}
+
+module.exports = { ...loadSimulation(), loadSimulation };
@@ -3,7 +3,30 @@
  * Arquivo de inicialização do jogo
  */
 
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Carrega as imagens exibindo a tela de carregamento
+ * @param {AssetManager} assets - Gerenciador de assets
+ * @param {Object} manifest - Mapa nome -> caminho das imagens
+ * @returns {Promise<Object>} - { loaded, failed }
+ */
+async function loadAssets(assets, manifest) {
+    const loadingScreen = document.getElementById('loadingScreen');
+    const loadingBar = document.getElementById('loadingBar');
+    const loadingText = document.getElementById('loadingText');
+
+    const result = await assets.loadImages(manifest, (loaded, total) => {
+        if (loadingBar) loadingBar.style.width = `${Math.round(loaded / total * 100)}%`;
+        if (loadingText) loadingText.textContent = `Carregando sprites... ${loaded}/${total}`;
+    });
+
+    if (loadingScreen) {
+        loadingScreen.style.display = 'none';
+    }
+
+    return result;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
     const canvas = document.getElementById('gameCanvas');
 
     if (!canvas) {
@@ -11,20 +34,40 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
+    // Semente do mundo via URL (ex: index.html?seed=K3J9Z1)
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.get('seed');
+
+    // Carregar o bestiário e as imagens (incluindo as das criaturas) antes de iniciar
+    const bestiary = await Bestiary.load();
+    const assets = new AssetManager();
+    const { failed } = await loadAssets(assets, { ...AssetManager.IMAGES, ...bestiary.getImageManifest() });
+
+    // Carregar progresso salvo
+    const saveManager = new SaveManager();
+    saveManager.load();
+
     // Criar instância do jogo
-    const game = new Game(canvas);
+    const game = new Game(canvas, { seed, saveManager, assets, bestiary });
+
+    if (failed.length > 0) {
+        game.showHint(`⚠ ${failed.length} imagem(ns) não carregaram, usando emojis`);
+    }
+
+    // Nomear as teclas pelo layout do teclado do jogador (quando o navegador informa)
+    if (await game.inputHandler.loadKeyboardLayout()) {
+        game.updateControlsDisplay();
+    }
 
     // Iniciar o jogo
     game.start();
 
     // Log inicial
     console.log('🎮 Abyss Depth Diver - Vanilla JS');
-    console.log('Controles:');
-    console.log('  A/D - Mover Horizontalmente');
-    console.log('  W/S - Mover Verticalmente (Profundidade)');
-    console.log('  ESPAÇO - Ativar Sonar');
-    console.log('  M - Missões');
-    console.log('  U - Upgrades');
-    console.log('  B - Debug Mode');
-    console.log('  ESC - Fechar Menu');
+    console.log('Controles (troque as teclas em Opções):');
+    Object.entries(InputHandler.ACTIONS).forEach(([action, label]) => {
+        console.log(`  ${game.inputHandler.getActionKeyLabel(action)} - ${label}`);
+    });
+    console.log('Controle: analógico/direcional - Mover, A - Sonar, X - Torpedo, B - Pulso, LB/RB - Câmera, Start - Menus');
+    console.log(`Código do mergulho: ${game.getDiveCode()} (use ?seed=${game.getDiveCode()} para repetir)`);
 });
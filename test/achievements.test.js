@@ -0,0 +1,94 @@
+/**
+ * achievements.test.js
+ * Conquistas pelos eventos do jogo e desbloqueios guardados no save (ver Achievements)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Achievements, EventBus, SaveManager, Simulation } = require('../js/headless');
+
+/**
+ * Cria conquistas assinando um barramento novo
+ * @returns {Object} - { events, achievements, unlocked } (ids publicados em achievement:unlocked)
+ */
+function createAchievements() {
+    const events = new EventBus();
+    const achievements = new Achievements();
+    const unlocked = [];
+    achievements.subscribe(events);
+    events.on('achievement:unlocked', data => unlocked.push(...data.achievements.map(def => def.id)));
+    return { events, achievements, unlocked };
+}
+
+test('"Intocável" sai aos 2000m sem nenhum dano', () => {
+    const { events, achievements, unlocked } = createAchievements();
+
+    events.emit('dive:started', { seed: 1 });
+    events.emit('depth:milestone', { depth: 1000 });
+    events.emit('depth:milestone', { depth: 2000 });
+
+    assert.deepStrictEqual(unlocked, ['untouchable']);
+    assert.strictEqual(achievements.isUnlocked('untouchable'), true);
+});
+
+['vent', 'pressure', 'creature', 'rock'].forEach(source => {
+    test(`dano de ${source} impede "Intocável" no mergulho`, () => {
+        const { events, achievements } = createAchievements();
+
+        events.emit('dive:started', { seed: 1 });
+        events.emit('damage:taken', { source, damage: 3 });
+        events.emit('depth:milestone', { depth: 2000 });
+        assert.strictEqual(achievements.isUnlocked('untouchable'), false);
+
+        // Um mergulho novo zera as contagens
+        events.emit('dive:started', { seed: 2 });
+        events.emit('depth:milestone', { depth: 2000 });
+        assert.strictEqual(achievements.isUnlocked('untouchable'), true);
+    });
+});
+
+test('a simulação publica o dano das fontes hidrotermais para as conquistas', () => {
+    const events = new EventBus();
+    const achievements = new Achievements();
+    achievements.subscribe(events);
+    const sim = new Simulation({ seed: 'ACH001', events });
+
+    sim.applyDamage(Simulation.HAZARDS.vent.damage, 'vent');
+    sim.gameState.depth = 1999;
+    sim.step(1000 / 60, { controls: { moveX: 0, moveY: 1 } });
+
+    assert.strictEqual(sim.depthMilestone, 2000);
+    assert.strictEqual(achievements.isUnlocked('untouchable'), false);
+    assert.strictEqual(sim.getRunSummary().hitsTaken.vent, 1);
+});
+
+test('conquistas contadas por mergulho e desbloqueios que não se repetem', () => {
+    const { events, unlocked } = createAchievements();
+
+    events.emit('dive:started', { seed: 1 });
+    for (let i = 0; i < 15; i++) {
+        events.emit('sonar:fired', { x: 0, y: 0, range: 600 });
+    }
+    events.emit('sonar:fired', { x: 0, y: 0, range: 600 });
+    events.emit('game:over', { reason: 'Oxigênio esgotado!', cause: 'oxygen', score: 0, depth: 100 });
+
+    assert.deepStrictEqual(unlocked, ['echo', 'firstDive', 'outOfAir']);
+});
+
+test('os desbloqueios são guardados no save e restaurados', () => {
+    const { events, achievements } = createAchievements();
+    events.emit('game:over', { reason: 'Vitória!', cause: 'victory', score: 0, depth: 11000 });
+
+    const manager = new SaveManager(null);
+    manager.setAchievements(achievements.serialize());
+    const imported = new SaveManager(null);
+    imported.importJSON(manager.exportJSON());
+
+    const restored = new Achievements();
+    restored.restore(imported.data.achievements);
+    assert.deepStrictEqual(
+        [...restored.getAll().filter(item => item.unlockedAt).map(item => item.def.id)].sort(),
+        ['abyss', 'blind', 'firstDive']
+    );
+    assert.strictEqual(restored.getAll().find(item => item.def.id === 'abyss').unlockedAt, achievements.unlocked.abyss);
+});
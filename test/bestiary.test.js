@@ -0,0 +1,18 @@
+/**
+ * bestiary.test.js
+ * O bestiário do modo headless vem de data/bestiary.json (fonte única das espécies)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Bestiary } = require('../js/headless');
+
+test('o bestiário padrão em Node é o de data/bestiary.json', () => {
+    const file = path.join(__dirname, '..', 'data', 'bestiary.json');
+    const species = JSON.parse(fs.readFileSync(file, 'utf8')).species;
+
+    const ids = new Bestiary().getAll().map(def => def.id);
+    assert.deepStrictEqual(ids, species.map(def => def.id));
+});
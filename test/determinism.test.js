@@ -0,0 +1,69 @@
+/**
+ * determinism.test.js
+ * Mesma semente e mesma entrada devem produzir o mesmo mergulho (ver headless.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../js/headless');
+
+const STEP = 1000 / 60;
+const MAX_STEPS = 20000;
+
+/**
+ * Entrada roteirizada pelo número do passo (desce, desvia e usa sonar e armas)
+ * @param {number} i - Passo
+ * @returns {Object} - { controls, actions }
+ */
+function scriptedInput(i) {
+    return {
+        controls: {
+            moveX: Math.sin(i / 90),
+            moveY: i % 120 < 80 ? 1 : 0
+        },
+        sonar: i % 300 === 0,
+        torpedo: i % 45 === 0,
+        pulse: i % 500 === 250
+    };
+}
+
+/**
+ * Joga um mergulho inteiro em um contexto novo e resume o estado final
+ * @param {string} seed - Código de mergulho
+ * @returns {Object}
+ */
+function playDive(seed) {
+    const { Simulation } = loadSimulation();
+    const sim = new Simulation({ seed });
+
+    let steps = 0;
+    while (!sim.gameOverTriggered && steps < MAX_STEPS) {
+        const input = scriptedInput(steps);
+        if (input.sonar) sim.activateSonar();
+        if (input.torpedo) sim.fireTorpedo();
+        if (input.pulse) sim.activateStunPulse();
+        sim.step(STEP, { controls: input.controls });
+        steps++;
+    }
+
+    // JSON: os objetos vêm de outro contexto (vm), com outros protótipos
+    return JSON.parse(JSON.stringify({
+        steps,
+        reason: sim.gameOverReason,
+        gameState: sim.gameState,
+        runStats: sim.runStats,
+        entities: sim.registry.getAll().map(e => [e.id, e.type, e.x, e.y, e.health])
+    }));
+}
+
+test('mesma semente e mesma entrada terminam no mesmo passo e estado', () => {
+    const first = playDive('DET0M1');
+    const second = playDive('DET0M1');
+
+    assert.ok(first.steps > 0 && first.reason !== '', 'o mergulho deve terminar');
+    assert.deepStrictEqual(second, first);
+});
+
+test('sementes diferentes geram mundos diferentes', () => {
+    assert.notDeepStrictEqual(playDive('AAAAAA').entities, playDive('ZZZZZZ').entities);
+});
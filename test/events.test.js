@@ -0,0 +1,43 @@
+/**
+ * events.test.js
+ * Barramento de eventos (ver EventBus)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventBus, Simulation } = require('../js/headless');
+
+test('um assinante que falha não impede os demais', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const events = new EventBus();
+    const received = [];
+
+    events.on('hint:shown', () => { throw new Error('falha'); });
+    events.on('hint:shown', ({ text }) => received.push(text));
+    events.emit('hint:shown', { text: 'ok' });
+
+    assert.deepStrictEqual(received, ['ok']);
+    assert.strictEqual(console.warn.mock.calls.length, 1);
+});
+
+test('tipos desconhecidos e campos ausentes continuam lançando erro', () => {
+    const events = new EventBus();
+    assert.throws(() => events.emit('nope', {}), /desconhecido/);
+    assert.throws(() => events.emit('zone:entered', {}), /sem o campo "zone"/);
+});
+
+test('um assinante que falha não interrompe o passo da simulação', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const events = new EventBus();
+    const sim = new Simulation({ seed: 'EVT001', events });
+    const milestones = [];
+    events.on('depth:milestone', () => { throw new Error('falha'); });
+    events.on('depth:milestone', ({ depth }) => milestones.push(depth));
+
+    sim.gameState.depth = 999;
+    sim.step(1000 / 60, { controls: { moveX: 0, moveY: 1 } });
+
+    assert.deepStrictEqual(milestones, [1000]);
+    assert.strictEqual(sim.depthMilestone, 1000);
+    assert.strictEqual(sim.gameOverTriggered, false);
+});
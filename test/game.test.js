@@ -0,0 +1,83 @@
+/**
+ * game.test.js
+ * Ações da entrada com o mergulho parado (ver Game.handleAction)
+ *
+ * O Game depende do DOM, então só a classe é carregada: a instância é montada
+ * sem o construtor, com a simulação do headless.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Simulation } = require('../js/headless');
+
+const filename = path.join(__dirname, '..', 'js', 'Game.js');
+const Game = vm.runInNewContext(`${fs.readFileSync(filename, 'utf8')}\nGame;`, {}, { filename });
+
+/**
+ * Cria um jogo sem DOM com uma simulação nova
+ * @param {Object} state - { paused, menuOpen }
+ * @returns {Game}
+ */
+function createGame(state) {
+    const game = Object.create(Game.prototype);
+    game.simulation = new Simulation({ seed: 'ACT001' });
+    game.paused = state.paused;
+    game.menuOpen = state.menuOpen;
+    return game;
+}
+
+/**
+ * Envia sonar, torpedo e pulso ao jogo
+ * @param {Game} game - Jogo
+ */
+function fireAll(game) {
+    Game.DIVE_ACTIONS.forEach(action => game.handleAction(action));
+}
+
+/**
+ * Resume o que as ações mudam na simulação
+ * @param {Simulation} sim - Simulação
+ * @returns {Object}
+ */
+function snapshot(sim) {
+    return JSON.parse(JSON.stringify({
+        gameState: sim.gameState,
+        sonarUses: sim.runStats.sonarUses,
+        entities: sim.registry.getAll().length
+    }));
+}
+
+[
+    ['pausado', { paused: true, menuOpen: null }],
+    ['com menu aberto', { paused: false, menuOpen: 'upgrades' }]
+].forEach(([label, state]) => {
+    test(`${label}, sonar, torpedo e pulso são ignorados`, () => {
+        const game = createGame(state);
+        const before = snapshot(game.simulation);
+
+        fireAll(game);
+        assert.deepStrictEqual(snapshot(game.simulation), before);
+    });
+});
+
+test('depois do fim de jogo, sonar, torpedo e pulso são ignorados', () => {
+    const game = createGame({ paused: false, menuOpen: null });
+    game.simulation.endGame('Oxigênio esgotado!', 0);
+    const before = snapshot(game.simulation);
+
+    fireAll(game);
+    assert.deepStrictEqual(snapshot(game.simulation), before);
+});
+
+test('com o mergulho correndo, sonar, torpedo e pulso agem', () => {
+    const game = createGame({ paused: false, menuOpen: null });
+    fireAll(game);
+
+    const sim = game.simulation;
+    assert.strictEqual(sim.runStats.sonarUses, 1);
+    assert.ok(sim.gameState.sonarCooldown > 0 && sim.gameState.torpedoCooldown > 0 && sim.gameState.pulseCooldown > 0);
+    assert.strictEqual(sim.registry.query('projectile').length, 1);
+});
@@ -0,0 +1,105 @@
+/**
+ * input.test.js
+ * Teclas, repetição automática e troca de teclas (ver InputHandler)
+ *
+ * O InputHandler escuta a janela do navegador; aqui a janela e o documento são
+ * substituídos por objetos vazios (sem controles de toque).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', 'js', 'InputHandler.js');
+const context = vm.createContext({
+    console,
+    window: { addEventListener: () => {}, removeEventListener: () => {} },
+    document: { getElementById: () => null }
+});
+const InputHandler = vm.runInContext(`${fs.readFileSync(filename, 'utf8')}\nInputHandler;`, context, { filename });
+
+/**
+ * Cria uma entrada que guarda as ações publicadas
+ * @returns {Object} - { input, actions }
+ */
+function createInput() {
+    const actions = [];
+    const events = { emit: (type, data) => actions.push(data.action) };
+    return { input: new InputHandler(events, null), actions };
+}
+
+/**
+ * Simula uma tecla pressionada
+ * @param {InputHandler} input - Entrada
+ * @param {string} code - Código da tecla (e.code)
+ * @param {boolean} [repeat=false] - Repetição automática de tecla mantida
+ */
+function press(input, code, repeat = false) {
+    input.handleKeyDown({ code, repeat, preventDefault: () => {} });
+}
+
+test('tecla mantida não repete pausa, menus nem armas', () => {
+    const { input, actions } = createInput();
+
+    ['KeyP', 'KeyM', 'Escape', 'Space', 'KeyF'].forEach(code => {
+        press(input, code);
+        press(input, code, true);
+        press(input, code, true);
+    });
+
+    assert.deepStrictEqual(actions, ['pause', 'openMissions', 'closeMenu', 'sonar', 'torpedo']);
+});
+
+test('tecla mantida continua movendo o submarino e a câmera', () => {
+    const { input } = createInput();
+
+    press(input, 'KeyS');
+    press(input, 'KeyS', true);
+    assert.strictEqual(input.getControls().moveY, 1);
+
+    press(input, 'ArrowDown');
+    press(input, 'ArrowDown', true);
+    assert.strictEqual(input.getTargetCameraOffset(), InputHandler.CAMERA_STEP * 2);
+});
+
+test('trocar para uma tecla em uso aponta o conflito e não muda nada', () => {
+    const { input } = createInput();
+
+    assert.strictEqual(input.rebind('sonar', 'KeyF'), 'torpedo');
+    assert.strictEqual(input.bindings.sonar, 'Space');
+
+    assert.strictEqual(input.rebind('sonar', 'Space'), null);
+    assert.strictEqual(input.rebind('sonar', 'KeyQ'), null);
+    assert.strictEqual(input.getActionForCode('KeyQ'), 'sonar');
+    assert.strictEqual(input.getActionForCode('Space'), null);
+    assert.deepStrictEqual({ ...input.getBindingOverrides() }, { sonar: 'KeyQ' });
+});
+
+test('teclas do save: códigos inválidos são ignorados e repetidas voltam ao padrão', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { input } = createInput();
+
+    input.setBindings({ sonar: 'KeyQ', torpedo: 42, pulse: '' });
+    assert.strictEqual(input.bindings.sonar, 'KeyQ');
+    assert.strictEqual(input.bindings.torpedo, InputHandler.DEFAULT_BINDINGS.torpedo);
+    assert.strictEqual(input.bindings.pulse, InputHandler.DEFAULT_BINDINGS.pulse);
+
+    input.setBindings({ sonar: 'KeyF' });
+    assert.deepStrictEqual({ ...input.bindings }, { ...InputHandler.DEFAULT_BINDINGS });
+    assert.strictEqual(console.warn.mock.calls.length, 1);
+});
+
+test('capturando uma tecla, ela não dispara a ação e Esc cancela', () => {
+    const { input, actions } = createInput();
+    const captured = [];
+
+    input.captureNextKey(code => captured.push(code));
+    press(input, 'KeyP');
+    input.captureNextKey(code => captured.push(code));
+    press(input, 'Escape');
+
+    assert.deepStrictEqual(captured, ['KeyP', null]);
+    assert.deepStrictEqual(actions, []);
+});
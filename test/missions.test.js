@@ -0,0 +1,95 @@
+/**
+ * missions.test.js
+ * Missões do mergulho: sorteio, progresso, falha e recompensas (ver Missions)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Missions, SeededRandom, Simulation } = require('../js/headless');
+
+/**
+ * Obtém os ids das missões opcionais sorteadas por uma semente
+ * @param {string} seed - Código de mergulho
+ * @returns {Array<string>}
+ */
+function optionalIds(seed) {
+    const missions = new Missions();
+    missions.start(new SeededRandom(seed));
+    return missions.getAll().filter(mission => mission.optional).map(mission => mission.def.id);
+}
+
+/**
+ * Cria um estado de mergulho para avaliar as missões
+ * @param {Object} values - Campos alterados
+ * @returns {Object} - Mesmo formato de Simulation.getMissionContext
+ */
+function createContext(values = {}) {
+    return {
+        depth: 0,
+        healthRatio: 1,
+        stats: { bubblesCollected: 0, sonarUses: 0, monstersKilled: 0, scanned: {} },
+        ...values
+    };
+}
+
+test('a semente decide as missões opcionais', () => {
+    const first = optionalIds('MIS001');
+
+    assert.strictEqual(first.length, Missions.OPTIONAL_COUNT);
+    assert.strictEqual(new Set(first).size, first.length, 'sem repetição');
+    assert.deepStrictEqual(optionalIds('MIS001'), first);
+
+    const seeds = ['MIS002', 'MIS003', 'MIS004', 'MIS005'];
+    assert.ok(seeds.some(seed => optionalIds(seed).join() !== first.join()));
+});
+
+test('missões de contador e de escaneamento avançam com o mergulho', () => {
+    const definitions = [
+        { id: 'sweeps', condition: { type: 'stat', stat: 'sonarUses', target: 3 }, reward: {} },
+        { id: 'anglers', condition: { type: 'scan', species: 'angler', target: 2 }, reward: {} }
+    ];
+    const missions = new Missions(definitions, []);
+    missions.start(new SeededRandom(1));
+    const [sweeps, anglers] = missions.getAll();
+
+    const context = createContext({ stats: { sonarUses: 2, scanned: { angler: 1, viper: 4 } } });
+    assert.deepStrictEqual({ ...missions.getProgress(sweeps, context) }, { current: 2, target: 3 });
+    assert.deepStrictEqual({ ...missions.getProgress(anglers, context) }, { current: 1, target: 2 });
+    assert.strictEqual(missions.update(context).length, 0);
+
+    const done = createContext({ stats: { sonarUses: 5, scanned: { angler: 2 } } });
+    assert.deepStrictEqual({ ...missions.getProgress(sweeps, done) }, { current: 3, target: 3 });
+    assert.deepStrictEqual([...missions.update(done).map(mission => mission.def.id)], ['sweeps', 'anglers']);
+    assert.strictEqual(missions.update(done).length, 0, 'cada missão conclui uma vez');
+});
+
+test('com minHealth, a missão falha só abaixo da fração pedida', () => {
+    const definitions = [{ id: 'hull', condition: { type: 'depth', target: 4000, minHealth: 0.5 }, reward: {} }];
+    const missions = new Missions(definitions, []);
+
+    missions.start(new SeededRandom(1));
+    assert.strictEqual(missions.update(createContext({ depth: 4000, healthRatio: 0.5 })).length, 1);
+    assert.strictEqual(missions.getAll()[0].status, 'completed');
+
+    missions.start(new SeededRandom(1));
+    assert.strictEqual(missions.update(createContext({ depth: 3999, healthRatio: 0.1 })).length, 0);
+    assert.strictEqual(missions.getAll()[0].status, 'active', 'o casco só conta ao chegar');
+    assert.strictEqual(missions.update(createContext({ depth: 4000, healthRatio: 0.49 })).length, 0);
+    assert.strictEqual(missions.getAll()[0].status, 'failed');
+});
+
+test('a simulação paga a recompensa das missões concluídas', () => {
+    const sim = new Simulation({ seed: 'MIS006' });
+    const completed = [];
+    sim.events.on('mission:completed', ({ mission }) => completed.push(mission.def.id));
+
+    sim.gameState.depth = 2000;
+    sim.gameState.oxygen = 50;
+    sim.updateMissions();
+
+    const reward = Missions.DEFINITIONS.find(def => def.id === 'depth2000').reward;
+    assert.deepStrictEqual(completed, ['depth2000']);
+    assert.strictEqual(sim.gameState.score, reward.points);
+    assert.strictEqual(sim.gameState.oxygen, 50 + reward.oxygen);
+    assert.strictEqual(sim.upgrades.credits, reward.credits);
+});
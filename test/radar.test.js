@@ -0,0 +1,56 @@
+/**
+ * radar.test.js
+ * Entidades mostradas no radar (ver Simulation.getRadarEntities)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, Biomes, GameObject } = require('../js/headless');
+
+/**
+ * Cria uma rocha registrada, em coordenadas de tela convertidas para o mundo
+ * @param {Simulation} sim - Simulação
+ * @param {number} screenX - Posição X na tela
+ * @param {number} screenY - Posição Y na tela
+ * @returns {GameObject}
+ */
+function addRock(sim, screenX, screenY) {
+    const y = sim.viewport.screenToWorldY(screenY, sim.gameState.depth, sim.cameraOffset);
+    const rock = new GameObject(screenX, y, 40, 40, 'rock')
+        .addComponent('transform')
+        .addComponent('renderable', { layer: 'obstacles', style: 'obstacle', animated: true })
+        .addComponent('sonarVisible', { blip: false, hidden: false });
+    return sim.registry.add(rock);
+}
+
+test('na escuridão, rochas fora do farol não aparecem no radar', () => {
+    const sim = new Simulation({ seed: 'DARK01' });
+    sim.zone = Biomes.ZONES.find(zone => zone.dark);
+    sim.registry.clear();
+
+    // Canto oposto da tela, longe do feixe
+    const center = sim.submarine.getScreenCenter();
+    const hidden = addRock(sim, center.x > sim.viewport.width / 2 ? 0 : sim.viewport.width - 40, 0);
+    assert.ok(!sim.getRadarEntities().includes(hidden));
+
+    // Revelada pelo sonar
+    hidden.revealTime = 500;
+    assert.ok(sim.getRadarEntities().includes(hidden));
+
+    // Fora da escuridão
+    hidden.revealTime = 0;
+    sim.zone = Biomes.ZONES[0];
+    assert.ok(sim.getRadarEntities().includes(hidden));
+});
+
+test('na escuridão, rochas no farol aparecem no radar', () => {
+    const sim = new Simulation({ seed: 'DARK02' });
+    sim.zone = Biomes.ZONES.find(zone => zone.dark);
+    sim.registry.clear();
+
+    // Logo à frente da proa
+    const center = sim.submarine.getScreenCenter();
+    const facing = sim.submarine.getFacing();
+    const lit = addRock(sim, center.x + facing * (sim.submarine.width / 2 + 60) - 20, center.y - 20);
+    assert.ok(sim.getRadarEntities().includes(lit));
+});
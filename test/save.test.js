@@ -0,0 +1,83 @@
+/**
+ * save.test.js
+ * Migração e validação do save (ver SaveManager)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SaveManager, Leaderboard } = require('../js/headless');
+
+test('entradas da tabela sem resumo recebem os valores padrão', () => {
+    const data = SaveManager.migrate({
+        version: SaveManager.VERSION,
+        highScores: [
+            { id: 'a', score: 900, depth: 4000 },
+            { id: 'b', score: 500, depth: 2000, summary: { bubblesCollected: 3, hitsTaken: { rock: 2 } } }
+        ]
+    });
+
+    const [first, second] = data.highScores;
+    assert.strictEqual(first.summary.hitsTaken.creature, 0);
+    assert.strictEqual(first.summary.zonesReached.length, 0);
+    assert.strictEqual(second.summary.bubblesCollected, 3);
+    assert.strictEqual(second.summary.hitsTaken.rock, 2);
+    assert.strictEqual(second.summary.hitsTaken.creature, 0);
+});
+
+test('entradas malformadas da tabela são descartadas', () => {
+    const data = SaveManager.migrate({
+        version: SaveManager.VERSION,
+        highScores: [null, 'x', { score: '10', depth: 5 }, { score: 10 }, { score: 10, depth: 5 }]
+    });
+    assert.strictEqual(data.highScores.length, 1);
+
+    const manager = new SaveManager(null);
+    manager.importJSON(JSON.stringify({ version: SaveManager.VERSION, highScores: { broken: true } }));
+    assert.strictEqual(manager.data.highScores.length, 0);
+});
+
+test('qualifies segue a ordem da tabela (profundidade desempata)', () => {
+    const entries = [{ score: 100, depth: 500 }, { score: 50, depth: 300 }];
+    const leaderboard = new Leaderboard(entries, 2);
+
+    assert.strictEqual(leaderboard.qualifies({ score: 50, depth: 400 }), true);
+    assert.strictEqual(leaderboard.qualifies({ score: 50, depth: 200 }), false);
+    assert.strictEqual(new Leaderboard([], 2).qualifies({ score: 0, depth: 0 }), true);
+});
+
+test('campos internos inválidos voltam ao padrão ou são descartados', () => {
+    const data = SaveManager.migrate({
+        version: SaveManager.VERSION,
+        bestScore: 'muito',
+        lifetime: { dives: 'x', victories: 2 },
+        upgrades: { credits: null, levels: { oxygenTank: 2, turboThrust: 'max' } },
+        achievements: { firstDive: '2026-01-01T00:00:00.000Z', broken: 7 },
+        settings: {
+            masterVolume: 'loud',
+            musicVolume: 3,
+            muted: 'sim',
+            keyBindings: { sonar: 'KeyQ', torpedo: 32 }
+        },
+        extra: true
+    });
+
+    assert.strictEqual(data.bestScore, 0);
+    assert.strictEqual(data.lifetime.dives, 0);
+    assert.strictEqual(data.lifetime.victories, 2);
+    assert.strictEqual(data.upgrades.credits, 0);
+    assert.deepStrictEqual({ ...data.upgrades.levels }, { oxygenTank: 2 });
+    assert.deepStrictEqual(Object.keys(data.achievements), ['firstDive']);
+    assert.strictEqual(data.settings.masterVolume, SaveManager.DEFAULT_SETTINGS.masterVolume);
+    assert.strictEqual(data.settings.musicVolume, 1);
+    assert.strictEqual(data.settings.muted, false);
+    assert.deepStrictEqual({ ...data.settings.keyBindings }, { sonar: 'KeyQ' });
+    assert.strictEqual(data.extra, undefined);
+});
+
+test('seções que não são objetos recebem os valores padrão', () => {
+    const data = SaveManager.migrate({ version: SaveManager.VERSION, lifetime: 5, settings: [], upgrades: 'x' });
+
+    assert.deepStrictEqual({ ...data.lifetime }, { ...SaveManager.createDefault().lifetime });
+    assert.strictEqual(data.settings.sfxVolume, SaveManager.DEFAULT_SETTINGS.sfxVolume);
+    assert.strictEqual(data.upgrades.credits, 0);
+});
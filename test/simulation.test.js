@@ -0,0 +1,84 @@
+/**
+ * simulation.test.js
+ * Regras do mergulho: dano ao casco, consumo de oxigênio e vitória (ver Simulation)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, Biomes, GameObject } = require('../js/headless');
+
+const STEP = 1000 / 60;
+
+/**
+ * Cria uma rocha registrada sobre o submarino
+ * @param {Simulation} sim - Simulação
+ * @param {number} damage - Dano do contato
+ * @returns {GameObject}
+ */
+function addRockOnSubmarine(sim, damage) {
+    const center = sim.getSubmarineWorldCenter(sim.cameraOffset);
+    const rock = new GameObject(center.x - 20, center.y - 20, 40, 40, 'rock')
+        .addComponent('transform')
+        .addComponent('damageOnContact', { damage, source: 'rock', label: 'Impacto com rocha', event: 'collision:obstacle' });
+    return sim.registry.add(rock);
+}
+
+test('o dano de contato é multiplicado por damageTaken', () => {
+    const plain = new Simulation({ seed: 'HIT001' });
+    plain.registry.clear();
+    addRockOnSubmarine(plain, 25);
+    plain.updateContacts(plain.cameraOffset);
+    assert.strictEqual(plain.gameState.health, 75);
+
+    const armored = new Simulation({ seed: 'HIT001' });
+    armored.upgrades.restore({ credits: 0, levels: { reinforcedHull: 2 } });
+    armored.registry.clear();
+    const rock = addRockOnSubmarine(armored, 25);
+    armored.updateContacts(armored.cameraOffset);
+
+    // 25 * 0.7 = 17.5, arredondado para baixo
+    assert.strictEqual(armored.gameState.health, 100 - 17);
+    assert.strictEqual(armored.runStats.hitsTaken.rock, 1);
+    assert.ok(!armored.registry.getAll().includes(rock), 'a rocha some com o impacto');
+});
+
+test('o oxigênio é consumido mais rápido nas zonas profundas', () => {
+    Biomes.ZONES.forEach(zone => {
+        const sim = new Simulation({ seed: 'OXY001' });
+        sim.gameState.depth = zone.depth + 1;
+        sim.step(STEP, { controls: { moveX: 0, moveY: 0 } });
+
+        const expected = sim.getStats().maxOxygen - sim.oxygenDrainRate * zone.oxygenDrain * STEP;
+        assert.strictEqual(sim.zone, zone);
+        assert.ok(Math.abs(sim.gameState.oxygen - expected) < 1e-9, zone.id);
+    });
+});
+
+test('sem oxigênio o mergulho termina', () => {
+    const sim = new Simulation({ seed: 'OXY002' });
+    const endings = [];
+    sim.events.on('game:over', data => endings.push(data.cause));
+
+    sim.gameState.oxygen = 0.001;
+    sim.step(STEP, { controls: { moveX: 0, moveY: 0 } });
+
+    assert.strictEqual(sim.gameOverTriggered, true);
+    assert.strictEqual(sim.gameOverReason, 'Oxigênio esgotado!');
+    assert.strictEqual(sim.runStats.causeOfDeath, 'oxygen');
+    assert.deepStrictEqual(endings, ['oxygen']);
+});
+
+test('alcançar MAX_DEPTH dá a vitória e os créditos de vitória', () => {
+    const sim = new Simulation({ seed: 'WIN001' });
+    let missionCredits = 0;
+    sim.events.on('mission:completed', ({ mission }) => missionCredits += mission.def.reward.credits || 0);
+
+    sim.gameState.depth = Simulation.MAX_DEPTH - 1;
+    sim.step(STEP, { controls: { moveX: 0, moveY: 1 } });
+
+    assert.strictEqual(sim.gameState.depth, Simulation.MAX_DEPTH);
+    assert.strictEqual(sim.gameOverTriggered, true);
+    assert.strictEqual(sim.runStats.causeOfDeath, 'victory');
+    assert.match(sim.gameOverReason, /^Vitória!/);
+    assert.strictEqual(sim.upgrades.credits, Simulation.VICTORY_CREDITS + missionCredits);
+});
@@ -0,0 +1,72 @@
+/**
+ * upgrades.test.js
+ * Loja de upgrades: níveis, créditos e atributos efetivos (ver Upgrades)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Upgrades, Simulation } = require('../js/headless');
+
+test('os níveis são comprados em ordem até o máximo', () => {
+    const upgrades = new Upgrades();
+    upgrades.earn(1000);
+
+    assert.deepStrictEqual({ ...upgrades.purchase('oxygenTank') }, { success: true, level: 1 });
+    assert.deepStrictEqual({ ...upgrades.purchase('oxygenTank') }, { success: true, level: 2 });
+    assert.strictEqual(upgrades.getStat('maxOxygen'), 150);
+    assert.strictEqual(upgrades.credits, 1000 - 100 - 250);
+
+    assert.strictEqual(upgrades.purchase('oxygenTank').level, 3);
+    assert.strictEqual(upgrades.getNextTier('oxygenTank'), null);
+    assert.strictEqual(upgrades.purchase('oxygenTank').reason, 'maxed');
+    assert.strictEqual(upgrades.credits, 1000 - 100 - 250 - 500);
+});
+
+test('sem créditos suficientes a compra falha sem gastar nada', () => {
+    const upgrades = new Upgrades();
+    upgrades.earn(99);
+
+    assert.strictEqual(upgrades.canAfford('oxygenTank'), false);
+    assert.strictEqual(upgrades.purchase('oxygenTank').reason, 'credits');
+    assert.strictEqual(upgrades.credits, 99);
+    assert.strictEqual(upgrades.getLevel('oxygenTank'), 0);
+
+    upgrades.earn(1);
+    assert.strictEqual(upgrades.canAfford('oxygenTank'), true);
+    assert.strictEqual(upgrades.purchase('unknown').reason, 'unknown');
+    assert.strictEqual(upgrades.canAfford('unknown'), false);
+});
+
+test('as somas são aplicadas antes das multiplicações', () => {
+    const definitions = [
+        { id: 'double', name: 'Dobro', tiers: [{ cost: 0, modifiers: [{ stat: 'power', multiply: 2 }] }] },
+        { id: 'plus', name: 'Mais', tiers: [{ cost: 0, modifiers: [{ stat: 'power', add: 5 }] }] }
+    ];
+    const upgrades = new Upgrades(definitions, { power: 10 });
+
+    upgrades.purchase('double');
+    assert.strictEqual(upgrades.getStat('power'), 20);
+
+    // (10 + 5) * 2, mesmo com o multiplicador comprado primeiro
+    upgrades.purchase('plus');
+    assert.strictEqual(upgrades.getStat('power'), 30);
+});
+
+test('a capacidade extra comprada no mergulho já vem cheia', () => {
+    const sim = new Simulation({ seed: 'SHOP01' });
+    const unlocked = [];
+    sim.events.on('upgrade:unlocked', data => unlocked.push(`${data.id}:${data.level}`));
+
+    sim.gameState.oxygen = 40;
+    sim.earnCredits(100);
+    assert.strictEqual(sim.purchaseUpgrade('oxygenTank').success, true);
+
+    assert.strictEqual(sim.getStats().maxOxygen, 125);
+    assert.strictEqual(sim.gameState.oxygen, 65);
+    assert.deepStrictEqual(unlocked, ['oxygenTank:1']);
+
+    // Compra recusada não muda os recursos
+    assert.strictEqual(sim.purchaseUpgrade('oxygenTank').reason, 'credits');
+    assert.strictEqual(sim.gameState.oxygen, 65);
+    assert.deepStrictEqual(unlocked, ['oxygenTank:1']);
+});
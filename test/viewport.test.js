@@ -0,0 +1,39 @@
+/**
+ * viewport.test.js
+ * A simulação tira as dimensões da tela do Viewport
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, Viewport, GameObject } = require('../js/headless');
+
+test('o spawn começa abaixo da borda inferior da tela lógica', () => {
+    const fixed = { next: () => 0 };
+    const band = { margin: 0, spread: 0 };
+
+    const small = new Simulation({ seed: 'VIEW01', viewport: new Viewport(800, 600) });
+    const tall = new Simulation({ seed: 'VIEW01', viewport: new Viewport(1200, 900) });
+
+    assert.strictEqual(small.getSpawnY(1000, band, fixed), 1000 + 300);
+    assert.strictEqual(tall.getSpawnY(1000, band, fixed), 1000 + 450);
+});
+
+test('criaturas dão a volta além da largura da tela lógica', () => {
+    const sim = new Simulation({ seed: 'VIEW02', viewport: new Viewport(1200, 900) });
+    sim.registry.clear();
+
+    const swimmer = (x) => sim.registry.add(
+        new GameObject(x, sim.gameState.depth, 80, 80, 'squid')
+            .addComponent('transform')
+            .addComponent('velocity', { swim: false, bounce: true })
+    );
+    const inside = swimmer(1000); // Além de 800 + margem, mas dentro de 1200
+    const outside = swimmer(1200 + Simulation.BOUNCE_MARGIN + 10);
+    inside.velocityX = 1;
+    outside.velocityX = 1;
+
+    sim.updateMovement(1000 / 60, { frameScale: 1 });
+
+    assert.ok(inside.velocityX > 0);
+    assert.ok(outside.velocityX < 0);
+});
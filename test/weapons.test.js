@@ -0,0 +1,139 @@
+/**
+ * weapons.test.js
+ * Torpedo e pulso elétrico (ver Simulation.fireTorpedo e activateStunPulse)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, CollisionDetector, Viewport, Projectile, GameObject, MonsterAI } = require('../js/headless');
+
+const STEP = 1000 / 60;
+const TORPEDO = Simulation.WEAPONS.torpedo;
+const PULSE = Simulation.WEAPONS.stunPulse;
+
+/**
+ * Cria uma criatura destrutível parada (sem IA), centrada em um ponto do mundo
+ * @param {Simulation} sim - Simulação
+ * @param {Object} center - Centro { x, y } em coordenadas do mundo
+ * @param {number} health - Vida
+ * @returns {GameObject}
+ */
+function addMonster(sim, center, health) {
+    const monster = new GameObject(center.x - 40, center.y - 40, 80, 80, 'squid');
+    monster.id = sim.nextMonsterId++;
+    monster.health = health;
+    monster.addComponent('transform')
+        .addComponent('hitbox', { x: 0, y: 0, width: 1, height: 1 })
+        .addComponent('destructible', { points: 150 });
+    return sim.registry.add(monster);
+}
+
+/**
+ * Avança os projéteis até acertarem algo ou saírem de cena
+ * @param {Simulation} sim - Simulação
+ */
+function flyProjectiles(sim) {
+    for (let i = 0; i < 60 && sim.registry.query('projectile').length > 0; i++) {
+        sim.updateMovement(STEP, { frameScale: 1 });
+        sim.updateProjectiles();
+    }
+}
+
+/**
+ * Cria uma simulação sem entidades
+ * @param {string} seed - Código de mergulho
+ * @returns {Simulation}
+ */
+function createEmptySimulation(seed) {
+    const sim = new Simulation({ seed });
+    sim.registry.clear();
+    return sim;
+}
+
+test('o torpedo fere a criatura à frente e some no impacto', () => {
+    const sim = createEmptySimulation('TORP01');
+    const center = sim.getSubmarineWorldCenter(sim.cameraOffset);
+    const facing = sim.submarine.getFacing();
+    const monster = addMonster(sim, { x: center.x + facing * 150, y: center.y }, TORPEDO.damage + 30);
+
+    assert.strictEqual(sim.fireTorpedo(), true);
+    assert.strictEqual(sim.gameState.energy, 100 - TORPEDO.cost);
+    assert.strictEqual(sim.fireTorpedo(), false, 'em recarga');
+
+    flyProjectiles(sim);
+    assert.strictEqual(monster.health, 30);
+    assert.strictEqual(sim.registry.query('projectile').length, 0);
+    assert.strictEqual(sim.gameState.score, 0);
+});
+
+test('abater uma criatura dá os pontos dela', () => {
+    const sim = createEmptySimulation('TORP02');
+    const kills = [];
+    sim.events.on('monster:killed', ({ points }) => kills.push(points));
+
+    const center = sim.getSubmarineWorldCenter(sim.cameraOffset);
+    const monster = addMonster(sim, { x: center.x + sim.submarine.getFacing() * 150, y: center.y }, TORPEDO.damage);
+    sim.fireTorpedo();
+    flyProjectiles(sim);
+
+    assert.strictEqual(monster.health, 0);
+    assert.ok(!sim.registry.getAll().includes(monster));
+    assert.strictEqual(sim.gameState.score, 150);
+    assert.strictEqual(sim.runStats.monstersKilled, 1);
+    assert.deepStrictEqual(kills, [150]);
+});
+
+test('o pulso fere e atordoa só as criaturas dentro do raio', () => {
+    const sim = createEmptySimulation('PULS01');
+    const center = sim.getSubmarineWorldCenter(sim.cameraOffset);
+
+    // Bordas das hitboxes logo dentro e logo fora do raio
+    const near = addMonster(sim, { x: center.x + PULSE.radius + 30, y: center.y }, 500);
+    const far = addMonster(sim, { x: center.x - PULSE.radius - 50, y: center.y }, 500);
+    near.ai = MonsterAI.forMonster(near);
+    far.ai = MonsterAI.forMonster(far);
+
+    assert.strictEqual(sim.activateStunPulse(), true);
+    assert.strictEqual(near.health, 500 - PULSE.damage);
+    assert.strictEqual(near.ai.stunTime, PULSE.stunDuration);
+    assert.strictEqual(far.health, 500);
+    assert.strictEqual(far.ai.isStunned(), false);
+
+    assert.strictEqual(sim.activateStunPulse(), false, 'em recarga');
+    assert.strictEqual(sim.gameState.energy, 100 - PULSE.cost);
+});
+
+test('depois do fim do mergulho, sonar e armas não disparam', () => {
+    const sim = createEmptySimulation('OVER01');
+    const center = sim.getSubmarineWorldCenter(sim.cameraOffset);
+    const monster = addMonster(sim, center, PULSE.damage);
+    sim.gameState.oxygen = 0;
+    sim.step(STEP, { controls: { moveX: 0, moveY: 0 } });
+    assert.strictEqual(sim.gameOverTriggered, true);
+
+    const energy = sim.gameState.energy;
+    assert.strictEqual(sim.activateSonar(), false);
+    assert.strictEqual(sim.fireTorpedo(), false);
+    assert.strictEqual(sim.activateStunPulse(), false);
+
+    assert.strictEqual(sim.gameState.energy, energy);
+    assert.strictEqual(monster.health, PULSE.damage);
+    assert.strictEqual(sim.runStats.sonarUses, 0);
+    assert.strictEqual(sim.runStats.monstersKilled, 0);
+    assert.strictEqual(sim.registry.query('projectile').length, 0);
+});
+
+test('cada projétil atinge no máximo um alvo, em coordenadas do mundo', () => {
+    const detector = new CollisionDetector(new Viewport());
+    const torpedo = new Projectile(100, 5000, 1, TORPEDO);
+    const first = new GameObject(110, 4990, 40, 40, 'squid');
+    const second = new GameObject(100, 4995, 40, 40, 'squid');
+    const elsewhere = new GameObject(100, 300, 40, 40, 'squid');
+
+    const hits = detector.checkProjectileCollisions([torpedo], [elsewhere, first, second]);
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].projectile, torpedo);
+    assert.strictEqual(hits[0].target, first);
+
+    assert.strictEqual(detector.checkProjectileCollisions([torpedo], [elsewhere]).length, 0);
+});